@@ -0,0 +1,365 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { loadConfig } from './config.js';
+
+/**
+ * API keys with rate limit tiers, daily quotas and scopes, stored in a local JSON file.
+ * Only a hash of each key is stored; the key itself is shown once when it is created.
+ */
+
+// Requests per minute and per UTC day for each tier
+const TIERS = {
+    free: { requestsPerMinute: 30, dailyQuota: 1000 },
+    standard: { requestsPerMinute: 120, dailyQuota: 20000 },
+    batch: { requestsPerMinute: 1200, dailyQuota: 1000000 }
+};
+
+// Scope required for raw JSONata queries and the admin routes
+const PRIVILEGED_SCOPE = 'privileged';
+const SCOPES = [PRIVILEGED_SCOPE];
+
+// Usage counters are written to disk at most this often
+const USAGE_FLUSH_MS = 5000;
+
+/**
+ * SHA-256 of a key, as stored in the key file
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * UTC day of a date, used to reset daily quotas
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a JSON file, or return the fallback when it doesn't exist
+ * @param {string} file - File path
+ * @param {any} fallback - Value for a missing file
+ * @returns {any} Parsed contents
+ */
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+class ApiKeyStore {
+    /**
+     * @param {string} file - Key file path
+     * @param {Object} options - { usageFile } where usage counters are kept (default: <file>.usage.json)
+     */
+    constructor(file = 'apiKeys.json', { usageFile } = {}) {
+        this.file = path.resolve(file);
+        this.usageFile = path.resolve(usageFile ?? this.file.replace(/\.json$/, '') + '.usage.json');
+        this.keys = [];
+        this.byHash = new Map();
+        this.mtimeMs = null;
+        this.usage = new Map(Object.entries(readJsonFile(this.usageFile, {})));
+        this.flushTimer = null;
+        this.refresh();
+    }
+
+    /**
+     * Re-read the key file if it changed, so keys managed with the CLI apply without a restart
+     */
+    refresh() {
+        let mtimeMs = null;
+        try {
+            mtimeMs = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        if (mtimeMs === this.mtimeMs) {
+            return;
+        }
+
+        const { keys = [] } = mtimeMs === null ? {} : readJsonFile(this.file, {});
+        this.keys = keys;
+        this.byHash = new Map(keys.map(record => [record.hash, record]));
+        this.mtimeMs = mtimeMs;
+    }
+
+    /**
+     * Write the key file
+     */
+    save() {
+        fs.writeFileSync(this.file, `${JSON.stringify({ keys: this.keys }, null, 2)}\n`, { mode: 0o600 });
+        this.mtimeMs = fs.statSync(this.file).mtimeMs;
+    }
+
+    /**
+     * Find a key record by id
+     * @param {string} id - Key id
+     * @returns {Object} Key record
+     */
+    getKey(id) {
+        const record = this.keys.find(key => key.id === id);
+        if (!record) {
+            throw new Error(`API key not found: ${id}`);
+        }
+        return record;
+    }
+
+    /**
+     * Create a key and save it
+     * @param {Object} options - { name, tier, scopes, dailyQuota } where dailyQuota overrides the tier's quota
+     * @returns {Object} { key, record } where key is the secret to hand out
+     */
+    createKey({ name, tier = 'free', scopes = [], dailyQuota } = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Key name is required');
+        }
+        if (!Object.hasOwn(TIERS, tier)) {
+            throw new Error(`Unknown tier: ${tier}. Use one of: ${Object.keys(TIERS).join(', ')}`);
+        }
+        const unknownScope = scopes.find(scope => !SCOPES.includes(scope));
+        if (unknownScope) {
+            throw new Error(`Unknown scope: ${unknownScope}. Use one of: ${SCOPES.join(', ')}`);
+        }
+        if (dailyQuota !== undefined && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+            throw new Error('Daily quota must be a positive integer');
+        }
+
+        const key = `avk_${crypto.randomBytes(32).toString('base64url')}`;
+        const record = {
+            id: `key_${crypto.randomBytes(4).toString('hex')}`,
+            name: name.trim(),
+            hash: hashKey(key),
+            tier,
+            scopes,
+            ...(dailyQuota !== undefined && { dailyQuota }),
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this.refresh();
+        this.keys.push(record);
+        this.byHash.set(record.hash, record);
+        this.save();
+        return { key, record };
+    }
+
+    /**
+     * Revoke a key and save
+     * @param {string} id - Key id
+     * @returns {Object} Key record
+     */
+    revokeKey(id) {
+        this.refresh();
+        const record = this.getKey(id);
+        record.revokedAt ??= new Date().toISOString();
+        this.save();
+        return record;
+    }
+
+    /**
+     * Move a key to another tier and save
+     * @param {string} id - Key id
+     * @param {string} tier - Tier name
+     * @returns {Object} Key record
+     */
+    setTier(id, tier) {
+        if (!Object.hasOwn(TIERS, tier)) {
+            throw new Error(`Unknown tier: ${tier}. Use one of: ${Object.keys(TIERS).join(', ')}`);
+        }
+        this.refresh();
+        const record = this.getKey(id);
+        record.tier = tier;
+        this.save();
+        return record;
+    }
+
+    /**
+     * Look up the record for a key sent by a client
+     * @param {string} key - API key
+     * @returns {Object|null} Key record, or null for unknown and revoked keys
+     */
+    authenticate(key) {
+        this.refresh();
+        const record = this.byHash.get(hashKey(key));
+        return record && !record.revokedAt ? record : null;
+    }
+
+    /**
+     * Rate limit and daily quota of a key
+     * @param {Object} record - Key record
+     * @returns {Object} { requestsPerMinute, dailyQuota }
+     */
+    limitsFor(record) {
+        const tier = TIERS[record.tier] ?? TIERS.free;
+        return { requestsPerMinute: tier.requestsPerMinute, dailyQuota: record.dailyQuota ?? tier.dailyQuota };
+    }
+
+    /**
+     * Count a request against a key's daily quota. Requests over the quota are refused and not counted.
+     * @param {Object} record - Key record
+     * @param {Date} now - Request time
+     * @returns {Object} { allowed, used, quota, remaining, resetsAt }
+     */
+    recordRequest(record, now = new Date()) {
+        const today = utcDay(now);
+        const usage = this.usage.get(record.id) ?? { day: today, requests: 0, totalRequests: 0, lastUsedAt: null };
+        if (usage.day !== today) {
+            usage.day = today;
+            usage.requests = 0;
+        }
+
+        const { dailyQuota } = this.limitsFor(record);
+        const allowed = usage.requests < dailyQuota;
+        if (allowed) {
+            usage.requests++;
+            usage.totalRequests++;
+            usage.lastUsedAt = now.toISOString();
+            this.usage.set(record.id, usage);
+            this.scheduleFlush();
+        }
+
+        const resetsAt = new Date(`${today}T00:00:00.000Z`);
+        resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+        return { allowed, used: usage.requests, quota: dailyQuota, remaining: Math.max(dailyQuota - usage.requests, 0), resetsAt: resetsAt.toISOString() };
+    }
+
+    /**
+     * Usage of every key, without key hashes
+     * @param {Date} now - Report time
+     * @returns {Array} [{ id, name, tier, scopes, createdAt, revokedAt, limits, usage }]
+     */
+    usageReport(now = new Date()) {
+        this.refresh();
+        const today = utcDay(now);
+        return this.keys.map(({ hash, ...record }) => {
+            const usage = this.usage.get(record.id);
+            return {
+                ...record,
+                limits: this.limitsFor(record),
+                usage: {
+                    today: usage?.day === today ? usage.requests : 0,
+                    totalRequests: usage?.totalRequests ?? 0,
+                    lastUsedAt: usage?.lastUsedAt ?? null
+                }
+            };
+        });
+    }
+
+    /**
+     * Write usage counters soon, batching the writes of busy periods
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushUsage();
+        }, USAGE_FLUSH_MS);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write usage counters to the usage file
+     */
+    flushUsage() {
+        try {
+            fs.writeFileSync(this.usageFile, `${JSON.stringify(Object.fromEntries(this.usage), null, 2)}\n`);
+        } catch (error) {
+            console.error('Failed to write API key usage:', error.message);
+        }
+    }
+}
+
+/**
+ * Parse CLI arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    // The same key file as the server unless --file is given
+    const options = { file: undefined, scopes: [] };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--file' || arg === '--tier' || arg === '--quota') {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--privileged') {
+            options.scopes.push(PRIVILEGED_SCOPE);
+        } else {
+            positional.push(arg);
+        }
+    }
+    [options.command, ...options.args] = positional;
+    return options;
+}
+
+/**
+ * Command line entry point
+ */
+function runCli() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = new ApiKeyStore(options.file ?? loadConfig({ argv: [] }).apiKeysFile);
+    const [target, value] = options.args;
+
+    switch (options.command) {
+        case 'create': {
+            const { key, record } = store.createKey({
+                name: target,
+                tier: options.tier,
+                scopes: options.scopes,
+                dailyQuota: options.quota === undefined ? undefined : Number(options.quota)
+            });
+            console.log(`🔑 Created ${record.id} (${record.name}, ${record.tier}${record.scopes.length > 0 ? `, ${record.scopes.join(', ')}` : ''})`);
+            console.log(`   ${key}`);
+            console.log('   Store this key now, it cannot be shown again.');
+            break;
+        }
+        case 'list':
+        case 'usage':
+            for (const { id, name, tier, scopes, revokedAt, limits, usage } of store.usageReport()) {
+                const status = revokedAt ? `revoked ${revokedAt}` : 'active';
+                console.log(`${id}  ${name}  ${tier}${scopes.length > 0 ? ` [${scopes.join(', ')}]` : ''}  ${status}  today ${usage.today}/${limits.dailyQuota}  total ${usage.totalRequests}`);
+            }
+            break;
+        case 'revoke':
+            console.log(`🚫 Revoked ${store.revokeKey(target).id}`);
+            break;
+        case 'tier':
+            console.log(`✅ ${store.setTier(target, value).id} is now ${value}`);
+            break;
+        default:
+            console.error([
+                'Usage: node apiKeys.js <command> [--file apiKeys.json] (default: apiKeysFile from the server config)',
+                '  create <name> [--tier free|standard|batch] [--privileged] [--quota requests-per-day]',
+                '  list | usage',
+                '  revoke <id>',
+                '  tier <id> <free|standard|batch>'
+            ].join('\n'));
+            process.exit(1);
+    }
+}
+
+export { ApiKeyStore, PRIVILEGED_SCOPE, TIERS, hashKey };
+
+// CLI mode when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    try {
+        runCli();
+    } catch (error) {
+        console.error('❌ Key command failed:', error.message);
+        process.exit(1);
+    }
+}
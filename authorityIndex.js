@@ -0,0 +1,151 @@
+/**
+ * Parses the Authority field ("Linnaeus, 1758", "(Temminck & Schlegel, 1845)") into authors and year,
+ * and answers year-of-description queries
+ */
+
+const YEAR = /\b(1[6-9]\d\d|20\d\d)\b/;
+
+// "PL" in "Sclater, PL, 1858" or "J.R." in "Forster, J.R., 1844": initials that belong to the previous author
+const INITIALS = /^(?:[A-Z]\.?\s?){1,3}$/;
+
+/**
+ * Split the author part of an authority into individual names
+ * @param {string} text - Author text without the year
+ * @returns {Array} Author names
+ */
+function splitAuthors(text) {
+    const authors = [];
+    // "Cabanis in Heine" is authored by Cabanis
+    const authorText = text.replace(/\s+in\s+.*$/, '');
+    for (const part of authorText.split(/\s*(?:&|,|\band\b)\s*/)) {
+        if (part === '') {
+            continue;
+        }
+        if (INITIALS.test(part) && authors.length > 0) {
+            authors[authors.length - 1] += `, ${part}`;
+        } else {
+            authors.push(part);
+        }
+    }
+    return authors;
+}
+
+/**
+ * Parse an authority string
+ * @param {string} authority - Authority field value
+ * @returns {Object|null} { authors, year, describedInOtherGenus } or null when empty. Year is null when missing;
+ *     describedInOtherGenus is true for parenthesized authorities, meaning the taxon was described in another genus
+ */
+function parseAuthority(authority) {
+    if (typeof authority !== 'string' || authority.trim() === '') {
+        return null;
+    }
+
+    let text = authority.trim();
+    const describedInOtherGenus = text.startsWith('(') && text.endsWith(')');
+    if (describedInOtherGenus) {
+        text = text.slice(1, -1).trim();
+    }
+
+    const yearMatch = YEAR.exec(text);
+    const authorText = (yearMatch ? text.slice(0, yearMatch.index) : text).replace(/[\s,]+$/, '');
+
+    return {
+        authors: splitAuthors(authorText),
+        year: yearMatch ? Number(yearMatch[1]) : null,
+        describedInOtherGenus
+    };
+}
+
+/**
+ * Records with parsed authorities, for year and author analytics
+ */
+class AuthorityIndex {
+    /**
+     * @param {Array} records - Bird records
+     */
+    constructor(records) {
+        this.parsed = new Map();
+        for (const record of records) {
+            const authority = parseAuthority(record.Authority);
+            if (authority) {
+                this.parsed.set(record, authority);
+            }
+        }
+    }
+
+    /**
+     * Parsed authority of a record
+     * @param {Object} record - Bird record
+     * @returns {Object|null} Result of parseAuthority
+     */
+    authorityOf(record) {
+        return this.parsed.get(record) ?? null;
+    }
+
+    /**
+     * Records described within a year range
+     * @param {Object} options - { from, to, author, rank }, all optional and inclusive; author matches one parsed author name, ignoring case
+     * @returns {Array} Records in dataset order with their parsed authority
+     */
+    described({ from, to, author, rank } = {}) {
+        const authorKey = author?.toLowerCase();
+        const results = [];
+        for (const [record, authority] of this.parsed) {
+            if (authority.year === null
+                || (from !== undefined && authority.year < from)
+                || (to !== undefined && authority.year > to)
+                || (rank !== undefined && record.Taxon_rank !== rank)
+                || (authorKey !== undefined && !authority.authors.some(name => name.toLowerCase() === authorKey))) {
+                continue;
+            }
+            results.push({ record, authority });
+        }
+        return results;
+    }
+
+    /**
+     * Species described per decade
+     * @param {Object} options - { from, to } year range
+     * @returns {Array} [{ decade, species, describedInOtherGenus }] in decade order
+     */
+    decades(options = {}) {
+        const decades = new Map();
+        for (const { authority } of this.described({ ...options, rank: 'species' })) {
+            const decade = Math.floor(authority.year / 10) * 10;
+            const entry = decades.get(decade) ?? { decade, species: 0, describedInOtherGenus: 0 };
+            entry.species++;
+            if (authority.describedInOtherGenus) {
+                entry.describedInOtherGenus++;
+            }
+            decades.set(decade, entry);
+        }
+        return [...decades.values()].sort((a, b) => a.decade - b.decade);
+    }
+
+    /**
+     * Authors who described the most species. Co-authored species count for every author.
+     * @param {Object} options - { limit, from, to }
+     * @returns {Array} [{ author, species, describedInOtherGenus, firstYear, lastYear }], most species first
+     */
+    topAuthors({ limit = 20, ...options } = {}) {
+        const authors = new Map();
+        for (const { authority } of this.described({ ...options, rank: 'species' })) {
+            for (const author of authority.authors) {
+                const entry = authors.get(author) ?? { author, species: 0, describedInOtherGenus: 0, firstYear: authority.year, lastYear: authority.year };
+                entry.species++;
+                if (authority.describedInOtherGenus) {
+                    entry.describedInOtherGenus++;
+                }
+                entry.firstYear = Math.min(entry.firstYear, authority.year);
+                entry.lastYear = Math.max(entry.lastYear, authority.year);
+                authors.set(author, entry);
+            }
+        }
+        return [...authors.values()]
+            .sort((a, b) => b.species - a.species || a.author.localeCompare(b.author))
+            .slice(0, limit);
+    }
+}
+
+export { AuthorityIndex, parseAuthority };
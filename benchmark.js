@@ -0,0 +1,81 @@
+import { BirdQueryEngine } from './birdQueryEngine.js';
+
+/**
+ * Benchmark the indexed engine methods against equivalent full-scan JSONata queries.
+ *
+ * Usage: node benchmark.js [dataFile] [iterations]
+ */
+
+const dataFile = process.argv[2] || 'birdIndex.json';
+const iterations = parseInt(process.argv[3] || '20');
+
+/**
+ * Time an async function over a number of iterations
+ * @param {Function} fn - Function to time
+ * @returns {Object} { msPerOp, resultCount }
+ */
+async function time(fn) {
+    let result = await fn(); // warm up
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) {
+        result = await fn();
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const resultCount = Array.isArray(result) ? result.length : (result ? 1 : 0);
+    return { msPerOp: elapsedMs / iterations, resultCount };
+}
+
+async function runBenchmark() {
+    const engine = new BirdQueryEngine(dataFile);
+    const sample = engine.birdData.find(bird => bird.Taxon_rank === 'species' && bird.Family) ?? engine.birdData[0];
+
+    const cases = [
+        {
+            name: 'searchByName (partial)',
+            indexed: () => engine.searchByName('eagle'),
+            jsonata: () => engine.executeQuery('$[$contains($lowercase(Scientific_name), $t) or $contains($lowercase(English_name_AviList), $t) or $contains($lowercase(English_name_Clements_v2024), $t) or $contains($lowercase(English_name_BirdLife_v9), $t)]', { t: 'eagle' })
+        },
+        {
+            name: 'searchByName (exact)',
+            indexed: () => engine.searchByName(sample.Scientific_name, true),
+            jsonata: () => engine.executeQuery('$[Scientific_name = $t or English_name_AviList = $t or English_name_Clements_v2024 = $t or English_name_BirdLife_v9 = $t]', { t: sample.Scientific_name })
+        },
+        {
+            name: 'getByTaxonomy (Family)',
+            indexed: () => engine.getByTaxonomy('Family', sample.Family),
+            jsonata: () => engine.executeQuery('$[Family = $v]', { v: sample.Family })
+        },
+        {
+            name: 'getByIUCNCategory (CR)',
+            indexed: () => engine.getByIUCNCategory('CR'),
+            jsonata: () => engine.executeQuery('$[IUCN_Red_List_Category = "CR"]')
+        },
+        {
+            name: 'getByRange (Madagascar)',
+            indexed: () => engine.getByRange('Madagascar'),
+            jsonata: () => engine.executeQuery('$[$contains($lowercase(Range), "madagascar")]')
+        },
+        {
+            name: 'getBirdReport',
+            indexed: () => engine.getBirdReport(sample.Scientific_name),
+            jsonata: () => engine.executeQuery('$[Scientific_name = $n][0]', { n: sample.Scientific_name })
+        }
+    ];
+
+    console.log(`\n⏱️  ${iterations} iterations per case over ${engine.birdData.length} records\n`);
+    const rows = [];
+    for (const { name, indexed, jsonata } of cases) {
+        const indexedTiming = await time(indexed);
+        const jsonataTiming = await time(jsonata);
+        rows.push({
+            case: name,
+            'indexed ms/op': indexedTiming.msPerOp.toFixed(3),
+            'jsonata ms/op': jsonataTiming.msPerOp.toFixed(3),
+            speedup: `${(jsonataTiming.msPerOp / indexedTiming.msPerOp).toFixed(1)}x`,
+            results: indexedTiming.resultCount
+        });
+    }
+    console.table(rows);
+}
+
+runBenchmark().catch(console.error);
@@ -1,18 +1,235 @@
 import jsonata from 'jsonata';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { buildConservationAnalytics, groupRecords, rankThreatenedFamilies } from './conservationAnalytics.js';
+import { FACETS, applyFacets } from './facetedSearch.js';
+import { DEFAULT_CACHE_OPTIONS, LruCache, cacheKey } from './resultCache.js';
+import { MAX_QUERY_LENGTH } from './fuzzySearch.js';
+import { AUTHORITY_FIELDS } from './nameReconciler.js';
+import { evaluateSandboxed } from './querySandbox.js';
+import { buildIndexes } from './searchIndex.js';
+import { buildTaxonomyTree, projectNode } from './taxonomyTree.js';
+
+/**
+ * Error raised when query input is rejected before it reaches JSONata
+ */
+class QueryValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryValidationError';
+    }
+}
+
+/**
+ * Escape regex metacharacters so user input is matched literally
+ * @param {string} value - Raw user input
+ * @returns {string} Regex-safe pattern source
+ */
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Wrap a RegExp as a JSONata matcher function so it can be passed as a binding
+ * (e.g. to $contains) instead of being pasted into the expression as a literal
+ * @param {RegExp} regex - Non-global regular expression
+ * @returns {Function} JSONata-compatible matcher
+ */
+function toMatcher(regex) {
+    return (str) => {
+        const match = regex.exec(str);
+        if (!match) {
+            return undefined;
+        }
+        return {
+            match: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            groups: match.slice(1),
+            next: () => undefined
+        };
+    };
+}
+
+/**
+ * Build a case-insensitive matcher for a literal substring
+ * @param {string} term - Substring to look for
+ * @returns {Function} JSONata-compatible matcher
+ */
+function substringMatcher(term) {
+    return toMatcher(new RegExp(escapeRegex(term), 'i'));
+}
+
+/**
+ * Build a case-insensitive matcher for a pattern where "*" is the only wildcard
+ * @param {string} pattern - Wildcard pattern, e.g. "Aquila*"
+ * @returns {Function} JSONata-compatible matcher
+ */
+function wildcardMatcher(pattern) {
+    const source = pattern.split('*').map(escapeRegex).join('.*');
+    return toMatcher(new RegExp(source, 'i'));
+}
+
+/**
+ * Ensure a query argument is a non-empty string
+ * @param {any} value - Value to check
+ * @param {string} name - Argument name used in the error message
+ * @returns {string} The validated value
+ */
+function requireString(value, name) {
+    if (typeof value !== 'string' || value === '') {
+        throw new QueryValidationError(`Invalid ${name}: expected a non-empty string`);
+    }
+    return value;
+}
+
+/**
+ * Validate a name to be scored by the fuzzy index, whose work grows with the name's length
+ * @param {any} value - Value to check
+ * @param {string} name - Name used in the error message
+ * @returns {string} The value
+ */
+function requireSearchName(value, name) {
+    requireString(value, name);
+    if (value.length > MAX_QUERY_LENGTH) {
+        throw new QueryValidationError(`Invalid ${name}: at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    return value;
+}
+
+/**
+ * Validate a list of names for bulk matching, and check that no more of them than maxFuzzy need
+ * a fuzzy search, which costs far more than an exact lookup
+ * @param {Array} names - Input names
+ * @param {Function} isExact - Whether a name is found without fuzzy search
+ * @param {number} maxFuzzy - Most names that may need fuzzy search
+ */
+function requireNameList(names, isExact, maxFuzzy) {
+    if (!Array.isArray(names)) {
+        throw new QueryValidationError('Invalid names: expected an array of strings');
+    }
+    names.forEach((name, i) => requireSearchName(name, `name at index ${i}`));
+
+    const fuzzy = names.filter(name => !isExact(name)).length;
+    if (fuzzy > maxFuzzy) {
+        throw new QueryValidationError(`Too many names need fuzzy matching: ${fuzzy}, at most ${maxFuzzy} per request`);
+    }
+}
+
+/**
+ * Wait for the event loop to handle pending I/O, so a long list of fuzzy lookups doesn't hold up other requests
+ * @returns {Promise} Resolves on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Validate an optional year range
+ * @param {number} from - First year, inclusive
+ * @param {number} to - Last year, inclusive
+ */
+function requireYearRange(from, to) {
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && !Number.isInteger(value)) {
+            throw new QueryValidationError(`Invalid ${name}: expected a year`);
+        }
+    }
+    if (from !== undefined && to !== undefined && from > to) {
+        throw new QueryValidationError(`Invalid year range: ${from} is after ${to}`);
+    }
+}
+
+/**
+ * Check that parsed data looks like a bird index before it replaces the loaded one
+ * @param {any} data - Parsed JSON
+ */
+function validateBirdData(data) {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Invalid bird data: expected a non-empty array of records');
+    }
+    const invalidAt = data.findIndex(record =>
+        !record || typeof record !== 'object' || Array.isArray(record) ||
+        typeof record.Scientific_name !== 'string' || typeof record.Taxon_rank !== 'string'
+    );
+    if (invalidAt !== -1) {
+        throw new Error(`Invalid bird data: record ${invalidAt} must be an object with Scientific_name and Taxon_rank strings`);
+    }
+}
 
 /**
  * Bird Data Query Engine using JSONata
  * Provides various methods to query and transform bird data
  */
 class BirdQueryEngine {
-    constructor(dataFile = 'birdIndex.json') {
+    /**
+     * @param {string} dataFile - Path to the bird data JSON file
+     * @param {Object} options - Engine options
+     * @param {Object} options.sandbox - Limits applied to untrusted raw queries (see querySandbox.js)
+     * @param {number} options.cacheSize - Query results kept in the LRU result cache, 0 to disable
+     */
+    constructor(dataFile = 'birdIndex.json', options = {}) {
         this.dataFile = dataFile;
+        this.sandboxOptions = options.sandbox ?? {};
+        this.resultCache = new LruCache(options.cacheSize ?? DEFAULT_CACHE_OPTIONS.maxEntries);
         this.birdData = null;
+        this.fields = new Set();
+        this.indexes = null;
+        this.taxonomyTree = null;
+        this.conservationAnalytics = null;
+        this.datasetInfo = null;
+        this.generation = 0;
+        this.pendingReload = null;
+        this.watcher = null;
         this.loadData();
     }
 
+    /**
+     * Parse, validate and index raw file contents without touching the loaded dataset
+     * @param {string} rawData - File contents
+     * @returns {Object} Prepared dataset state
+     */
+    prepareDataset(rawData) {
+        const birdData = JSON.parse(rawData);
+        validateBirdData(birdData);
+
+        const indexStart = Date.now();
+        const indexes = buildIndexes(birdData);
+        console.log(`Built search indexes for ${birdData.length} records in ${Date.now() - indexStart}ms`);
+
+        return {
+            birdData,
+            fields: new Set(birdData.flatMap(record => Object.keys(record))),
+            indexes,
+            checksum: crypto.createHash('sha256').update(rawData).digest('hex')
+        };
+    }
+
+    /**
+     * Swap a prepared dataset in. Runs synchronously, so a request never sees a mix of old and new state;
+     * requests already in flight keep the references they started with.
+     * @param {Object} dataset - Result of prepareDataset
+     */
+    applyDataset({ birdData, fields, indexes, checksum }) {
+        this.generation++;
+        this.birdData = birdData;
+        this.fields = fields;
+        this.indexes = indexes;
+        this.taxonomyTree = null;
+        this.conservationAnalytics = null;
+        this.resultCache.clear();
+        this.datasetInfo = {
+            // Taken from the file contents, so every instance serving the same file reports the same version
+            version: checksum.slice(0, 12),
+            checksum,
+            reloadCount: this.generation - 1,
+            recordCount: birdData.length,
+            dataFile: path.resolve(this.dataFile),
+            loadedAt: new Date().toISOString()
+        };
+    }
+
     /**
      * Load bird data from JSON file
      */
@@ -26,7 +243,7 @@ class BirdQueryEngine {
             }
 
             const rawData = fs.readFileSync(dataPath, 'utf8');
-            this.birdData = JSON.parse(rawData);
+            this.applyDataset(this.prepareDataset(rawData));
             console.log(`Loaded ${this.birdData.length} bird records`);
         } catch (error) {
             console.error('Error loading bird data:', error.message);
@@ -34,15 +251,119 @@ class BirdQueryEngine {
         }
     }
 
+    /**
+     * Re-read the data file and swap it in if it is valid. The current dataset stays
+     * loaded when the new file is missing or invalid. Concurrent calls share one reload.
+     * @returns {Object} { reloaded, dataset } where reloaded is false if the checksum did not change
+     */
+    async reload() {
+        if (this.pendingReload) {
+            return this.pendingReload;
+        }
+
+        this.pendingReload = (async () => {
+            const dataPath = path.resolve(this.dataFile);
+            console.log(`Reloading bird data from ${dataPath}...`);
+
+            const rawData = await fs.promises.readFile(dataPath, 'utf8');
+            const dataset = this.prepareDataset(rawData);
+
+            if (dataset.checksum === this.datasetInfo?.checksum) {
+                console.log('Bird data unchanged, keeping current dataset');
+                return { reloaded: false, dataset: this.datasetInfo };
+            }
+
+            this.applyDataset(dataset);
+            console.log(`Reloaded ${this.birdData.length} bird records (version ${this.datasetInfo.version})`);
+            return { reloaded: true, dataset: this.datasetInfo };
+        })();
+
+        try {
+            return await this.pendingReload;
+        } catch (error) {
+            console.error('Error reloading bird data, keeping current dataset:', error.message);
+            throw error;
+        } finally {
+            this.pendingReload = null;
+        }
+    }
+
+    /**
+     * Reload automatically whenever the data file changes
+     * @param {number} interval - Polling interval in milliseconds
+     */
+    watchDataFile(interval = 2000) {
+        if (this.watcher) {
+            return;
+        }
+
+        const dataPath = path.resolve(this.dataFile);
+        // Polling copes with editors and deploy scripts that replace the file instead of writing in place
+        this.watcher = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+                this.reload().catch(() => {});
+            }
+        };
+        fs.watchFile(dataPath, { interval, persistent: false }, this.watcher);
+        console.log(`Watching ${dataPath} for changes`);
+    }
+
+    /**
+     * Stop watching the data file
+     */
+    unwatchDataFile() {
+        if (this.watcher) {
+            fs.unwatchFile(path.resolve(this.dataFile), this.watcher);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Check that a field name is one of the dataset's columns
+     * @param {string} field - Field name to validate
+     * @returns {string} The validated field name
+     */
+    assertField(field) {
+        if (typeof field !== 'string' || !this.fields.has(field)) {
+            throw new QueryValidationError(`Unknown field: ${field}. Use one of: ${[...this.fields].join(', ')}`);
+        }
+        return field;
+    }
+
+    /**
+     * Return a cached result for a method call, computing and caching it on a miss.
+     * Cached results are shared between callers, so they must not be modified.
+     * @param {string} method - Method name
+     * @param {Array} args - Normalized arguments
+     * @param {Function} compute - Produces the result
+     * @returns {any} Result
+     */
+    async cached(method, args, compute) {
+        const key = cacheKey(method, args);
+        const hit = this.resultCache.get(key);
+        if (hit) {
+            return hit.value;
+        }
+
+        const generation = this.generation;
+        const result = await compute();
+        // A reload during the computation would leave a result for the old dataset
+        if (generation === this.generation) {
+            this.resultCache.set(key, result);
+        }
+        return result;
+    }
+
     /**
      * Execute a raw JSONata query
      * @param {string} queryString - JSONata query expression
+     * @param {Object} bindings - Values exposed to the expression as $variables
      * @returns {any} Query result
      */
-    async executeQuery(queryString) {
+    async executeQuery(queryString, bindings = {}) {
         try {
             const expression = jsonata(queryString);
-            const result = await expression.evaluate(this.birdData);
+            const result = await expression.evaluate(this.birdData, bindings);
             return result;
         } catch (error) {
             console.error('Query execution error:', error.message);
@@ -50,26 +371,39 @@ class BirdQueryEngine {
         }
     }
 
+    /**
+     * Execute an untrusted JSONata query under the configured time, depth,
+     * step, result-size and function limits
+     * @param {string} queryString - JSONata query expression
+     * @param {Object} bindings - Values exposed to the expression as $variables
+     * @returns {any} Query result
+     */
+    async executeSandboxedQuery(queryString, bindings = {}) {
+        return evaluateSandboxed(queryString, this.birdData, this.sandboxOptions, bindings);
+    }
+
     /**
      * Get basic statistics about the dataset
      * @returns {Object} Dataset statistics
      */
     async getDatasetStats() {
-        const queries = {
-            totalRecords: '$count($)',
-            totalOrders: '$count($distinct(Order[$ != ""]))',
-            totalFamilies: '$count($distinct(Family[$ != ""]))',
-            totalSpecies: '$count($[Taxon_rank = "species"])',
-            extinctSpecies: '$count($[Extinct_or_possibly_extinct != ""])',
-            iucnCategories: '$distinct(IUCN_Red_List_Category[$ != ""])'
-        };
+        return this.cached('getDatasetStats', [], async () => {
+            const queries = {
+                totalRecords: '$count($)',
+                totalOrders: '$count($distinct(Order[$ != ""]))',
+                totalFamilies: '$count($distinct(Family[$ != ""]))',
+                totalSpecies: '$count($[Taxon_rank = "species"])',
+                extinctSpecies: '$count($[Extinct_or_possibly_extinct != ""])',
+                iucnCategories: '$distinct(IUCN_Red_List_Category[$ != ""])'
+            };
 
-        const stats = {};
-        for (const [key, query] of Object.entries(queries)) {
-            stats[key] = await this.executeQuery(query);
-        }
+            const stats = {};
+            for (const [key, query] of Object.entries(queries)) {
+                stats[key] = await this.executeQuery(query);
+            }
 
-        return stats;
+            return stats;
+        });
     }
 
     /**
@@ -79,13 +413,114 @@ class BirdQueryEngine {
      * @returns {Array} Matching bird records
      */
     async searchByName(searchTerm, exactMatch = false) {
-        const searchQuery = exactMatch 
-            ? `$[Scientific_name = "${searchTerm}" or English_name_AviList = "${searchTerm}" or English_name_Clements_v2024 = "${searchTerm}" or English_name_BirdLife_v9 = "${searchTerm}"]`
-            : `$[Scientific_name ~> /.*${searchTerm}.*/i or English_name_AviList ~> /.*${searchTerm}.*/i or English_name_Clements_v2024 ~> /.*${searchTerm}.*/i or English_name_BirdLife_v9 ~> /.*${searchTerm}.*/i]`;
-        
-        const result = await this.executeQuery(searchQuery);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        requireString(searchTerm, 'search term');
+
+        return exactMatch
+            ? this.indexes.names.searchExact(searchTerm)
+            : this.indexes.names.searchSubstring(searchTerm);
+    }
+
+    /**
+     * Typo-tolerant search over scientific and English names
+     * @param {string} searchTerm - Possibly misspelled name
+     * @param {Object} options - { minScore } relevance cut-off between 0 and 1
+     * @returns {Array} Hits as { bird, score, matchedField, matchedName }, best first
+     */
+    async fuzzySearchByName(searchTerm, options = {}) {
+        requireSearchName(searchTerm, 'search term');
+        if (options.minScore !== undefined && !(options.minScore >= 0 && options.minScore <= 1)) {
+            throw new QueryValidationError('Invalid minScore: expected a number between 0 and 1');
+        }
+
+        return this.indexes.fuzzyNames.search(searchTerm, options);
+    }
+
+    /**
+     * Autocomplete suggestions for scientific and English names
+     * @param {string} prefix - Typed prefix
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Suggestions as { name, nameSource, scientificName, taxonRank }
+     */
+    async suggestNames(prefix, limit = 10) {
+        requireString(prefix, 'prefix');
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new QueryValidationError('Invalid limit: expected a positive integer');
+        }
+
+        return this.indexes.suggestions.suggest(prefix, limit);
+    }
+
+    /**
+     * Map names from one naming authority to another
+     * @param {Array} names - Input names
+     * @param {string} from - Source authority (avilist, clements, birdlife or scientific)
+     * @param {string} to - Target authority
+     * @param {Object} options - { maxFuzzy } most names that may need a fuzzy search
+     * @returns {Array} One result per input with the matched record, target name, confidence and flags
+     */
+    async reconcileNames(names, from, to, { maxFuzzy = Infinity } = {}) {
+        for (const authority of [from, to]) {
+            if (!Object.hasOwn(AUTHORITY_FIELDS, authority)) {
+                throw new QueryValidationError(`Invalid authority: ${authority}. Expected one of: ${Object.keys(AUTHORITY_FIELDS).join(', ')}`);
+            }
+        }
+        const { reconciler } = this.indexes;
+        const authorities = Object.keys(AUTHORITY_FIELDS);
+        const exact = new Set();
+        requireNameList(names, (name) => {
+            if (reconciler.findExact(name, authorities) !== null) {
+                exact.add(name);
+            }
+            return exact.has(name);
+        }, maxFuzzy);
+
+        const results = [];
+        for (const name of names) {
+            results.push(reconciler.reconcile(name, from, to));
+            if (!exact.has(name)) {
+                await yieldToEventLoop();
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Resolve names from any authority, as submitted in an observation list
+     * @param {Array} names - Input names
+     * @param {Object} options - { maxFuzzy } most names that may need a fuzzy search
+     * @returns {Array} One result per input with status matched, ambiguous or unmatched
+     */
+    async matchNames(names, { maxFuzzy = Infinity } = {}) {
+        const { reconciler } = this.indexes;
+        const authorities = Object.keys(AUTHORITY_FIELDS);
+        const exact = new Map();
+        requireNameList(names, (name) => {
+            exact.set(name, reconciler.findExact(name, authorities));
+            return exact.get(name) !== null;
+        }, maxFuzzy);
+
+        const results = [];
+        for (const input of names) {
+            let match = exact.get(input);
+            if (!match) {
+                match = reconciler.findFuzzy(input);
+                await yieldToEventLoop();
+            }
+            const { records, matchType, matchedAuthority, score } = match;
+            const status = records.length === 0 ? 'unmatched' : records.length === 1 ? 'matched' : 'ambiguous';
+            results.push({
+                input,
+                status,
+                matchType,
+                matchedAuthority,
+                score,
+                record: status === 'matched' ? records[0] : null,
+                candidates: status === 'ambiguous'
+                    ? records.map(record => ({ scientificName: record.Scientific_name, taxonRank: record.Taxon_rank, englishName: record.English_name_AviList || null }))
+                    : []
+            });
+        }
+        return results;
     }
 
     /**
@@ -97,13 +532,50 @@ class BirdQueryEngine {
     async getByTaxonomy(level, value) {
         const validLevels = ['Taxon_rank', 'Order', 'Family'];
         if (!validLevels.includes(level)) {
-            throw new Error(`Invalid taxonomic level. Use one of: ${validLevels.join(', ')}`);
+            throw new QueryValidationError(`Invalid taxonomic level. Use one of: ${validLevels.join(', ')}`);
         }
+        requireString(value, 'taxonomic value');
 
-        const query = `$[${level} = "${value}"]`;
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        return [...(this.indexes.byField[level].get(value) ?? [])];
+    }
+
+    /**
+     * Taxonomy tree root, built on first use
+     * @returns {Object} Internal root node
+     */
+    getTaxonomyRoot() {
+        if (!this.taxonomyTree) {
+            this.taxonomyTree = buildTaxonomyTree(this.birdData);
+        }
+        return this.taxonomyTree;
+    }
+
+    /**
+     * Browse the taxonomy as a nested tree with counts at each node
+     * @param {Object} options - { order, family, includeIucn }. Without order/family, returns orders and their families;
+     *     with order, that order down to species; with order and family, that family with species and subspecies
+     * @returns {Object} Tree node
+     */
+    async getTaxonomyTree({ order, family, includeIucn = false } = {}) {
+        const root = this.getTaxonomyRoot();
+
+        if (order === undefined) {
+            return projectNode(root, { depth: 2, includeIucn });
+        }
+
+        const orderNode = root.childIndex.get(order);
+        if (!orderNode) {
+            throw new Error(`Order not found: ${order}`);
+        }
+        if (family === undefined) {
+            return projectNode(orderNode, { depth: 2, includeIucn });
+        }
+
+        const familyNode = orderNode.childIndex.get(family);
+        if (!familyNode) {
+            throw new Error(`Family not found in ${order}: ${family}`);
+        }
+        return projectNode(familyNode, { includeIucn });
     }
 
     /**
@@ -112,10 +584,9 @@ class BirdQueryEngine {
      * @returns {Array} Birds in the specified IUCN category
      */
     async getByIUCNCategory(category) {
-        const query = `$[IUCN_Red_List_Category = "${category}"]`;
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        requireString(category, 'IUCN category');
+
+        return this.cached('getByIUCNCategory', [category], async () => [...(this.indexes.byField.IUCN_Red_List_Category.get(category) ?? [])]);
     }
 
     /**
@@ -123,10 +594,12 @@ class BirdQueryEngine {
      * @returns {Array} Extinct species records
      */
     async getExtinctSpecies() {
-        const query = '$[Extinct_or_possibly_extinct != ""]';
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        return this.cached('getExtinctSpecies', [], async () => {
+            const query = '$[Extinct_or_possibly_extinct != ""]';
+            const result = await this.executeQuery(query);
+            // Ensure we always return an array (JSONata returns single object for one match)
+            return Array.isArray(result) ? result : (result ? [result] : []);
+        });
     }
 
     /**
@@ -135,10 +608,46 @@ class BirdQueryEngine {
      * @returns {Array} Birds found in the specified region
      */
     async getByRange(region) {
-        const query = `$[Range ~> /.*${region}.*/i]`;
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        requireString(region, 'region');
+
+        return this.indexes.range.searchSubstring(region);
+    }
+
+    /**
+     * Get birds whose parsed range mentions a gazetteer region
+     * @param {string} region - Region id, name or alias
+     * @param {Object} options - { includeSubregions } to also match regions inside it (default true)
+     * @returns {Array} Matching records in dataset order
+     */
+    async getByRegion(region, { includeSubregions = true } = {}) {
+        requireString(region, 'region');
+
+        const id = this.indexes.regions.gazetteer.resolve(region);
+        if (!id) {
+            throw new Error(`Region not found: ${region}`);
+        }
+        return [...this.indexes.regions.recordsIn(id, includeSubregions)];
+    }
+
+    /**
+     * List gazetteer regions with record and species counts
+     * @param {Object} options - { type, parent } to keep one region type or the regions inside a region
+     * @returns {Array} Regions as { id, name, type, parents, species, records }
+     */
+    async getRegions({ type, parent } = {}) {
+        let regions = this.indexes.regions.summary();
+        if (type !== undefined) {
+            regions = regions.filter(region => region.type === type);
+        }
+        if (parent !== undefined) {
+            const parentId = this.indexes.regions.gazetteer.resolve(requireString(parent, 'parent'));
+            if (!parentId) {
+                throw new Error(`Region not found: ${parent}`);
+            }
+            const { gazetteer } = this.indexes.regions;
+            regions = regions.filter(region => region.id !== parentId && gazetteer.withAncestors(region.id).includes(parentId));
+        }
+        return regions;
     }
 
     /**
@@ -147,10 +656,14 @@ class BirdQueryEngine {
      * @returns {Array} Array of unique values
      */
     async getUniqueValues(field) {
-        const query = `$distinct(${field}[$ != ""])`;
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single value for one unique value)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        this.assertField(field);
+
+        return this.cached('getUniqueValues', [field], async () => {
+            const query = '$distinct($lookup($, $field)[$ != ""])';
+            const result = await this.executeQuery(query, { field });
+            // Ensure we always return an array (JSONata returns single value for one unique value)
+            return Array.isArray(result) ? result : (result ? [result] : []);
+        });
     }
 
     /**
@@ -159,10 +672,54 @@ class BirdQueryEngine {
      * @returns {Array} Birds described by the specified authority
      */
     async getByAuthority(authority) {
-        const query = `$[Authority ~> /.*${authority}.*/i]`;
-        const result = await this.executeQuery(query);
-        // Ensure we always return an array (JSONata returns single object for one match)
-        return Array.isArray(result) ? result : (result ? [result] : []);
+        requireString(authority, 'authority');
+
+        return this.cached('getByAuthority', [authority], async () => {
+            const query = '$[$contains(Authority, $pattern)]';
+            const result = await this.executeQuery(query, { pattern: substringMatcher(authority) });
+            // Ensure we always return an array (JSONata returns single object for one match)
+            return Array.isArray(result) ? result : (result ? [result] : []);
+        });
+    }
+
+    /**
+     * Get birds described within a year range, using the year parsed from Authority
+     * @param {Object} options - { from, to, author } where the years are inclusive and author matches
+     *     one of the parsed author names, ignoring case
+     * @returns {Array} Matching records in dataset order
+     */
+    async getByDescriptionYear({ from, to, author } = {}) {
+        requireYearRange(from, to);
+        if (author !== undefined) {
+            requireString(author, 'author');
+        }
+
+        return this.indexes.authorities.described({ from, to, author }).map(({ record }) => record);
+    }
+
+    /**
+     * Count species described per decade
+     * @param {Object} options - { from, to } inclusive year range
+     * @returns {Array} [{ decade, species, describedInOtherGenus }] in decade order
+     */
+    async getDescriptionsByDecade({ from, to } = {}) {
+        requireYearRange(from, to);
+
+        return this.indexes.authorities.decades({ from, to });
+    }
+
+    /**
+     * Authors who described the most species
+     * @param {Object} options - { limit, from, to }
+     * @returns {Array} [{ author, species, describedInOtherGenus, firstYear, lastYear }], most species first
+     */
+    async getTopAuthors({ limit = 20, from, to } = {}) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new QueryValidationError('Invalid limit: expected a positive integer');
+        }
+        requireYearRange(from, to);
+
+        return this.indexes.authorities.topAuthors({ limit, from, to });
     }
 
     /**
@@ -183,8 +740,8 @@ class BirdQueryEngine {
             randomIndices.push(randomIndex);
         }
 
-        const query = `$[Sequence in [${randomIndices.map(i => i + 1).join(', ')}]]`;
-        const result = await this.executeQuery(query);
+        const query = '$[Sequence in $sequences]';
+        const result = await this.executeQuery(query, { sequences: randomIndices.map(i => i + 1) });
         // Ensure we always return an array (JSONata returns single object for one match)
         return Array.isArray(result) ? result : (result ? [result] : []);
     }
@@ -195,18 +752,60 @@ class BirdQueryEngine {
      * @returns {Object} Grouped results
      */
     async groupBy(groupField) {
-        const query = `
-        {
-            "${groupField}": $distinct(${groupField}[$ != ""]) ~> $map(function($group) {
-                {
-                    "name": $group,
-                    "count": $count($[${groupField} = $group]),
-                    "species": $[${groupField} = $group and Taxon_rank = "species"]
-                }
-            })
-        }`;
-        
-        return await this.executeQuery(query);
+        this.assertField(groupField);
+
+        const groups = [...groupRecords(this.birdData, groupField)].map(([name, records]) => ({
+            name,
+            count: records.length,
+            species: records.filter(record => record.Taxon_rank === 'species')
+        }));
+        return { [groupField]: groups };
+    }
+
+    /**
+     * Conservation summaries per order and family, built on first use and kept until the dataset changes
+     * @returns {Object} { totals, orders, families }
+     */
+    getConservationSummaries() {
+        if (!this.conservationAnalytics) {
+            this.conservationAnalytics = buildConservationAnalytics(this.birdData);
+        }
+        return this.conservationAnalytics;
+    }
+
+    /**
+     * IUCN category counts and shares, extinct counts and threat index (share of CR, EN and VU species)
+     * for each order and family, with the most threatened families ranked
+     * @param {Object} options - { order, top, minSpecies } where order limits the report to one order
+     *     and minSpecies is the smallest family size considered for the ranking
+     * @returns {Object} { totals, mostThreatenedFamilies, orders, families }
+     */
+    async getConservationAnalytics({ order, top = 10, minSpecies = 5 } = {}) {
+        if (!Number.isInteger(top) || top < 1) {
+            throw new QueryValidationError('Invalid top: expected a positive integer');
+        }
+        if (!Number.isInteger(minSpecies) || minSpecies < 1) {
+            throw new QueryValidationError('Invalid minSpecies: expected a positive integer');
+        }
+
+        let { totals, orders, families } = this.getConservationSummaries();
+        if (order !== undefined) {
+            requireString(order, 'order');
+            const orderSummary = orders.find(summary => summary.name === order);
+            if (!orderSummary) {
+                throw new Error(`Order not found: ${order}`);
+            }
+            totals = orderSummary;
+            orders = [orderSummary];
+            families = families.filter(summary => summary.order === order);
+        }
+
+        return {
+            totals,
+            mostThreatenedFamilies: rankThreatenedFamilies(families, { top, minSpecies }),
+            orders,
+            families
+        };
     }
 
     /**
@@ -215,19 +814,23 @@ class BirdQueryEngine {
      * @returns {Object} Detailed bird information
      */
     async getBirdReport(scientificName) {
-        const query = `$[Scientific_name = "${scientificName}"][0]`;
-        const bird = await this.executeQuery(query);
+        requireString(scientificName, 'scientific name');
+
+        const [bird] = this.indexes.byField.Scientific_name.get(scientificName) ?? [];
         
         if (!bird) {
             throw new Error(`Bird not found: ${scientificName}`);
         }
 
         // Get related birds in the same family
-        const familyQuery = `$[Family = "${bird.Family}" and Scientific_name != "${scientificName}"][0..4]`;
-        const relatedBirds = await this.executeQuery(familyQuery);
+        const relatedBirds = (this.indexes.byField.Family.get(bird.Family) ?? [])
+            .filter(related => related.Scientific_name !== scientificName)
+            .slice(0, 5);
 
         return {
             bird,
+            authority: await this.getParsedAuthority(bird),
+            regions: await this.getRecordRegions(bird),
             relatedInFamily: relatedBirds,
             conservationStatus: bird.IUCN_Red_List_Category || 'Not assessed',
             hasUrls: {
@@ -238,27 +841,98 @@ class BirdQueryEngine {
         };
     }
 
+    /**
+     * Authority of a record parsed into authors and year, from the authority index
+     * @param {Object} record - Bird record
+     * @returns {Object|null} { authors, year, ... }, or null when the record has no parseable authority
+     */
+    async getParsedAuthority(record) {
+        return this.indexes.authorities.authorityOf(record);
+    }
+
+    /**
+     * Gazetteer regions a record's Range mentions
+     * @param {Object} record - Bird record
+     * @returns {Array} Regions as { id, name, type }
+     */
+    async getRecordRegions(record) {
+        const { gazetteer } = this.indexes.regions;
+        return this.indexes.regions.regionsOf(record).map((id) => {
+            const { name, type } = gazetteer.regions.get(id);
+            return { id, name, type };
+        });
+    }
+
+    /**
+     * Search with combined filters and count the values of each facet in the result set
+     * @param {Object} filters - { q, range, order, family, iucn, rank, extinct }. Facet filters
+     *   (order, family, iucn, rank, extinct) take a value or an array of values to OR together
+     * @returns {Object} { results, facets }
+     */
+    async facetedSearch(filters = {}) {
+        const { q, range, ...selected } = filters;
+        const unknown = Object.keys(selected).filter(key => !Object.hasOwn(FACETS, key));
+        if (unknown.length > 0) {
+            throw new QueryValidationError(`Unknown filter: ${unknown.join(', ')}. Expected q, range, ${Object.keys(FACETS).join(', ')}`);
+        }
+
+        const selections = {};
+        for (const [key, value] of Object.entries(selected)) {
+            const values = [value].flat();
+            const type = key === 'extinct' ? 'boolean' : 'string';
+            if (!values.every(item => typeof item === type)) {
+                throw new QueryValidationError(`Invalid ${key} filter: expected a ${type} or an array of them`);
+            }
+            selections[key] = values;
+        }
+
+        let candidates = q === undefined ? this.birdData : this.indexes.names.searchSubstring(requireString(q, 'q'));
+        for (const keyword of range === undefined ? [] : [range].flat()) {
+            const inRange = new Set(this.indexes.range.searchSubstring(requireString(keyword, 'range')));
+            candidates = candidates.filter(record => inRange.has(record));
+        }
+
+        return applyFacets(candidates, selections);
+    }
+
     /**
      * Custom query builder for complex searches
      * @param {Object} filters - Object containing filter criteria
      * @returns {Array} Filtered results
      */
     async customQuery(filters) {
-        let conditions = [];
+        const entries = Object.entries(filters ?? {});
+        if (entries.length === 0) {
+            throw new QueryValidationError('At least one filter is required');
+        }
+
+        const conditions = [];
+        const bindings = {};
+        const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
         
-        Object.entries(filters).forEach(([field, value]) => {
+        entries.forEach(([field, value], i) => {
+            this.assertField(field);
+            bindings[`f${i}`] = field;
+
             if (Array.isArray(value)) {
-                conditions.push(`${field} in [${value.map(v => `"${v}"`).join(', ')}]`);
+                if (!value.every(isScalar)) {
+                    throw new QueryValidationError(`Invalid filter value for ${field}: arrays may only contain strings, numbers or booleans`);
+                }
+                bindings[`v${i}`] = value;
+                conditions.push(`$lookup($, $f${i}) in $v${i}`);
             } else if (typeof value === 'string' && value.includes('*')) {
-                const pattern = value.replace(/\*/g, '.*');
-                conditions.push(`${field} ~> /${pattern}/i`);
+                bindings[`v${i}`] = wildcardMatcher(value);
+                conditions.push(`$contains($string($lookup($, $f${i})), $v${i})`);
+            } else if (isScalar(value)) {
+                bindings[`v${i}`] = value;
+                conditions.push(`$lookup($, $f${i}) = $v${i}`);
             } else {
-                conditions.push(`${field} = "${value}"`);
+                throw new QueryValidationError(`Invalid filter value for ${field}: expected a string, number, boolean or array`);
             }
         });
 
         const query = `$[${conditions.join(' and ')}]`;
-        const result = await this.executeQuery(query);
+        const result = await this.executeQuery(query, bindings);
         // Ensure we always return an array (JSONata returns single object for one match)
         return Array.isArray(result) ? result : (result ? [result] : []);
     }
@@ -313,7 +987,7 @@ async function interactiveCLI() {
 }
 
 // Export the class and run interactive mode if executed directly
-export { BirdQueryEngine };
+export { BirdQueryEngine, QueryValidationError, escapeRegex, validateBirdData };
 
 // Interactive mode when run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
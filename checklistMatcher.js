@@ -0,0 +1,174 @@
+import { formatCsv, parseCsvObjects } from './csv.js';
+
+/**
+ * Resolve submitted observation lists (plain text, CSV or JSON) to bird records
+ */
+
+// Header names, after normalization, that hold the bird name in an uploaded CSV
+const NAME_COLUMNS = ['name', 'scientific_name', 'species', 'common_name', 'english_name', 'taxon'];
+
+const CSV_COLUMNS = ['line', 'input', 'status', 'matchType', 'matchedAuthority', 'score', 'Scientific_name', 'English_name_AviList', 'candidates'];
+
+/**
+ * Normalize a CSV header for comparison with NAME_COLUMNS
+ * @param {string} header - Header text
+ * @returns {string} Lowercase snake_case header
+ */
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Split plain text into one name per line, skipping blank lines and # comments
+ * @param {string} text - Submitted text
+ * @returns {Array} Entries as { line, input }
+ */
+function parseTextList(text) {
+    return text.split(/\r\n|\r|\n/)
+        .map((input, index) => ({ line: index + 1, input: input.trim() }))
+        .filter(({ input }) => input !== '' && !input.startsWith('#'));
+}
+
+/**
+ * Read the name column of an uploaded CSV
+ * @param {string} text - CSV text with a header row
+ * @param {string} column - Column to read, defaults to the first recognised name column
+ * @returns {Array} Entries as { line, input }
+ */
+function parseCsvList(text, column) {
+    const { headers, rows } = parseCsvObjects(text);
+    const nameColumn = column
+        ?? headers.find(header => NAME_COLUMNS.includes(normalizeHeader(header)))
+        ?? headers[0];
+
+    if (!headers.includes(nameColumn)) {
+        throw new Error(`Column not found: ${nameColumn}. Available: ${headers.join(', ')}`);
+    }
+
+    // Line 1 is the header row
+    return rows
+        .map((row, index) => ({ line: index + 2, input: (row[nameColumn] ?? '').trim() }))
+        .filter(({ input }) => input !== '');
+}
+
+/**
+ * Split a multipart/form-data body into its fields and uploaded files
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header, which names the boundary
+ * @returns {Object} { fields, files } where fields maps name to value and files maps name to { filename, contentType, content }
+ */
+function parseMultipartForm(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType ?? '');
+    if (!boundary) {
+        throw new Error('Missing multipart boundary');
+    }
+
+    // latin1 keeps one character per byte, so file contents can be decoded as UTF-8 afterwards
+    const parts = body.toString('latin1').split(`--${boundary[1] ?? boundary[2]}`);
+    if (parts.length < 3 || !parts.at(-1).startsWith('--')) {
+        throw new Error('Malformed multipart body');
+    }
+
+    const fields = {};
+    const files = {};
+    for (const part of parts.slice(1, -1)) {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            throw new Error('Malformed multipart part');
+        }
+        const headers = Object.fromEntries(part.slice(2, headerEnd).split('\r\n').map((line) => {
+            const colon = line.indexOf(':');
+            return [line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim()];
+        }));
+        const disposition = headers['content-disposition'] ?? '';
+        const name = /\bname="([^"]*)"/.exec(disposition)?.[1];
+        if (name === undefined) {
+            throw new Error('Multipart part without a name');
+        }
+
+        // The part ends with the CRLF that precedes the next boundary
+        const content = Buffer.from(part.slice(headerEnd + 4, -2), 'latin1').toString('utf8');
+        const filename = /\bfilename="([^"]*)"/.exec(disposition)?.[1];
+        if (filename === undefined) {
+            fields[name] = content;
+        } else {
+            files[name] = { filename, contentType: headers['content-type'] ?? 'application/octet-stream', content };
+        }
+    }
+    return { fields, files };
+}
+
+/**
+ * Turn a request body into a list of names to match
+ * @param {any} body - Parsed body: a string for text/plain and text/csv, otherwise JSON
+ * @param {Object} options - { csv, column }
+ * @returns {Array} Entries as { line, input }
+ */
+function parseChecklistInput(body, { csv = false, column } = {}) {
+    if (typeof body === 'string') {
+        return csv ? parseCsvList(body, column) : parseTextList(body);
+    }
+
+    const names = Array.isArray(body) ? body : body?.names;
+    if (!Array.isArray(names)) {
+        throw new Error('Expected plain text, CSV, a JSON array of names or { "names": [...] }');
+    }
+    return names
+        .map((input, index) => {
+            if (typeof input !== 'string') {
+                throw new Error(`Invalid name at index ${index}: expected a string`);
+            }
+            return { line: index + 1, input: input.trim() };
+        })
+        .filter(({ input }) => input !== '');
+}
+
+/**
+ * Match-quality counts for a set of match results
+ * @param {Array} results - Match results
+ * @returns {Object} Totals by status and match type, match rate and mean score of resolved lines
+ */
+function summarizeMatches(results) {
+    const stats = {
+        total: results.length,
+        matched: 0,
+        ambiguous: 0,
+        unmatched: 0,
+        byMatchType: { exact: 0, normalized: 0, fuzzy: 0 },
+        matchRate: 0,
+        averageScore: null
+    };
+
+    let scoreSum = 0;
+    for (const result of results) {
+        stats[result.status]++;
+        if (result.status === 'matched') {
+            stats.byMatchType[result.matchType]++;
+            scoreSum += result.score;
+        }
+    }
+
+    if (stats.total > 0) {
+        stats.matchRate = Math.round(stats.matched / stats.total * 1000) / 1000;
+    }
+    if (stats.matched > 0) {
+        stats.averageScore = Math.round(scoreSum / stats.matched * 1000) / 1000;
+    }
+    return stats;
+}
+
+/**
+ * Flatten match results into one CSV row per submitted line
+ * @param {Array} results - Match results
+ * @returns {string} CSV text
+ */
+function matchesToCsv(results) {
+    return formatCsv(results.map(result => ({
+        ...result,
+        Scientific_name: result.record?.Scientific_name,
+        English_name_AviList: result.record?.English_name_AviList,
+        candidates: result.candidates.map(candidate => candidate.scientificName).join('; ')
+    })), CSV_COLUMNS);
+}
+
+export { matchesToCsv, parseChecklistInput, parseMultipartForm, summarizeMatches };
@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CACHE_OPTIONS } from './resultCache.js';
+import { DEFAULT_GRAPHQL_LIMITS } from './graphqlSchema.js';
+import { DEFAULT_SANDBOX_OPTIONS } from './querySandbox.js';
+
+/**
+ * Server configuration from environment variables and an optional JSON config file.
+ * Environment variables override the file. Every value is validated at startup.
+ */
+
+// Relative paths without a config file are resolved from the repository, not the working directory
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Error listing every problem found in the configuration
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array} problems - One message per invalid setting
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Value types. Each parses an environment string and validates a config file value,
+ * returning the typed value or throwing a message without the setting name.
+ */
+const TYPES = {
+    integer: ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => ({
+        fromEnv: value => (/^\d+$/.test(value) ? Number(value) : value),
+        validate(value) {
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`expected an integer between ${min} and ${max}, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }),
+    boolean: () => ({
+        fromEnv: value => ({ true: true, 1: true, false: false, 0: false })[value] ?? value,
+        validate(value) {
+            if (typeof value !== 'boolean') {
+                throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }),
+    string: () => ({
+        fromEnv: value => value,
+        validate(value) {
+            if (typeof value !== 'string' || value.trim() === '') {
+                throw new Error(`expected a non-empty string, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }),
+    path: () => ({
+        fromEnv: value => value,
+        validate(value, baseDir) {
+            if (typeof value !== 'string' || value.trim() === '') {
+                throw new Error(`expected a file path, got ${JSON.stringify(value)}`);
+            }
+            return path.resolve(baseDir, value);
+        }
+    }),
+    prefix: () => ({
+        fromEnv: value => value,
+        validate(value) {
+            if (typeof value !== 'string' || !/^(\/[A-Za-z0-9._~-]+)*$/.test(value)) {
+                throw new Error(`expected "" or a path like /avibase-mcp without a trailing slash, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }),
+    size: () => ({
+        fromEnv: value => value,
+        validate(value) {
+            if (typeof value !== 'string' || !/^\d+(b|kb|mb|gb)$/i.test(value)) {
+                throw new Error(`expected a size like 512kb or 10mb, got ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }),
+    functions: () => ({
+        fromEnv: value => value.split(',').map(name => name.trim()).filter(Boolean),
+        validate(value) {
+            if (!Array.isArray(value) || !value.every(name => typeof name === 'string' && /^\$?\w+$/.test(name))) {
+                throw new Error(`expected a list of JSONata function names, got ${JSON.stringify(value)}`);
+            }
+            return value.map(name => name.replace(/^\$/, ''));
+        }
+    })
+};
+
+/**
+ * Every setting: its key in the config file, environment variable, type and default
+ */
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: TYPES.integer({ min: 0, max: 65535 }), default: 3022 },
+    { key: 'host', env: 'HOST', type: TYPES.string(), default: null },
+    { key: 'prefix', env: 'API_PREFIX', type: TYPES.prefix(), default: '/avibase-mcp' },
+    { key: 'dataFile', env: 'DATA_FILE', type: TYPES.path(), default: 'birdIndex.json' },
+    { key: 'datasetsDir', env: 'DATASETS_DIR', type: TYPES.path(), default: 'datasets' },
+    { key: 'watchData', env: 'WATCH_DATA', type: TYPES.boolean(), default: false },
+    { key: 'apiKeysFile', env: 'API_KEYS_FILE', type: TYPES.path(), default: 'apiKeys.json' },
+    { key: 'savedQueriesFile', env: 'SAVED_QUERIES_FILE', type: TYPES.path(), default: 'savedQueries.json' },
+    { key: 'requireApiKey', env: 'REQUIRE_API_KEY', type: TYPES.boolean(), default: false },
+    { key: 'bodyLimit', env: 'BODY_LIMIT', type: TYPES.size(), default: '10mb' },
+    { key: 'rateLimit.windowMinutes', env: 'RATE_LIMIT_WINDOW_MINUTES', type: TYPES.integer({ min: 1 }), default: 15 },
+    { key: 'rateLimit.max', env: 'RATE_LIMIT_MAX', type: TYPES.integer({ min: 1 }), default: 100 },
+    { key: 'limits.reconcileNames', env: 'MAX_RECONCILE_NAMES', type: TYPES.integer({ min: 1 }), default: 1000 },
+    { key: 'limits.matchLines', env: 'MAX_MATCH_LINES', type: TYPES.integer({ min: 1 }), default: 5000 },
+    { key: 'limits.fuzzyNames', env: 'MAX_FUZZY_NAMES', type: TYPES.integer({ min: 1 }), default: 200 },
+    { key: 'cache.maxEntries', env: 'CACHE_SIZE', type: TYPES.integer(), default: DEFAULT_CACHE_OPTIONS.maxEntries },
+    { key: 'cache.maxAgeSeconds', env: 'CACHE_MAX_AGE', type: TYPES.integer(), default: DEFAULT_CACHE_OPTIONS.maxAgeSeconds },
+    { key: 'sandbox.timeoutMs', env: 'QUERY_TIMEOUT_MS', type: TYPES.integer({ min: 1 }), default: DEFAULT_SANDBOX_OPTIONS.timeoutMs },
+    { key: 'sandbox.maxDepth', env: 'QUERY_MAX_DEPTH', type: TYPES.integer({ min: 1 }), default: DEFAULT_SANDBOX_OPTIONS.maxDepth },
+    { key: 'sandbox.maxSteps', env: 'QUERY_MAX_STEPS', type: TYPES.integer({ min: 1 }), default: DEFAULT_SANDBOX_OPTIONS.maxSteps },
+    { key: 'sandbox.maxResultBytes', env: 'QUERY_MAX_RESULT_BYTES', type: TYPES.integer({ min: 1 }), default: DEFAULT_SANDBOX_OPTIONS.maxResultBytes },
+    { key: 'sandbox.allowedFunctions', env: 'QUERY_ALLOWED_FUNCTIONS', type: TYPES.functions(), default: DEFAULT_SANDBOX_OPTIONS.allowedFunctions },
+    { key: 'sandbox.blockedFunctions', env: 'QUERY_BLOCKED_FUNCTIONS', type: TYPES.functions(), default: DEFAULT_SANDBOX_OPTIONS.blockedFunctions },
+    { key: 'graphql.maxDepth', env: 'GRAPHQL_MAX_DEPTH', type: TYPES.integer({ min: 1 }), default: DEFAULT_GRAPHQL_LIMITS.maxDepth },
+    { key: 'graphql.maxCost', env: 'GRAPHQL_MAX_COST', type: TYPES.integer({ min: 1 }), default: DEFAULT_GRAPHQL_LIMITS.maxCost }
+];
+
+// Keys allowed in each entry of the datasets list
+const DATASET_KEYS = ['name', 'dataFile', 'prefix'];
+
+/**
+ * Read a nested value by dotted key
+ * @param {Object} object - Source object
+ * @param {string} key - Dotted key, e.g. rateLimit.max
+ * @returns {any} Value, or undefined when any part is missing
+ */
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), object);
+}
+
+/**
+ * Set a nested value by dotted key, creating intermediate objects
+ * @param {Object} object - Target object
+ * @param {string} key - Dotted key
+ * @param {any} value - Value to set
+ */
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((target, part) => (target[part] ??= {}), object);
+    parent[last] = value;
+}
+
+/**
+ * Dotted keys of a config file that are not settings, so typos don't go unnoticed
+ * @param {Object} file - Parsed config file
+ * @returns {Array} Unknown keys
+ */
+function unknownKeys(file) {
+    const known = new Set(SETTINGS.map(setting => setting.key));
+    const sections = new Set(SETTINGS.filter(setting => setting.key.includes('.')).map(setting => setting.key.split('.')[0]));
+    const unknown = [];
+    for (const [key, value] of Object.entries(file)) {
+        if (key === 'datasets') {
+            continue;
+        }
+        if (sections.has(key) && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            unknown.push(...Object.keys(value).map(child => `${key}.${child}`).filter(child => !known.has(child)));
+        } else if (!known.has(key)) {
+            unknown.push(key);
+        }
+    }
+    return unknown;
+}
+
+/**
+ * Read and parse the config file
+ * @param {string} file - Config file path
+ * @returns {Object} Parsed contents
+ */
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`Cannot read config file ${file}: ${error.message}`]);
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`Config file ${file} is not valid JSON: ${error.message}`]);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError([`Config file ${file} must contain a JSON object`]);
+    }
+    return parsed;
+}
+
+/**
+ * Validate the datasets list of the config file
+ * @param {any} datasets - Raw datasets value
+ * @param {Object} config - Validated settings, for the default prefix
+ * @param {string} baseDir - Directory relative data file paths are resolved from
+ * @param {Array} problems - Problems found, appended to
+ * @returns {Array} [{ name, dataFile, prefix }]
+ */
+function validateDatasets(datasets, config, baseDir, problems) {
+    if (datasets === undefined) {
+        return [{ name: 'default', dataFile: config.dataFile, prefix: config.prefix }];
+    }
+    if (!Array.isArray(datasets) || datasets.length === 0) {
+        problems.push('datasets: expected a non-empty list of { name, dataFile, prefix }');
+        return [];
+    }
+
+    const validated = [];
+    datasets.forEach((dataset, index) => {
+        const label = `datasets[${index}]`;
+        if (dataset === null || typeof dataset !== 'object' || Array.isArray(dataset)) {
+            problems.push(`${label}: expected an object with name, dataFile and prefix`);
+            return;
+        }
+        for (const key of Object.keys(dataset).filter(key => !DATASET_KEYS.includes(key))) {
+            problems.push(`${label}.${key}: unknown setting`);
+        }
+        if (typeof dataset.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(dataset.name)) {
+            problems.push(`${label}.name: expected letters, digits, - or _, got ${JSON.stringify(dataset.name)}`);
+            return;
+        }
+        try {
+            validated.push({
+                name: dataset.name,
+                dataFile: TYPES.path().validate(dataset.dataFile, baseDir),
+                // Datasets without a prefix are served under the main prefix by name
+                prefix: TYPES.prefix().validate(dataset.prefix ?? `${config.prefix}/${dataset.name}`)
+            });
+        } catch (error) {
+            problems.push(`${label} (${dataset.name}): ${error.message}`);
+        }
+    });
+
+    const names = new Set();
+    for (const { name } of validated) {
+        if (names.has(name)) {
+            problems.push(`datasets: name ${name} is used twice`);
+        }
+        names.add(name);
+    }
+    // One prefix inside another would route the inner dataset's requests to the outer one
+    validated.forEach((a, i) => {
+        for (const b of validated.slice(i + 1)) {
+            if (a.prefix === b.prefix || b.prefix.startsWith(`${a.prefix}/`) || a.prefix.startsWith(`${b.prefix}/`)) {
+                problems.push(`datasets: prefix ${b.prefix || '""'} of ${b.name} overlaps ${a.prefix || '""'} of ${a.name}`);
+            }
+        }
+    });
+    return validated;
+}
+
+/**
+ * Load and validate the server configuration
+ * @param {Object} options - { env, argv } where argv may contain --config <file>, --dev and --watch-data.
+ *     The config file can also be given with CONFIG_FILE.
+ * @returns {Object} Validated configuration with absolute paths and a datasets list
+ */
+function loadConfig({ env = process.env, argv = process.argv.slice(2) } = {}) {
+    const configIndex = argv.indexOf('--config');
+    const configFile = configIndex === -1 ? env.CONFIG_FILE : argv[configIndex + 1];
+    if (configIndex !== -1 && configFile === undefined) {
+        throw new ConfigError(['--config requires a file path']);
+    }
+
+    const file = configFile ? readConfigFile(path.resolve(configFile)) : {};
+    const fileDir = configFile ? path.dirname(path.resolve(configFile)) : APP_DIR;
+    const problems = unknownKeys(file).map(key => `${key}: unknown setting`);
+    const isDev = argv.includes('--dev');
+    const config = {};
+
+    for (const setting of SETTINGS) {
+        const envValue = env[setting.env];
+        const fromEnv = envValue !== undefined && envValue !== '';
+        const fileValue = getPath(file, setting.key);
+        let value;
+        if (fromEnv) {
+            value = setting.type.fromEnv(envValue);
+        } else if (fileValue !== undefined) {
+            value = fileValue;
+        } else if (setting.key === 'rateLimit.max' && isDev) {
+            // Development mode raises the default anonymous limit
+            value = 1000;
+        } else {
+            value = setting.default;
+        }
+
+        if (value === null) {
+            setPath(config, setting.key, null);
+            continue;
+        }
+        try {
+            // Paths from the environment are relative to the working directory, others to the config file
+            setPath(config, setting.key, setting.type.validate(value, fromEnv ? process.cwd() : fileDir));
+        } catch (error) {
+            const source = fromEnv ? setting.env : `${setting.key} in ${configFile}`;
+            problems.push(`${source}: ${error.message}`);
+        }
+    }
+
+    if (argv.includes('--watch-data')) {
+        config.watchData = true;
+    }
+    config.isDev = isDev;
+    config.configFile = configFile ? path.resolve(configFile) : null;
+    if (problems.length === 0) {
+        config.datasets = validateDatasets(file.datasets, config, fileDir, problems);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+export { ConfigError, SETTINGS, loadConfig };
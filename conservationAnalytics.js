@@ -0,0 +1,108 @@
+/**
+ * IUCN Red List breakdowns and threat rankings per order and family
+ */
+
+// Categories counted as threatened by the IUCN
+const THREATENED_CATEGORIES = ['CR', 'EN', 'VU'];
+const NOT_ASSESSED = 'Not assessed';
+
+/**
+ * Group records by a field in one pass, skipping records where it is empty
+ * @param {Array} records - Bird records
+ * @param {string} field - Field to group by
+ * @returns {Map} Field value to records, in order of first appearance
+ */
+function groupRecords(records, field) {
+    const groups = new Map();
+    for (const record of records) {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        let group = groups.get(value);
+        if (!group) {
+            group = [];
+            groups.set(value, group);
+        }
+        group.push(record);
+    }
+    return groups;
+}
+
+/**
+ * Round a share to four decimal places
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number} Share between 0 and 1
+ */
+function share(count, total) {
+    return total > 0 ? Math.round(count / total * 10000) / 10000 : 0;
+}
+
+/**
+ * Conservation summary of a group of records. Only species are counted.
+ * @param {string} name - Group name
+ * @param {Array} records - Records in the group
+ * @returns {Object} { name, species, extinct, threatened, threatIndex, categories }
+ *   where categories maps each IUCN category to { count, share } and threatIndex is the share of CR, EN and VU species
+ */
+function summarizeConservation(name, records) {
+    const species = records.filter(record => record.Taxon_rank === 'species');
+    const counts = {};
+    let extinct = 0;
+    for (const record of species) {
+        const category = record.IUCN_Red_List_Category || NOT_ASSESSED;
+        counts[category] = (counts[category] ?? 0) + 1;
+        if (record.Extinct_or_possibly_extinct) {
+            extinct++;
+        }
+    }
+
+    const threatened = THREATENED_CATEGORIES.reduce((sum, category) => sum + (counts[category] ?? 0), 0);
+    const categories = Object.fromEntries(Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([category, count]) => [category, { count, share: share(count, species.length) }]));
+
+    return {
+        name,
+        species: species.length,
+        extinct,
+        threatened,
+        threatIndex: share(threatened, species.length),
+        categories
+    };
+}
+
+/**
+ * Build conservation summaries for the whole dataset, every order and every family
+ * @param {Array} records - Bird records
+ * @returns {Object} { totals, orders, families } where each family also names its order
+ */
+function buildConservationAnalytics(records) {
+    const orders = [...groupRecords(records, 'Order')].map(([name, group]) => summarizeConservation(name, group));
+    const families = [...groupRecords(records, 'Family')].map(([name, group]) => ({
+        ...summarizeConservation(name, group),
+        order: group[0].Order
+    }));
+
+    return {
+        totals: summarizeConservation('Aves', records),
+        orders,
+        families
+    };
+}
+
+/**
+ * Families ordered from most to least threatened
+ * @param {Array} families - Family summaries
+ * @param {Object} options - { top, minSpecies } where minSpecies keeps very small families from dominating
+ * @returns {Array} Family summaries by threat index, then threatened count
+ */
+function rankThreatenedFamilies(families, { top = 10, minSpecies = 5 } = {}) {
+    return families
+        .filter(family => family.species >= minSpecies && family.threatened > 0)
+        .sort((a, b) => b.threatIndex - a.threatIndex || b.threatened - a.threatened || a.name.localeCompare(b.name))
+        .slice(0, top);
+}
+
+export { THREATENED_CATEGORIES, buildConservationAnalytics, groupRecords, rankThreatenedFamilies, summarizeConservation };
@@ -0,0 +1,110 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing
+ */
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with embedded
+ * delimiters, quotes and newlines, CRLF line endings and a leading BOM.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array} Rows, each an array of strings
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Malformed CSV: unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Object} { headers, rows } where rows are objects
+ */
+function parseCsvObjects(text, delimiter = ',') {
+    const [headers = [], ...rows] = parseCsv(text, delimiter);
+    return {
+        headers,
+        rows: rows.map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? ''])))
+    };
+}
+
+/**
+ * Quote a cell if it contains the delimiter, a quote or a line break
+ * @param {any} value - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} Encoded cell
+ */
+function formatCsvCell(value, delimiter = ',') {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV line (without the trailing newline)
+ * @param {Array} values - Cell values
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values, delimiter = ',') {
+    return values.map(value => formatCsvCell(value, delimiter)).join(delimiter);
+}
+
+/**
+ * Format objects as CSV with a header row
+ * @param {Array} records - Objects to format
+ * @param {Array} columns - Column names, defaults to every key seen in the records
+ * @returns {string} CSV text
+ */
+function formatCsv(records, columns = [...new Set(records.flatMap(record => Object.keys(record)))]) {
+    const lines = [formatCsvRow(columns), ...records.map(record => formatCsvRow(columns.map(column => record[column])))];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+export { formatCsv, formatCsvCell, formatCsvRow, parseCsv, parseCsvObjects };
@@ -0,0 +1,177 @@
+/**
+ * Browsable HTML rendering of the OpenAPI document. The page is static HTML with inline styles
+ * and no scripts, so it works offline and under the server's Content-Security-Policy.
+ */
+
+const METHOD_COLORS = {
+    get: '#1b7f3b',
+    post: '#1d5fa8',
+    put: '#8a5a00',
+    delete: '#a51d2d'
+};
+
+/**
+ * Escape text for HTML
+ * @param {any} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Anchor id of an operation
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} Element id
+ */
+function operationAnchor(operation) {
+    return `op-${operation.operationId}`;
+}
+
+/**
+ * Short type label for a schema, e.g. "integer (1-1000)" or "BirdRecord[]"
+ * @param {Object} schema - JSON schema
+ * @returns {string} Escaped HTML
+ */
+function typeLabel(schema = {}) {
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.map(typeLabel).join(' | ');
+    }
+    if (schema.type === 'array') {
+        return `${typeLabel(schema.items)}[]`;
+    }
+    const limits = [
+        schema.minimum !== undefined || schema.maximum !== undefined ? `${schema.minimum ?? ''}–${schema.maximum ?? ''}` : null,
+        schema.enum ? schema.enum.map(String).join(' | ') : null
+    ].filter(Boolean);
+    return `${escapeHtml(schema.type ?? 'any')}${limits.length > 0 ? ` <span class="muted">(${escapeHtml(limits.join(', '))})</span>` : ''}`;
+}
+
+/**
+ * Pretty-printed schema in a collapsible block
+ * @param {string} label - Summary text
+ * @param {Object} schema - JSON schema
+ * @returns {string} HTML
+ */
+function schemaBlock(label, schema) {
+    return `<details><summary>${escapeHtml(label)}: ${typeLabel(schema)}</summary><pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre></details>`;
+}
+
+/**
+ * HTML section for one operation
+ * @param {string} path - Path template
+ * @param {string} method - HTTP method
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} HTML
+ */
+function renderOperation(path, method, operation) {
+    const parameters = operation.parameters ?? [];
+    const parameterRows = parameters.map(parameter => `
+            <tr>
+                <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="required">required</span>' : ''}</td>
+                <td>${escapeHtml(parameter.in)}</td>
+                <td>${typeLabel(parameter.schema)}</td>
+                <td>${escapeHtml(parameter.description)}</td>
+            </tr>`).join('');
+
+    const body = operation.requestBody
+        ? `<h4>Request body${operation.requestBody.required ? ' <span class="required">required</span>' : ''}</h4>
+            ${Object.entries(operation.requestBody.content).map(([type, { schema }]) => schemaBlock(type, schema)).join('')}`
+        : '';
+
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+        if (response.$ref) {
+            return `<li><code>${escapeHtml(status)}</code> ${escapeHtml(response.$ref.split('/').pop().replace(/([a-z])([A-Z])/g, '$1 $2'))}</li>`;
+        }
+        const content = Object.entries(response.content ?? {}).map(([type, { schema }]) => schemaBlock(type, schema)).join('');
+        return `<li><code>${escapeHtml(status)}</code> ${escapeHtml(response.description)}${content}</li>`;
+    }).join('');
+
+    const privileged = !operation.security.some(requirement => Object.keys(requirement).length === 0);
+
+    return `
+    <section class="operation" id="${operationAnchor(operation)}">
+        <h3><span class="method" style="background:${METHOD_COLORS[method] ?? '#555'}">${escapeHtml(method.toUpperCase())}</span> <code>${escapeHtml(path)}</code></h3>
+        <p>${escapeHtml(operation.summary)}${privileged ? ' <span class="required">privileged API key</span>' : ''}</p>
+        ${operation.description ? `<p class="muted">${escapeHtml(operation.description)}</p>` : ''}
+        ${parameters.length > 0 ? `<table><thead><tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr></thead><tbody>${parameterRows}</tbody></table>` : ''}
+        ${body}
+        <h4>Responses</h4>
+        <ul>${responses}</ul>
+    </section>`;
+}
+
+/**
+ * Render the OpenAPI document as a browsable HTML page
+ * @param {Object} document - OpenAPI 3 document
+ * @param {Object} options - { specUrl } link to the JSON document
+ * @returns {string} HTML page
+ */
+function renderDocsPage(document, { specUrl }) {
+    const operations = Object.entries(document.paths).flatMap(([path, methods]) => Object.entries(methods).map(([method, operation]) => ({ path, method, operation })));
+    const byTag = new Map(document.tags.map(({ name }) => [name, []]));
+    for (const entry of operations) {
+        for (const tag of entry.operation.tags ?? ['Other']) {
+            byTag.set(tag, [...(byTag.get(tag) ?? []), entry]);
+        }
+    }
+
+    const nav = [...byTag].map(([tag, entries]) => `
+        <h4>${escapeHtml(tag)}</h4>
+        <ul>${entries.map(({ path, method, operation }) => `<li><a href="#${operationAnchor(operation)}"><span class="muted">${escapeHtml(method.toUpperCase())}</span> ${escapeHtml(path)}</a></li>`).join('')}</ul>`).join('');
+
+    const sections = [...byTag].map(([tag, entries]) => `
+    <h2>${escapeHtml(tag)}</h2>
+    ${entries.map(({ path, method, operation }) => renderOperation(path, method, operation)).join('')}`).join('');
+
+    const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+    <section id="schema-${escapeHtml(name)}"><h3>${escapeHtml(name)}</h3><pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre></section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 0; display: flex; color: #222; }
+    nav { width: 18rem; flex-shrink: 0; height: 100vh; overflow-y: auto; position: sticky; top: 0; padding: 1rem; background: #f5f5f2; font-size: 0.85rem; box-sizing: border-box; }
+    nav ul { list-style: none; padding: 0; margin: 0 0 1rem; }
+    nav a { color: inherit; text-decoration: none; display: block; padding: 0.1rem 0; }
+    main { padding: 1rem 2rem; max-width: 60rem; }
+    .operation { border-top: 1px solid #ddd; padding: 0.5rem 0 1rem; }
+    .method { color: #fff; border-radius: 3px; padding: 0.1rem 0.4rem; font-size: 0.8rem; }
+    .required { color: #a51d2d; font-size: 0.75rem; }
+    .muted { color: #666; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; border-bottom: 1px solid #eee; padding: 0.3rem 0.5rem; vertical-align: top; }
+    pre { background: #f5f5f2; padding: 0.5rem; overflow-x: auto; font-size: 0.8rem; }
+    summary { cursor: pointer; }
+</style>
+</head>
+<body>
+<nav>
+    <strong>${escapeHtml(document.info.title)}</strong>
+    <p><a href="${escapeHtml(specUrl)}">openapi.json</a></p>
+    ${nav}
+    <h4>Schemas</h4>
+    <ul>${Object.keys(document.components.schemas).map(name => `<li><a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a></li>`).join('')}</ul>
+</nav>
+<main>
+    <h1>${escapeHtml(document.info.title)} <span class="muted">${escapeHtml(document.info.version)}</span></h1>
+    <p>${escapeHtml(document.info.description)}</p>
+    <p>Servers: ${document.servers.map(server => `<code>${escapeHtml(server.url)}</code> <span class="muted">${escapeHtml(server.description)}</span>`).join(', ')}</p>
+    ${sections}
+    <h2>Schemas</h2>
+    ${schemas}
+</main>
+</body>
+</html>
+`;
+}
+
+export { escapeHtml, renderDocsPage };
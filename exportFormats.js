@@ -0,0 +1,156 @@
+import { Readable } from 'stream';
+import { formatCsvRow } from './csv.js';
+
+/**
+ * Streaming CSV, NDJSON and Darwin Core Taxon exports of result lists
+ */
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    dwc: { contentType: 'text/tab-separated-values', extension: 'tsv' }
+};
+
+// Darwin Core Taxon terms written by the dwc export, in column order
+const DWC_TERMS = [
+    'taxonID', 'scientificName', 'scientificNameAuthorship', 'taxonRank', 'parentNameUsage',
+    'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'specificEpithet', 'infraspecificEpithet',
+    'vernacularName', 'taxonomicStatus', 'nomenclaturalCode', 'namePublishedIn', 'references', 'taxonRemarks'
+];
+
+// Rows are handed to the response in batches so each write carries a useful amount of text
+const BATCH_SIZE = 500;
+
+/**
+ * Pick the output format from the format parameter, falling back to the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} json, csv, ndjson or dwc, or null if the format parameter is unknown
+ */
+function negotiateFormat(req) {
+    const { format } = req.query;
+    if (format !== undefined) {
+        return format === 'json' || Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+    }
+
+    const accepted = req.accepts(['application/json', ...Object.values(EXPORT_FORMATS).map(({ contentType }) => contentType)]);
+    const match = Object.entries(EXPORT_FORMATS).find(([, { contentType }]) => contentType === accepted);
+    return match ? match[0] : 'json';
+}
+
+/**
+ * Map a bird record to Darwin Core Taxon terms
+ * @param {Object} record - Bird record
+ * @returns {Object} Darwin Core Taxon row
+ */
+function toDarwinCore(record) {
+    const rank = record.Taxon_rank;
+    const words = rank === 'species' || rank === 'subspecies' ? String(record.Scientific_name ?? '').split(' ') : [];
+    const extinct = record.Extinct_or_possibly_extinct;
+
+    return {
+        taxonID: record.AvibaseID || (record.Sequence !== undefined ? `avilist:${record.Sequence}` : ''),
+        scientificName: record.Scientific_name,
+        scientificNameAuthorship: record.Authority,
+        taxonRank: rank,
+        parentNameUsage: rank === 'subspecies' ? words.slice(0, 2).join(' ') : rank === 'species' ? words[0] : '',
+        kingdom: 'Animalia',
+        phylum: 'Chordata',
+        class: 'Aves',
+        order: record.Order,
+        family: record.Family,
+        genus: words[0] ?? '',
+        specificEpithet: words[1] ?? '',
+        infraspecificEpithet: words[2] ?? '',
+        vernacularName: record.English_name_AviList,
+        taxonomicStatus: 'accepted',
+        nomenclaturalCode: 'ICZN',
+        namePublishedIn: record.Bibliographic_details,
+        references: record.Birds_of_the_World_URL,
+        taxonRemarks: extinct ? `Extinct or possibly extinct (${extinct})` : ''
+    };
+}
+
+/**
+ * Format one Darwin Core TSV line. TSV has no quoting, so tabs and line breaks inside values become spaces.
+ * @param {Array} values - Cell values
+ * @returns {string} TSV line
+ */
+function formatTsvRow(values) {
+    return values.map(value => (value === undefined || value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' '))).join('\t');
+}
+
+/**
+ * Results that aren't objects (e.g. from a raw JSONata query) are exported as a single value column
+ * @param {any} item - Result item
+ * @returns {Object} Exportable row
+ */
+function toRow(item) {
+    return item !== null && typeof item === 'object' && !Array.isArray(item) ? item : { value: item };
+}
+
+/**
+ * Lines of an export, produced lazily
+ * @param {Array} results - Result list
+ * @param {string} format - csv, ndjson or dwc
+ */
+function* exportLines(results, format) {
+    if (format === 'ndjson') {
+        for (const item of results) {
+            yield `${JSON.stringify(item)}\n`;
+        }
+        return;
+    }
+
+    if (format === 'dwc') {
+        yield `${DWC_TERMS.join('\t')}\n`;
+        for (const item of results) {
+            const row = toDarwinCore(toRow(item));
+            yield `${formatTsvRow(DWC_TERMS.map(term => row[term]))}\n`;
+        }
+        return;
+    }
+
+    // CSV columns are every key seen in the results, in first-seen order
+    const columns = new Set();
+    for (const item of results) {
+        Object.keys(toRow(item)).forEach(key => columns.add(key));
+    }
+    yield `${formatCsvRow([...columns])}\r\n`;
+    for (const item of results) {
+        const row = toRow(item);
+        yield `${formatCsvRow([...columns].map(column => row[column]))}\r\n`;
+    }
+}
+
+/**
+ * Group export lines into batches
+ * @param {Iterable} lines - Export lines
+ */
+function* batchLines(lines) {
+    let batch = [];
+    for (const line of lines) {
+        batch.push(line);
+        if (batch.length === BATCH_SIZE) {
+            yield batch.join('');
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch.join('');
+    }
+}
+
+/**
+ * Stream a result list to the response in an export format
+ * @param {Object} res - Express response
+ * @param {Array} results - Result list
+ * @param {string} format - csv, ndjson or dwc
+ * @param {string} name - Download file name without extension
+ */
+function streamExport(res, results, format, name) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.type(contentType).attachment(`${name}.${extension}`);
+    Readable.from(batchLines(exportLines(results, format))).pipe(res);
+}
+
+export { DWC_TERMS, EXPORT_FORMATS, exportLines, negotiateFormat, streamExport, toDarwinCore };
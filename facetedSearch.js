@@ -0,0 +1,56 @@
+/**
+ * Multi-select faceted filtering with drill-down counts
+ */
+
+// Selectable facets: filter key to the value a record has for it
+const FACETS = {
+    order: record => record.Order ?? '',
+    family: record => record.Family ?? '',
+    iucn: record => record.IUCN_Red_List_Category ?? '',
+    rank: record => record.Taxon_rank ?? '',
+    extinct: record => Boolean(record.Extinct_or_possibly_extinct)
+};
+
+/**
+ * Apply facet selections to a candidate set and count facet values.
+ *
+ * Counts are disjunctive: a facet's counts ignore that facet's own selection, so they show how
+ * many results each alternative value would give while every other filter stays applied.
+ * Values within one facet are ORed, different facets are ANDed.
+ * @param {Array} candidates - Records matching the non-facet filters
+ * @param {Object} selections - Facet key to array of selected values; missing or empty means no filter
+ * @returns {Object} { results, facets } where facets maps each facet key to [{ value, count }], most common first
+ */
+function applyFacets(candidates, selections) {
+    const active = Object.keys(FACETS)
+        .filter(key => selections[key]?.length > 0)
+        .map(key => ({ key, selected: new Set(selections[key]) }));
+
+    const counts = Object.fromEntries(Object.keys(FACETS).map(key => [key, new Map()]));
+    const count = (key, value) => counts[key].set(value, (counts[key].get(value) ?? 0) + 1);
+    const results = [];
+
+    for (const record of candidates) {
+        const failed = active.filter(({ key, selected }) => !selected.has(FACETS[key](record)));
+
+        if (failed.length === 0) {
+            results.push(record);
+            for (const key of Object.keys(FACETS)) {
+                count(key, FACETS[key](record));
+            }
+        } else if (failed.length === 1) {
+            // Only this facet's own selection excludes the record, so it counts towards that facet's alternatives
+            const [{ key }] = failed;
+            count(key, FACETS[key](record));
+        }
+    }
+
+    const facets = Object.fromEntries(Object.entries(counts).map(([key, values]) => [
+        key,
+        [...values].map(([value, total]) => ({ value, count: total })).sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    ]));
+
+    return { results, facets };
+}
+
+export { FACETS, applyFacets };
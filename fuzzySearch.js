@@ -0,0 +1,199 @@
+/**
+ * Typo-tolerant name search using a trigram index for candidates and edit distance for ranking
+ */
+
+const DEFAULT_FUZZY_OPTIONS = {
+    minScore: 0.6,
+    maxCandidates: 2000
+};
+
+// Longest search term scored against the names; bird names are far shorter
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Lowercase and collapse whitespace and punctuation to single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeName(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Trigrams of a normalized string, padded so word starts and ends get their own trigrams
+ * @param {string} text - Normalized text
+ * @returns {Set} Distinct trigrams
+ */
+function trigrams(text) {
+    const padded = `  ${text} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Levenshtein edit distance between two strings. With maxDistance, only cells within that many
+ * edits of the diagonal are computed and the search stops as soon as the distance must exceed it.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Number of single-character edits, or maxDistance + 1 when it is larger than maxDistance
+ */
+function levenshtein(a, b, maxDistance = Infinity) {
+    if (a === b) {
+        return 0;
+    }
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    // Two rows, each holding the band plus a cell either side of it
+    const band = Math.min(maxDistance, Math.max(a.length, b.length));
+    let previous = new Array(b.length + 2).fill(Infinity);
+    let current = new Array(b.length + 2).fill(Infinity);
+    for (let j = 0; j <= Math.min(b.length, band); j++) {
+        previous[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        const from = Math.max(1, i - band);
+        const to = Math.min(b.length, i + band);
+        current[from - 1] = from === 1 ? i : Infinity;
+        current[to + 1] = Infinity;
+
+        let rowMin = current[from - 1];
+        for (let j = from; j <= to; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        [previous, current] = [current, previous];
+    }
+    return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Similarity in [0, 1] derived from edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} minSimilarity - Similarities below this are only known to be below it, which saves work
+ * @returns {number} 1 for identical strings, 0 for nothing in common
+ */
+function similarity(a, b, minSimilarity = 0) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) {
+        return 1;
+    }
+    // The small margin keeps rounding from dropping a distance that lands exactly on minSimilarity
+    const maxDistance = Math.floor((1 - minSimilarity) * maxLength + 1e-9);
+    return 1 - levenshtein(a, b, maxDistance) / maxLength;
+}
+
+/**
+ * Score a query against a name. Takes the better of whole-string similarity and
+ * word-by-word similarity, so "egle" still ranks "Golden Eagle" highly.
+ * @param {string} query - Normalized query
+ * @param {string} name - Normalized name
+ * @param {number} minScore - Scores below this are only known to be below it
+ * @returns {number} Relevance score in [0, 1]
+ */
+function scoreName(query, name, minScore = 0) {
+    const whole = similarity(query, name, minScore);
+    const nameWords = name.split(' ');
+    const queryWords = query.split(' ');
+    const wordScore = queryWords
+        .map(word => Math.max(...nameWords.map(nameWord => similarity(word, nameWord))))
+        .reduce((sum, score) => sum + score, 0) / queryWords.length;
+    // Word matches only cover part of the name, so rank them just below an equally good whole-name match
+    return Math.max(whole, wordScore * 0.95);
+}
+
+/**
+ * Trigram index over the name fields of every record
+ */
+class FuzzyNameIndex {
+    /**
+     * @param {Array} records - Records to index
+     * @param {Array} fields - Name fields to index
+     */
+    constructor(records, fields) {
+        this.records = records;
+        this.entries = [];
+        this.trigramIndex = new Map();
+
+        records.forEach((record, position) => {
+            for (const field of fields) {
+                const value = record[field];
+                if (typeof value !== 'string' || value === '') {
+                    continue;
+                }
+                const normalized = normalizeName(value);
+                const entryId = this.entries.length;
+                this.entries.push({ position, field, name: value, normalized });
+                for (const gram of trigrams(normalized)) {
+                    let posting = this.trigramIndex.get(gram);
+                    if (!posting) {
+                        posting = [];
+                        this.trigramIndex.set(gram, posting);
+                    }
+                    posting.push(entryId);
+                }
+            }
+        });
+    }
+
+    /**
+     * Search names with typo tolerance
+     * @param {string} term - Search term
+     * @param {Object} options - { minScore, maxCandidates }
+     * @returns {Array} Hits as { bird, score, matchedField, matchedName }, best first
+     */
+    search(term, options = {}) {
+        const { minScore, maxCandidates } = { ...DEFAULT_FUZZY_OPTIONS, ...options };
+        const query = normalizeName(term);
+        if (query === '') {
+            return [];
+        }
+
+        // Count shared trigrams per entry and keep the entries with the most overlap
+        const shared = new Map();
+        for (const gram of trigrams(query)) {
+            for (const entryId of this.trigramIndex.get(gram) ?? []) {
+                shared.set(entryId, (shared.get(entryId) ?? 0) + 1);
+            }
+        }
+        const candidates = [...shared.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxCandidates);
+
+        // Keep the best scoring name per record
+        const best = new Map();
+        for (const [entryId] of candidates) {
+            const entry = this.entries[entryId];
+            const score = scoreName(query, entry.normalized, minScore);
+            if (score < minScore) {
+                continue;
+            }
+            const current = best.get(entry.position);
+            if (!current || score > current.score) {
+                best.set(entry.position, { position: entry.position, score, matchedField: entry.field, matchedName: entry.name });
+            }
+        }
+
+        return [...best.values()]
+            .sort((a, b) => b.score - a.score || a.position - b.position)
+            .map(({ position, score, matchedField, matchedName }) => ({
+                bird: this.records[position],
+                score: Math.round(score * 1000) / 1000,
+                matchedField,
+                matchedName
+            }));
+    }
+}
+
+export { DEFAULT_FUZZY_OPTIONS, FuzzyNameIndex, MAX_QUERY_LENGTH, levenshtein, normalizeName, similarity };
@@ -0,0 +1,230 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Parses free-text Range strings into region ids from the bundled gazetteer
+ * and indexes records by region, including every enclosing region
+ */
+
+const DEFAULT_GAZETTEER_FILE = fileURLToPath(new URL('./gazetteer.json', import.meta.url));
+
+/**
+ * Lowercase, strip diacritics and collapse punctuation to single spaces
+ * @param {string} text - Place text
+ * @returns {string} Normalized text
+ */
+function normalizePlace(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+class Gazetteer {
+    /**
+     * @param {Object} data - { version, regions: [{ id, name, type, parents, aliases }] }
+     */
+    constructor(data) {
+        this.version = data.version;
+        this.regions = new Map();
+        this.phrases = new Map();
+        this.children = new Map();
+
+        for (const region of data.regions) {
+            if (this.regions.has(region.id)) {
+                throw new Error(`Duplicate gazetteer region: ${region.id}`);
+            }
+            this.regions.set(region.id, region);
+            this.children.set(region.id, []);
+        }
+
+        for (const region of data.regions) {
+            for (const parent of region.parents) {
+                if (!this.regions.has(parent)) {
+                    throw new Error(`Unknown parent ${parent} for gazetteer region ${region.id}`);
+                }
+                this.children.get(parent).push(region.id);
+            }
+            for (const alias of [region.name, ...region.aliases]) {
+                const phrase = normalizePlace(alias);
+                const existing = this.phrases.get(phrase);
+                if (existing && existing !== region.id) {
+                    throw new Error(`Gazetteer name "${alias}" is used by both ${existing} and ${region.id}`);
+                }
+                this.phrases.set(phrase, region.id);
+            }
+        }
+
+        // Phrases grouped by first word, longest first, so "Papua New Guinea" wins over "Guinea"
+        this.phrasesByFirstWord = new Map();
+        for (const [phrase, id] of this.phrases) {
+            const words = phrase.split(' ');
+            const bucket = this.phrasesByFirstWord.get(words[0]) ?? [];
+            bucket.push({ words, id });
+            this.phrasesByFirstWord.set(words[0], bucket);
+        }
+        for (const bucket of this.phrasesByFirstWord.values()) {
+            bucket.sort((a, b) => b.words.length - a.words.length);
+        }
+
+        this.ancestorCache = new Map();
+    }
+
+    /**
+     * Load a gazetteer file
+     * @param {string} file - Path to the gazetteer JSON
+     * @returns {Gazetteer} Gazetteer
+     */
+    static load(file = DEFAULT_GAZETTEER_FILE) {
+        return new Gazetteer(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    /**
+     * Region ids mentioned in a range string, in order of first mention.
+     * Matches the longest known name at each word, so "Guinea-Bissau" is not read as "Guinea".
+     * @param {string} text - Free-text range
+     * @returns {Array} Region ids
+     */
+    parse(text) {
+        if (typeof text !== 'string' || text === '') {
+            return [];
+        }
+
+        const words = normalizePlace(text).split(' ');
+        const found = [];
+        for (let i = 0; i < words.length;) {
+            const match = (this.phrasesByFirstWord.get(words[i]) ?? [])
+                .find(candidate => candidate.words.every((word, offset) => words[i + offset] === word));
+            if (match) {
+                if (!found.includes(match.id)) {
+                    found.push(match.id);
+                }
+                i += match.words.length;
+            } else {
+                i++;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Resolve an id, name or alias to a region id
+     * @param {string} name - Region id, name or alias
+     * @returns {string|null} Region id
+     */
+    resolve(name) {
+        if (this.regions.has(name)) {
+            return name;
+        }
+        return this.phrases.get(normalizePlace(name)) ?? null;
+    }
+
+    /**
+     * A region and every region that encloses it
+     * @param {string} id - Region id
+     * @returns {Array} Region ids, starting with id
+     */
+    withAncestors(id) {
+        let ancestors = this.ancestorCache.get(id);
+        if (!ancestors) {
+            const seen = new Set([id]);
+            const queue = [id];
+            while (queue.length > 0) {
+                for (const parent of this.regions.get(queue.shift()).parents) {
+                    if (!seen.has(parent)) {
+                        seen.add(parent);
+                        queue.push(parent);
+                    }
+                }
+            }
+            ancestors = [...seen];
+            this.ancestorCache.set(id, ancestors);
+        }
+        return ancestors;
+    }
+}
+
+/**
+ * Records grouped by the regions their Range mentions, directly and through enclosing regions
+ */
+class RegionIndex {
+    /**
+     * @param {Array} records - Bird records
+     * @param {Gazetteer} gazetteer - Gazetteer used to parse Range
+     */
+    constructor(records, gazetteer) {
+        this.gazetteer = gazetteer;
+        this.recordRegions = new Map();
+        this.direct = new Map();
+        this.included = new Map();
+
+        const add = (map, id, record) => {
+            let bucket = map.get(id);
+            if (!bucket) {
+                bucket = [];
+                map.set(id, bucket);
+            }
+            bucket.push(record);
+        };
+
+        for (const record of records) {
+            const ids = gazetteer.parse(record.Range);
+            if (ids.length === 0) {
+                continue;
+            }
+            this.recordRegions.set(record, ids);
+            ids.forEach(id => add(this.direct, id, record));
+
+            const enclosing = new Set(ids.flatMap(id => gazetteer.withAncestors(id)));
+            enclosing.forEach(id => add(this.included, id, record));
+        }
+    }
+
+    /**
+     * Regions parsed from a record's Range
+     * @param {Object} record - Bird record
+     * @returns {Array} Region ids
+     */
+    regionsOf(record) {
+        return this.recordRegions.get(record) ?? [];
+    }
+
+    /**
+     * Every gazetteer region with the number of records and species in it, including subregions
+     * @returns {Array} Regions as { id, name, type, parents, species, records }
+     */
+    summary() {
+        this.summaryCache ??= [...this.gazetteer.regions.values()].map((region) => {
+            const records = this.recordsIn(region.id);
+            return {
+                id: region.id,
+                name: region.name,
+                type: region.type,
+                parents: region.parents,
+                species: records.filter(record => record.Taxon_rank === 'species').length,
+                records: records.length
+            };
+        });
+        return this.summaryCache;
+    }
+
+    /**
+     * Records in a region
+     * @param {string} id - Region id
+     * @param {boolean} includeSubregions - Also return records that only mention regions inside it
+     * @returns {Array} Records in dataset order
+     */
+    recordsIn(id, includeSubregions = true) {
+        return (includeSubregions ? this.included : this.direct).get(id) ?? [];
+    }
+}
+
+let defaultGazetteer = null;
+
+/**
+ * The bundled gazetteer, loaded on first use
+ * @returns {Gazetteer} Gazetteer
+ */
+function getDefaultGazetteer() {
+    defaultGazetteer ??= Gazetteer.load();
+    return defaultGazetteer;
+}
+
+export { Gazetteer, RegionIndex, getDefaultGazetteer, normalizePlace };
@@ -0,0 +1,438 @@
+import {
+    GraphQLError,
+    Kind,
+    buildSchema,
+    execute,
+    getNamedType,
+    getNullableType,
+    isListType,
+    parse,
+    specifiedRules,
+    typeFromAST,
+    validate
+} from 'graphql';
+import { QueryValidationError } from './birdQueryEngine.js';
+import { groupRecords, summarizeConservation } from './conservationAnalytics.js';
+import { AUTHORITY_FIELDS } from './nameReconciler.js';
+
+/**
+ * GraphQL schema over the bird dataset. Types are cross-linked (a bird's family, that family's order,
+ * the order's families, a conservation category's birds) and every resolver goes through the engine's
+ * query methods, so one request can replace several REST calls.
+ */
+
+// Largest limit a list field accepts
+const MAX_PAGE_SIZE = 100;
+
+// Default query limits: nesting depth, and cost as the estimated number of objects resolved
+const DEFAULT_GRAPHQL_LIMITS = { maxDepth: 8, maxCost: 5000 };
+
+// Sizes assumed when costing list fields that take no limit: the IUCN categories plus
+// "Not assessed", and a generous count of regions in one range
+const UNPAGED_LIST_SIZES = {
+    'Query.conservationCategories': 10,
+    'ConservationSummary.categories': 10,
+    'Bird.regions': 20
+};
+
+const TYPE_DEFS = `
+"Naming authority for English names"
+enum NameAuthority {
+    ${Object.keys(AUTHORITY_FIELDS).join('\n    ')}
+}
+
+"A bird record: a species, subspecies or higher taxon"
+type Bird {
+    scientificName: String!
+    rank: String!
+    sequence: Int
+    "English name under an authority; null when the authority has none"
+    englishName(authority: NameAuthority = avilist): String
+    "Authority as written, e.g. (Linnaeus, 1758)"
+    authority: String
+    authors: [String!]!
+    "Year of description parsed from the authority"
+    year: Int
+    range: String
+    extinct: Boolean!
+    conservation: ConservationCategory
+    family: Family
+    order: Order
+    "Other birds in the same family, in dataset order"
+    siblings(rank: String, limit: Int = 10, offset: Int = 0): [Bird!]!
+    "Gazetteer regions the range mentions"
+    regions: [Region!]!
+    urls: BirdUrls!
+}
+
+type BirdUrls {
+    birdLife: String
+    birdsOfTheWorld: String
+    originalDescription: String
+}
+
+type Region {
+    id: String!
+    name: String!
+    type: String!
+}
+
+type Family {
+    name: String!
+    englishName: String
+    order: Order
+    speciesCount: Int!
+    birds(rank: String, iucn: [String!], limit: Int = 50, offset: Int = 0): [Bird!]!
+    conservation: ConservationSummary!
+}
+
+type Order {
+    name: String!
+    familyCount: Int!
+    speciesCount: Int!
+    families(limit: Int = 50, offset: Int = 0): [Family!]!
+    birds(rank: String, iucn: [String!], limit: Int = 50, offset: Int = 0): [Bird!]!
+    conservation: ConservationSummary!
+}
+
+"An IUCN Red List category"
+type ConservationCategory {
+    code: String!
+    speciesCount: Int!
+    birds(rank: String, limit: Int = 50, offset: Int = 0): [Bird!]!
+}
+
+"IUCN category counts of the species in a family or order"
+type ConservationSummary {
+    species: Int!
+    extinct: Int!
+    threatened: Int!
+    "Share of CR, EN and VU species"
+    threatIndex: Float!
+    categories: [CategoryCount!]!
+}
+
+type CategoryCount {
+    category: ConservationCategory!
+    count: Int!
+    share: Float!
+}
+
+type DatasetStats {
+    totalRecords: Int!
+    totalOrders: Int!
+    totalFamilies: Int!
+    totalSpecies: Int!
+    extinctSpecies: Int!
+}
+
+type Query {
+    bird(scientificName: String!): Bird
+    "Birds matching every given filter, in dataset order. Filters taking a list match any of its values."
+    birds(
+        search: String
+        range: String
+        region: String
+        order: [String!]
+        family: [String!]
+        iucn: [String!]
+        rank: [String!]
+        extinct: Boolean
+        limit: Int = 50
+        offset: Int = 0
+    ): [Bird!]!
+    family(name: String!): Family
+    order(name: String!): Order
+    orders(limit: Int = 50, offset: Int = 0): [Order!]!
+    conservationCategory(code: String!): ConservationCategory
+    conservationCategories: [ConservationCategory!]!
+    stats: DatasetStats!
+}
+`;
+
+/**
+ * One page of a list field
+ * @param {Array} list - Full list
+ * @param {Object} args - { limit, offset } field arguments
+ * @returns {Array} Page
+ */
+function page(list, { limit, offset }) {
+    if (limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new QueryValidationError(`Invalid limit: expected 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if (offset < 0) {
+        throw new QueryValidationError('Invalid offset: expected 0 or more');
+    }
+    return list.slice(offset, offset + limit);
+}
+
+/**
+ * Family or order node with its records, or null when no record has that name
+ * @param {Object} engine - Bird query engine
+ * @param {string} level - Family or Order
+ * @param {string} name - Family or order name
+ * @returns {Object|null} { name, records }
+ */
+async function taxonNode(engine, level, name) {
+    if (!name) {
+        return null;
+    }
+    const records = await engine.getByTaxonomy(level, name);
+    return records.length > 0 ? { name, records } : null;
+}
+
+/**
+ * Records of a family or order, narrowed by rank and IUCN category
+ * @param {Array} records - Records of the node
+ * @param {Object} args - { rank, iucn }
+ * @returns {Array} Matching records, without the family or order record itself
+ */
+function filterMembers(records, { rank, iucn }) {
+    return records.filter(record => !['family', 'order'].includes(record.Taxon_rank)
+        && (rank === undefined || record.Taxon_rank === rank)
+        && (iucn === undefined || iucn.includes(record.IUCN_Red_List_Category)));
+}
+
+const countSpecies = records => records.filter(record => record.Taxon_rank === 'species').length;
+
+/**
+ * Conservation summary with each category as a ConservationCategory
+ * @param {Object} node - { name, records }
+ * @returns {Object} ConservationSummary
+ */
+function conservationSummary({ name, records }) {
+    const summary = summarizeConservation(name, records);
+    return {
+        ...summary,
+        categories: Object.entries(summary.categories).map(([code, { count, share }]) => ({ category: { code }, count, share }))
+    };
+}
+
+const RESOLVERS = {
+    Query: {
+        bird: async (_, { scientificName }, { engine }) => {
+            const matches = await engine.searchByName(scientificName, true);
+            return matches.find(record => record.Scientific_name === scientificName) ?? null;
+        },
+        birds: async (_, { search, range, region, order, family, iucn, rank, extinct, limit, offset }, { engine }) => {
+            const filters = Object.fromEntries(Object.entries({ q: search, range, order, family, iucn, rank, extinct })
+                .filter(([, value]) => value !== undefined));
+            let { results } = await engine.facetedSearch(filters);
+            if (region !== undefined) {
+                const inRegion = new Set(await engine.getByRegion(region));
+                results = results.filter(record => inRegion.has(record));
+            }
+            return page(results, { limit, offset });
+        },
+        family: (_, { name }, { engine }) => taxonNode(engine, 'Family', name),
+        order: (_, { name }, { engine }) => taxonNode(engine, 'Order', name),
+        orders: async (_, args, { engine }) => {
+            const { children } = await engine.getTaxonomyTree();
+            return Promise.all(page(children, args).map(({ name }) => taxonNode(engine, 'Order', name)));
+        },
+        conservationCategory: async (_, { code }, { engine }) => {
+            const { iucnCategories } = await engine.getDatasetStats();
+            return iucnCategories.includes(code) ? { code } : null;
+        },
+        conservationCategories: async (_, args, { engine }) => {
+            const { iucnCategories } = await engine.getDatasetStats();
+            return [iucnCategories].flat().map(code => ({ code }));
+        },
+        stats: (_, args, { engine }) => engine.getDatasetStats()
+    },
+    Bird: {
+        scientificName: bird => bird.Scientific_name,
+        rank: bird => bird.Taxon_rank,
+        sequence: bird => (Number.isInteger(bird.Sequence) ? bird.Sequence : null),
+        englishName: (bird, { authority }) => bird[AUTHORITY_FIELDS[authority]] || null,
+        authority: bird => bird.Authority || null,
+        authors: async (bird, args, { engine }) => (await engine.getParsedAuthority(bird))?.authors ?? [],
+        year: async (bird, args, { engine }) => (await engine.getParsedAuthority(bird))?.year ?? null,
+        range: bird => bird.Range || null,
+        extinct: bird => Boolean(bird.Extinct_or_possibly_extinct),
+        conservation: bird => (bird.IUCN_Red_List_Category ? { code: bird.IUCN_Red_List_Category } : null),
+        family: (bird, args, { engine }) => taxonNode(engine, 'Family', bird.Family),
+        order: (bird, args, { engine }) => taxonNode(engine, 'Order', bird.Order),
+        siblings: async (bird, { rank, limit, offset }, { engine }) => {
+            const family = await taxonNode(engine, 'Family', bird.Family);
+            const siblings = filterMembers(family?.records ?? [], { rank }).filter(record => record !== bird);
+            return page(siblings, { limit, offset });
+        },
+        regions: (bird, args, { engine }) => engine.getRecordRegions(bird),
+        urls: bird => ({
+            birdLife: bird.BirdLife_DataZone_URL || null,
+            birdsOfTheWorld: bird.Birds_of_the_World_URL || null,
+            originalDescription: bird.Original_description_URL || null
+        })
+    },
+    Family: {
+        englishName: ({ records }) => records.find(record => record.Family_English_name)?.Family_English_name ?? null,
+        order: ({ records }, args, { engine }) => taxonNode(engine, 'Order', records[0].Order),
+        speciesCount: ({ records }) => countSpecies(records),
+        birds: ({ records }, { limit, offset, ...filters }) => page(filterMembers(records, filters), { limit, offset }),
+        conservation: conservationSummary
+    },
+    Order: {
+        familyCount: ({ records }) => groupRecords(records, 'Family').size,
+        speciesCount: ({ records }) => countSpecies(records),
+        families: ({ records }, args) => page([...groupRecords(records, 'Family')], args).map(([name, members]) => ({ name, records: members })),
+        birds: ({ records }, { limit, offset, ...filters }) => page(filterMembers(records, filters), { limit, offset }),
+        conservation: conservationSummary
+    },
+    ConservationCategory: {
+        speciesCount: async ({ code }, args, { engine }) => countSpecies(await engine.getByIUCNCategory(code)),
+        birds: async ({ code }, { limit, offset, ...filters }, { engine }) => page(filterMembers(await engine.getByIUCNCategory(code), filters), { limit, offset })
+    }
+};
+
+/**
+ * Build the executable schema from TYPE_DEFS and RESOLVERS
+ * @returns {Object} GraphQL schema
+ */
+function createGraphqlSchema() {
+    const schema = buildSchema(TYPE_DEFS);
+    for (const [typeName, fields] of Object.entries(RESOLVERS)) {
+        const typeFields = schema.getType(typeName).getFields();
+        for (const [fieldName, resolve] of Object.entries(fields)) {
+            typeFields[fieldName].resolve = resolve;
+        }
+    }
+    return schema;
+}
+
+const schema = createGraphqlSchema();
+
+/**
+ * Most items a list field can return: its limit argument (literal, variable or schema default),
+ * or the size in UNPAGED_LIST_SIZES for lists without one
+ * @param {Object} parentType - Type the field belongs to
+ * @param {Object} fieldDef - Field definition
+ * @param {Object} node - Field AST node
+ * @param {Object} variables - Request variables
+ * @returns {number} Number of items
+ */
+function listSize(parentType, fieldDef, node, variables) {
+    const definition = fieldDef.args.find(arg => arg.name === 'limit');
+    if (!definition) {
+        return UNPAGED_LIST_SIZES[`${parentType.name}.${fieldDef.name}`] ?? 1;
+    }
+    const argument = node.arguments.find(arg => arg.name.value === 'limit');
+    let value = definition.defaultValue;
+    if (argument?.value.kind === Kind.INT) {
+        value = Number(argument.value.value);
+    } else if (argument?.value.kind === Kind.VARIABLE) {
+        value = variables[argument.value.name.value] ?? value;
+    }
+    return Number.isInteger(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Estimate the depth and cost of a selection set. Each object field costs 1 times the objects it can return:
+ * its list size for list fields. Introspection fields are free.
+ * @param {Object} context - { schema, fragments, variables }
+ * @param {Object} selectionSet - Selection set AST node
+ * @param {Object} parentType - Type the selections are made on
+ * @param {Set} visited - Fragment names being expanded, to stop cycles
+ * @returns {Object} { depth, cost }
+ */
+function measureSelections(context, selectionSet, parentType, visited = new Set()) {
+    let depth = 0;
+    let cost = 0;
+    for (const selection of selectionSet.selections) {
+        let measured = { depth: 0, cost: 0 };
+        if (selection.kind === Kind.FIELD) {
+            const fieldDef = parentType.getFields?.()[selection.name.value];
+            if (!fieldDef || selection.name.value.startsWith('__') || !selection.selectionSet) {
+                continue;
+            }
+            const child = measureSelections(context, selection.selectionSet, getNamedType(fieldDef.type), visited);
+            const multiplier = isListType(getNullableType(fieldDef.type)) ? listSize(parentType, fieldDef, selection, context.variables) : 1;
+            measured = { depth: child.depth + 1, cost: multiplier * (1 + child.cost) };
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const type = selection.typeCondition ? typeFromAST(context.schema, selection.typeCondition) : parentType;
+            measured = measureSelections(context, selection.selectionSet, type ?? parentType, visited);
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const fragment = context.fragments[selection.name.value];
+            if (!fragment || visited.has(fragment.name.value)) {
+                continue;
+            }
+            const type = typeFromAST(context.schema, fragment.typeCondition) ?? parentType;
+            measured = measureSelections(context, fragment.selectionSet, type, new Set([...visited, fragment.name.value]));
+        }
+        depth = Math.max(depth, measured.depth);
+        cost += measured.cost;
+    }
+    return { depth, cost };
+}
+
+/**
+ * Validation rule rejecting operations deeper or costlier than the limits
+ * @param {Object} limits - { maxDepth, maxCost }
+ * @param {Object} variables - Request variables, used for limit arguments
+ * @returns {Function} GraphQL validation rule
+ */
+function complexityLimitRule({ maxDepth, maxCost }, variables = {}) {
+    return (validationContext) => {
+        const fragments = Object.fromEntries(validationContext.getDocument().definitions
+            .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+            .map(definition => [definition.name.value, definition]));
+        const context = { schema: validationContext.getSchema(), fragments, variables };
+
+        return {
+            OperationDefinition(node) {
+                const rootType = validationContext.getSchema().getRootType(node.operation);
+                if (!rootType) {
+                    return;
+                }
+                const { depth, cost } = measureSelections(context, node.selectionSet, rootType);
+                if (depth > maxDepth) {
+                    validationContext.reportError(new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`, { nodes: [node] }));
+                }
+                if (cost > maxCost) {
+                    validationContext.reportError(new GraphQLError(`Query cost ${cost} exceeds the limit of ${maxCost}; request fewer or smaller lists`, { nodes: [node] }));
+                }
+            }
+        };
+    };
+}
+
+/**
+ * Parse, validate and run a GraphQL request against an engine
+ * @param {Object} engine - Bird query engine
+ * @param {Object} request - { query, variables, operationName }
+ * @param {Object} limits - { maxDepth, maxCost }
+ * @returns {Object} { status, body } where body is a GraphQL response ({ data, errors }). Requests that
+ *     fail to parse, validate or bind their variables get status 400 and no data; resolver errors are
+ *     reported alongside the data with status 200
+ */
+async function executeGraphqlQuery(engine, { query, variables, operationName }, limits = DEFAULT_GRAPHQL_LIMITS) {
+    if (typeof query !== 'string' || query.trim() === '') {
+        return { status: 400, body: { errors: [{ message: 'A query string is required' }] } };
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return { status: 400, body: { errors: [error.toJSON()] } };
+    }
+
+    const errors = validate(schema, document, [...specifiedRules, complexityLimitRule(limits, variables ?? {})]);
+    if (errors.length > 0) {
+        return { status: 400, body: { errors: errors.map(error => error.toJSON()) } };
+    }
+
+    const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { engine }
+    });
+    return {
+        status: result.data === undefined ? 400 : 200,
+        body: result.errors ? { ...result, errors: result.errors.map(error => error.toJSON()) } : result
+    };
+}
+
+export { DEFAULT_GRAPHQL_LIMITS, MAX_PAGE_SIZE, TYPE_DEFS, UNPAGED_LIST_SIZES, complexityLimitRule, createGraphqlSchema, executeGraphqlQuery };
@@ -0,0 +1,344 @@
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parseCsvObjects } from './csv.js';
+
+/**
+ * Import AviList / Clements / BirdLife checklist releases (CSV or XLSX) into the birdIndex.json record format
+ */
+
+const RECORD_FIELDS = [
+    'Sequence', 'Taxon_rank', 'Order', 'Family', 'Family_English_name', 'Scientific_name', 'Authority',
+    'Bibliographic_details', 'English_name_AviList', 'English_name_Clements_v2024', 'English_name_BirdLife_v9',
+    'Proposal_number', 'Decision_summary', 'Range', 'Extinct_or_possibly_extinct', 'IUCN_Red_List_Category',
+    'BirdLife_DataZone_URL', 'Species_code_Cornell_Lab', 'Birds_of_the_World_URL', 'AvibaseID', 'Gender_of_genus',
+    'Type_species_of_genus', 'Type_locality', 'Title_of_original_description', 'Original_description_URL', 'Protonym'
+];
+
+// Which English name column a plain "English name" header belongs to
+const SOURCE_NAME_FIELDS = {
+    avilist: 'English_name_AviList',
+    clements: 'English_name_Clements_v2024',
+    birdlife: 'English_name_BirdLife_v9'
+};
+
+// Header spellings used by the different releases, keyed by normalized header
+const COLUMN_ALIASES = {
+    rank: 'Taxon_rank',
+    category: 'Taxon_rank',
+    sciname: 'Scientific_name',
+    author: 'Authority',
+    familyname: 'Family_English_name',
+    distribution: 'Range',
+    extinct: 'Extinct_or_possibly_extinct',
+    iucn: 'IUCN_Red_List_Category',
+    iucncategory: 'IUCN_Red_List_Category',
+    redlistcategory: 'IUCN_Red_List_Category',
+    '2024iucnredlistcategory': 'IUCN_Red_List_Category',
+    speciescode: 'Species_code_Cornell_Lab',
+    ebirdspeciescode: 'Species_code_Cornell_Lab',
+    englishnameclements: 'English_name_Clements_v2024',
+    englishnamebirdlife: 'English_name_BirdLife_v9'
+};
+
+// Source columns that are deliberately dropped because the importer derives them
+const DERIVED_COLUMNS = new Set(['sort', 'sortv2024', 'sortv2023', 'seq']);
+
+const GENERIC_NAME_HEADERS = new Set(['englishname', 'commonname', 'primarycomname']);
+
+const IUCN_CATEGORIES = new Set(['LC', 'NT', 'VU', 'EN', 'CR', 'EW', 'EX', 'DD', 'NE', 'NR']);
+
+const URL_FIELDS = ['BirdLife_DataZone_URL', 'Birds_of_the_World_URL', 'Original_description_URL'];
+
+const NAME_PATTERNS = {
+    species: /^[A-Z][a-z]+ [a-z][a-z-]*$/,
+    subspecies: /^[A-Z][a-z]+ [a-z][a-z-]* [a-z][a-z-]*$/
+};
+
+/**
+ * Normalize a header for alias lookup: lowercase with everything but letters and digits removed
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const CANONICAL_HEADERS = Object.fromEntries(RECORD_FIELDS.map(field => [normalizeHeader(field), field]));
+
+/**
+ * Map source headers onto record fields
+ * @param {Array} headers - Raw headers
+ * @param {string} source - avilist, clements or birdlife
+ * @returns {Object} { mapping: header → field, ignored: headers without a field }
+ */
+function mapColumns(headers, source = 'avilist') {
+    const mapping = {};
+    const ignored = [];
+
+    for (const header of headers) {
+        const key = normalizeHeader(header);
+        const field = CANONICAL_HEADERS[key]
+            ?? COLUMN_ALIASES[key]
+            ?? (GENERIC_NAME_HEADERS.has(key) ? SOURCE_NAME_FIELDS[source] : undefined);
+
+        // The importer assigns Sequence itself
+        if (field === 'Sequence' || DERIVED_COLUMNS.has(key)) {
+            continue;
+        }
+        if (field) {
+            mapping[header] = field;
+        } else if (key !== '') {
+            ignored.push(header);
+        }
+    }
+
+    return { mapping, ignored };
+}
+
+/**
+ * Convert an ExcelJS cell value to text
+ * @param {any} value - Cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if ('result' in value) {
+            return cellText(value.result);
+        }
+        if ('text' in value) {
+            return cellText(value.text);
+        }
+        if ('hyperlink' in value) {
+            return value.hyperlink;
+        }
+    }
+    return String(value);
+}
+
+/**
+ * Read the rows of a CSV or XLSX checklist
+ * @param {string} file - Path to a .csv, .tsv or .xlsx file
+ * @param {Object} options - { sheet } worksheet name for XLSX files (defaults to the first sheet)
+ * @returns {Object} { headers, rows } where rows are objects keyed by header
+ */
+async function readChecklistRows(file, { sheet } = {}) {
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === '.csv' || extension === '.tsv') {
+        const text = await fs.promises.readFile(file, 'utf8');
+        return parseCsvObjects(text, extension === '.tsv' ? '\t' : ',');
+    }
+
+    if (extension === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(file);
+        const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error(`Worksheet not found: ${sheet}`);
+        }
+
+        const table = [];
+        worksheet.eachRow({ includeEmpty: true }, (row) => {
+            // ExcelJS row values are 1-based
+            table.push(row.values.slice(1).map(cellText));
+        });
+        const [headers = [], ...rows] = table;
+        return {
+            headers,
+            rows: rows.map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? ''])))
+        };
+    }
+
+    throw new Error(`Unsupported file type: ${extension || file}. Use .csv, .tsv or .xlsx`);
+}
+
+/**
+ * Turn source rows into bird records, assigning Sequence and collecting problems
+ * @param {Object} table - { headers, rows } from readChecklistRows
+ * @param {Object} options - { source } avilist, clements or birdlife
+ * @returns {Object} { records, report }
+ */
+function normalizeRecords({ headers, rows }, { source = 'avilist' } = {}) {
+    if (!SOURCE_NAME_FIELDS[source]) {
+        throw new Error(`Unknown source: ${source}. Use one of: ${Object.keys(SOURCE_NAME_FIELDS).join(', ')}`);
+    }
+
+    const { mapping, ignored } = mapColumns(headers, source);
+    const mappedFields = new Set(Object.values(mapping));
+    for (const required of ['Scientific_name', 'Taxon_rank']) {
+        if (!mappedFields.has(required)) {
+            throw new Error(`Missing required column for ${required}. Found columns: ${headers.join(', ')}`);
+        }
+    }
+
+    const records = [];
+    const errors = [];
+    const warnings = [];
+    const seen = new Map();
+
+    rows.forEach((row, index) => {
+        // Spreadsheet row number: 1-based, after the header row
+        const line = index + 2;
+        const values = Object.values(row).map(value => String(value ?? '').trim());
+        if (values.every(value => value === '')) {
+            return;
+        }
+
+        const record = {};
+        for (const [header, field] of Object.entries(mapping)) {
+            const value = String(row[header] ?? '').trim();
+            if (value !== '' || record[field] === undefined) {
+                record[field] = value;
+            }
+        }
+
+        record.Taxon_rank = record.Taxon_rank.toLowerCase();
+
+        // Clements writes families as "Struthionidae (Ostriches)"
+        const familyMatch = /^(\S+)\s+\((.+)\)$/.exec(record.Family ?? '');
+        if (familyMatch) {
+            record.Family = familyMatch[1];
+            record.Family_English_name = record.Family_English_name || familyMatch[2];
+        }
+
+        if (record.Extinct_or_possibly_extinct !== undefined && /^(1|true|yes|x)$/i.test(record.Extinct_or_possibly_extinct)) {
+            record.Extinct_or_possibly_extinct = 'extinct';
+        }
+        if (record.IUCN_Red_List_Category) {
+            record.IUCN_Red_List_Category = record.IUCN_Red_List_Category.toUpperCase();
+        }
+
+        const rowErrors = [];
+        if (!record.Scientific_name) {
+            rowErrors.push({ line, field: 'Scientific_name', message: 'Missing scientific name' });
+        }
+        if (!record.Taxon_rank) {
+            rowErrors.push({ line, field: 'Taxon_rank', message: 'Missing taxon rank' });
+        }
+        const namePattern = NAME_PATTERNS[record.Taxon_rank];
+        if (record.Scientific_name && namePattern && !namePattern.test(record.Scientific_name)) {
+            rowErrors.push({ line, field: 'Scientific_name', message: `Malformed ${record.Taxon_rank} name: "${record.Scientific_name}"` });
+        }
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+
+        if (record.IUCN_Red_List_Category && !IUCN_CATEGORIES.has(record.IUCN_Red_List_Category)) {
+            warnings.push({ line, field: 'IUCN_Red_List_Category', message: `Unknown IUCN category: "${record.IUCN_Red_List_Category}"` });
+        }
+        for (const field of URL_FIELDS) {
+            if (record[field] && !/^https?:\/\//.test(record[field])) {
+                warnings.push({ line, field, message: `Malformed URL: "${record[field]}"` });
+            }
+        }
+        const key = `${record.Taxon_rank}:${record.Scientific_name}`;
+        if (seen.has(key)) {
+            warnings.push({ line, field: 'Scientific_name', message: `Duplicate of line ${seen.get(key)}: "${record.Scientific_name}"` });
+        } else {
+            seen.set(key, line);
+        }
+
+        record.Sequence = records.length + 1;
+        records.push(Object.fromEntries(RECORD_FIELDS.filter(field => field in record).map(field => [field, record[field]])));
+    });
+
+    return {
+        records,
+        report: {
+            source,
+            rowsRead: rows.length,
+            recordsImported: records.length,
+            rowsRejected: new Set(errors.map(error => error.line)).size,
+            columns: mapping,
+            ignoredColumns: ignored,
+            errors,
+            warnings
+        }
+    };
+}
+
+/**
+ * Import a checklist file into bird records
+ * @param {string} file - Path to a .csv, .tsv or .xlsx file
+ * @param {Object} options - { source, sheet }
+ * @returns {Object} { records, report }
+ */
+async function importChecklist(file, options = {}) {
+    const table = await readChecklistRows(file, options);
+    return normalizeRecords(table, options);
+}
+
+/**
+ * Parse CLI arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { out: 'birdIndex.json', source: 'avilist', strict: false };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out' || arg === '--source' || arg === '--sheet') {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else {
+            positional.push(arg);
+        }
+    }
+    options.input = positional[0];
+    return options;
+}
+
+/**
+ * Command line entry point
+ */
+async function runCli() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.input) {
+        console.error('Usage: node importChecklist.js <checklist.csv|checklist.xlsx> [--source avilist|clements|birdlife] [--sheet name] [--out birdIndex.json] [--strict]');
+        process.exit(1);
+    }
+
+    const { records, report } = await importChecklist(options.input, options);
+
+    console.log(`📥 Read ${report.rowsRead} rows from ${options.input} (${report.source})`);
+    if (report.ignoredColumns.length > 0) {
+        console.log(`Ignored columns: ${report.ignoredColumns.join(', ')}`);
+    }
+    for (const { line, field, message } of report.errors) {
+        console.log(`❌ Line ${line} [${field}]: ${message}`);
+    }
+    for (const { line, field, message } of report.warnings) {
+        console.log(`⚠️  Line ${line} [${field}]: ${message}`);
+    }
+
+    if (options.strict && report.errors.length > 0) {
+        console.error(`❌ ${report.rowsRejected} rows rejected, nothing written (--strict)`);
+        process.exit(1);
+    }
+
+    await fs.promises.writeFile(options.out, JSON.stringify(records, null, 2));
+    console.log(`✅ Wrote ${records.length} records to ${options.out} (${report.rowsRejected} rows rejected, ${report.warnings.length} warnings)`);
+}
+
+export { RECORD_FIELDS, importChecklist, mapColumns, normalizeRecords, readChecklistRows };
+
+// CLI mode when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runCli().catch((error) => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
+}
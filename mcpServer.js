@@ -0,0 +1,304 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { BirdQueryEngine } from './birdQueryEngine.js';
+import { PRIVILEGED_SCOPE } from './apiKeys.js';
+import { validateSchema } from './openapi.js';
+import { loadConfig } from './config.js';
+
+const SERVER_INFO = { name: 'avibase-mcp-server', version: '1.0.0' };
+
+// Shared schema fragments
+const birdRecordSchema = {
+    type: 'object',
+    description: 'A bird record from the dataset',
+    additionalProperties: true
+};
+
+// Filter values customQuery accepts, the same as POST /api/custom
+const filterValueSchema = { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] };
+
+const paginationProperties = {
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 50, description: 'Maximum number of records to return' },
+    offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of records to skip' }
+};
+
+const recordListOutputSchema = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer', description: 'Total number of matching records' },
+        offset: { type: 'integer' },
+        limit: { type: 'integer' },
+        results: { type: 'array', items: birdRecordSchema }
+    },
+    required: ['total', 'offset', 'limit', 'results']
+};
+
+/**
+ * Slice a full result list into the structured payload returned by list tools
+ * @param {Array} results - Full list of matching records
+ * @param {Object} args - Tool arguments containing optional limit/offset
+ * @returns {Object} Structured list result
+ */
+function toRecordList(results, { limit = 50, offset = 0 } = {}) {
+    return {
+        total: results.length,
+        offset,
+        limit,
+        results: results.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Tool definitions exposed over MCP. Each entry maps a tool onto a BirdQueryEngine method.
+ * Privileged tools are only offered to callers whose API key has the privileged scope, like POST /api/query.
+ */
+const TOOLS = [
+    {
+        name: 'searchByName',
+        description: 'Search birds by scientific or English common name (AviList, Clements, BirdLife)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                searchTerm: { type: 'string', minLength: 1, description: 'Name or part of a name to search for' },
+                exactMatch: { type: 'boolean', default: false, description: 'Match the whole name exactly instead of a case-insensitive substring' },
+                ...paginationProperties
+            },
+            required: ['searchTerm']
+        },
+        outputSchema: recordListOutputSchema,
+        handler: async (engine, args) => toRecordList(await engine.searchByName(args.searchTerm, args.exactMatch === true), args)
+    },
+    {
+        name: 'getByTaxonomy',
+        description: 'Get birds by taxonomic classification (Order, Family or Taxon_rank)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: ['Taxon_rank', 'Order', 'Family'], description: 'Taxonomic level to filter on' },
+                value: { type: 'string', minLength: 1, description: 'Value of the taxonomic level, e.g. "Strigiformes"' },
+                ...paginationProperties
+            },
+            required: ['level', 'value']
+        },
+        outputSchema: recordListOutputSchema,
+        handler: async (engine, args) => toRecordList(await engine.getByTaxonomy(args.level, args.value), args)
+    },
+    {
+        name: 'getByIUCNCategory',
+        description: 'Get birds by IUCN Red List category',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                category: { type: 'string', minLength: 1, description: 'IUCN category code, e.g. CR, EN, VU, NT, LC, DD, EX' },
+                ...paginationProperties
+            },
+            required: ['category']
+        },
+        outputSchema: recordListOutputSchema,
+        handler: async (engine, args) => toRecordList(await engine.getByIUCNCategory(args.category), args)
+    },
+    {
+        name: 'getByRange',
+        description: 'Get birds whose geographic range mentions a region',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                region: { type: 'string', minLength: 1, description: 'Region to search for, e.g. "Madagascar"' },
+                ...paginationProperties
+            },
+            required: ['region']
+        },
+        outputSchema: recordListOutputSchema,
+        handler: async (engine, args) => toRecordList(await engine.getByRange(args.region), args)
+    },
+    {
+        name: 'getBirdReport',
+        description: 'Get a detailed report for a bird, including related birds in the same family',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scientificName: { type: 'string', minLength: 1, description: 'Scientific name, e.g. "Aquila chrysaetos"' }
+            },
+            required: ['scientificName']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                bird: birdRecordSchema,
+                relatedInFamily: { type: 'array', items: birdRecordSchema },
+                conservationStatus: { type: 'string' },
+                hasUrls: {
+                    type: 'object',
+                    properties: {
+                        birdLife: { type: 'boolean' },
+                        birdsOfTheWorld: { type: 'boolean' },
+                        originalDescription: { type: 'boolean' }
+                    }
+                }
+            },
+            required: ['bird', 'relatedInFamily', 'conservationStatus', 'hasUrls']
+        },
+        handler: (engine, args) => engine.getBirdReport(args.scientificName)
+    },
+    {
+        name: 'customQuery',
+        description: 'Filter birds by several fields at once. Array values match any listed value, "*" in a string value is a wildcard, anything else is an exact match.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filters: {
+                    type: 'object',
+                    description: 'Map of field name to filter value, e.g. { "Order": "Passeriformes", "IUCN_Red_List_Category": ["CR", "EN"] }',
+                    additionalProperties: { anyOf: [...filterValueSchema.anyOf, { type: 'array', items: filterValueSchema }] },
+                    minProperties: 1
+                },
+                ...paginationProperties
+            },
+            required: ['filters']
+        },
+        outputSchema: recordListOutputSchema,
+        handler: async (engine, args) => toRecordList(await engine.customQuery(args.filters), args)
+    },
+    {
+        name: 'executeQuery',
+        description: 'Execute a raw JSONata expression against the full bird dataset (an array of bird records). Runs under time, depth and result-size limits.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'JSONata expression, e.g. $[Order="Strigiformes"].Scientific_name' }
+            },
+            required: ['query']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                result: { description: 'Value produced by the expression' }
+            }
+        },
+        privileged: true,
+        handler: async (engine, args) => ({ result: await engine.executeSandboxedQuery(args.query) ?? null })
+    }
+];
+
+/**
+ * Create an MCP server exposing the bird query engine as tools
+ * @param {BirdQueryEngine} engine - Loaded query engine
+ * @param {Object} options - { privileged } whether the caller may use privileged tools
+ * @returns {Server} MCP server, not yet connected to a transport
+ */
+function createMcpServer(engine, { privileged = true } = {}) {
+    const server = new Server(SERVER_INFO, { capabilities: { tools: {} } });
+    const tools = TOOLS.filter(tool => privileged || !tool.privileged);
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+        tools: tools.map(({ name, description, inputSchema, outputSchema }) => ({
+            name,
+            description,
+            inputSchema,
+            outputSchema
+        }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name, arguments: args = {} } = request.params;
+        const tool = TOOLS.find(t => t.name === name);
+
+        if (!tool) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: `Unknown tool: ${name}` }]
+            };
+        }
+        if (!tools.includes(tool)) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: `Tool ${name} requires an API key with the ${PRIVILEGED_SCOPE} scope` }]
+            };
+        }
+
+        const errors = validateSchema(tool.inputSchema, args, 'arguments');
+        if (errors.length > 0) {
+            return {
+                isError: true,
+                content: [{ type: 'text', text: `Invalid arguments: ${errors.join('; ')}` }]
+            };
+        }
+
+        try {
+            const structuredContent = await tool.handler(engine, args);
+            return {
+                structuredContent,
+                content: [{ type: 'text', text: JSON.stringify(structuredContent) }]
+            };
+        } catch (error) {
+            console.error(`MCP tool ${name} error:`, error.message);
+            return {
+                isError: true,
+                content: [{ type: 'text', text: error.message }]
+            };
+        }
+    });
+
+    return server;
+}
+
+/**
+ * Express handler serving MCP over streamable HTTP.
+ * Runs stateless: every request gets its own server and transport.
+ * Privileged tools are offered when req.apiKey, set by the API key middleware, has the privileged scope.
+ * @param {Function} getEngine - Returns the BirdQueryEngine for a request
+ * @returns {Function} Express request handler
+ */
+function createMcpHttpHandler(getEngine) {
+    return async (req, res) => {
+        const server = createMcpServer(getEngine(req), { privileged: !!req.apiKey?.scopes.includes(PRIVILEGED_SCOPE) });
+        const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+        res.on('close', () => {
+            transport.close();
+            server.close();
+        });
+
+        try {
+            await server.connect(transport);
+            await transport.handleRequest(req, res, req.body);
+        } catch (error) {
+            console.error('MCP request error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    jsonrpc: '2.0',
+                    error: { code: -32603, message: 'Internal server error' },
+                    id: null
+                });
+            }
+        }
+    };
+}
+
+/**
+ * Run the MCP server over stdio
+ */
+async function startStdioServer() {
+    // stdout carries the JSON-RPC stream, so route engine logging to stderr
+    console.log = console.error;
+
+    // Serves the first configured dataset, with the same settings as the HTTP server
+    const config = loadConfig();
+    const [dataset] = config.datasets;
+    const engine = new BirdQueryEngine(dataset.dataFile, { sandbox: config.sandbox, cacheSize: config.cache.maxEntries });
+    const server = createMcpServer(engine);
+    await server.connect(new StdioServerTransport());
+    console.error('🦅 Avibase MCP server running on stdio');
+}
+
+export { TOOLS, createMcpServer, createMcpHttpHandler };
+
+// Stdio mode when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startStdioServer().catch((error) => {
+        console.error('❌ Failed to start MCP server:', error.message);
+        process.exit(1);
+    });
+}
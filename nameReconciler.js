@@ -0,0 +1,188 @@
+import { normalizeName } from './fuzzySearch.js';
+
+/**
+ * Maps names between the naming authorities carried on every record
+ */
+
+const AUTHORITY_FIELDS = {
+    avilist: 'English_name_AviList',
+    clements: 'English_name_Clements_v2024',
+    birdlife: 'English_name_BirdLife_v9',
+    scientific: 'Scientific_name'
+};
+
+const FUZZY_MIN_SCORE = 0.75;
+
+/**
+ * Describe a record as a reconciliation candidate
+ * @param {Object} record - Bird record
+ * @param {string} sourceField - Field the input was matched against
+ * @param {string} targetField - Field holding the equivalent name
+ * @returns {Object} Candidate summary
+ */
+function toCandidate(record, sourceField, targetField) {
+    return {
+        scientificName: record.Scientific_name,
+        taxonRank: record.Taxon_rank,
+        sourceName: record[sourceField] || null,
+        targetName: record[targetField] || null
+    };
+}
+
+class NameReconciler {
+    /**
+     * @param {Array} records - Bird records
+     * @param {FuzzyNameIndex} fuzzyNames - Fuzzy index over the name fields, used when no name matches exactly
+     */
+    constructor(records, fuzzyNames) {
+        this.fuzzyNames = fuzzyNames;
+        this.byAuthority = {};
+
+        for (const [authority, field] of Object.entries(AUTHORITY_FIELDS)) {
+            const names = new Map();
+            for (const record of records) {
+                const value = record[field];
+                if (typeof value !== 'string' || value === '') {
+                    continue;
+                }
+                const key = normalizeName(value);
+                let bucket = names.get(key);
+                if (!bucket) {
+                    bucket = [];
+                    names.set(key, bucket);
+                }
+                bucket.push(record);
+            }
+            this.byAuthority[authority] = names;
+        }
+    }
+
+    /**
+     * Records whose name in an authority matches the input after normalization
+     * @param {string} authority - Authority key
+     * @param {string} name - Input name
+     * @returns {Array} Matching records
+     */
+    lookup(authority, name) {
+        return this.byAuthority[authority].get(normalizeName(name)) ?? [];
+    }
+
+    /**
+     * Records matching the input exactly (after normalization) in the first authority that has it
+     * @param {string} name - Input name
+     * @param {Array} authorities - Authority keys in the order to try them
+     * @returns {Object|null} { records, matchType, matchedAuthority, score }, or null if no authority has the name
+     */
+    findExact(name, authorities) {
+        let normalized = null;
+        for (const authority of authorities) {
+            const records = this.lookup(authority, name);
+            if (records.length === 0) {
+                continue;
+            }
+            // A verbatim match in a later authority beats a normalized one in an earlier authority
+            if (records.some(record => record[AUTHORITY_FIELDS[authority]] === name)) {
+                return { records, matchType: 'exact', matchedAuthority: authority, score: 1 };
+            }
+            normalized ??= { records, matchType: 'normalized', matchedAuthority: authority, score: 1 };
+        }
+        return normalized;
+    }
+
+    /**
+     * Records whose names are closest to a misspelt input
+     * @param {string} name - Input name
+     * @returns {Object} { records, matchType, matchedAuthority, score }
+     */
+    findFuzzy(name) {
+        const hits = this.fuzzyNames.search(name, { minScore: FUZZY_MIN_SCORE });
+        if (hits.length === 0) {
+            return { records: [], matchType: 'none', matchedAuthority: null, score: 0 };
+        }
+
+        // Hits tied with the best score are equally plausible readings of the input
+        const [best] = hits;
+        const tied = hits.filter(hit => hit.score === best.score);
+        const matchedAuthority = Object.keys(AUTHORITY_FIELDS).find(authority => AUTHORITY_FIELDS[authority] === best.matchedField);
+        return { records: tied.map(hit => hit.bird), matchType: 'fuzzy', matchedAuthority, score: best.score };
+    }
+
+    /**
+     * Find the records an input name refers to, trying the source authority first,
+     * then the other authorities, then a fuzzy match
+     * @param {string} name - Input name
+     * @param {string} from - Source authority key
+     * @returns {Object} { records, matchType, matchedAuthority, score }
+     */
+    findRecords(name, from) {
+        const source = this.findExact(name, [from]);
+        if (source) {
+            return source;
+        }
+
+        const other = this.findExact(name, Object.keys(AUTHORITY_FIELDS).filter(authority => authority !== from));
+        if (other) {
+            return { ...other, matchType: 'other_authority' };
+        }
+
+        return this.findFuzzy(name);
+    }
+
+    /**
+     * Map one name from a source authority to a target authority
+     * @param {string} name - Input name
+     * @param {string} from - Source authority key
+     * @param {string} to - Target authority key
+     * @returns {Object} Reconciliation result
+     */
+    reconcile(name, from, to) {
+        const { records, matchType, matchedAuthority, score } = this.findRecords(name, from);
+        const sourceField = AUTHORITY_FIELDS[matchedAuthority ?? from];
+        const targetField = AUTHORITY_FIELDS[to];
+        const candidates = records.map(record => toCandidate(record, sourceField, targetField));
+        const flags = [];
+
+        if (records.length === 0) {
+            return { input: name, from, to, matchType, matchedAuthority, confidence: 'none', score, record: null, targetName: null, flags: ['unmatched'], candidates };
+        }
+
+        const targetNames = [...new Set(candidates.map(candidate => candidate.targetName).filter(Boolean))];
+        if (records.length > 1) {
+            // One name covering several taxa: a split if the target authority tells them apart
+            flags.push(targetNames.length > 1 ? 'split' : 'ambiguous');
+        }
+
+        const [record] = records;
+        const targetName = targetNames.length === 1 ? targetNames[0] : null;
+        if (targetNames.length === 0) {
+            flags.push('no_equivalent');
+        } else if (targetName && this.lookup(to, targetName).length > records.length) {
+            // The target name also covers taxa the input did not match
+            flags.push('lumped');
+        }
+        if (targetName && normalizeName(targetName) !== normalizeName(record[sourceField] ?? '')) {
+            flags.push('name_differs');
+        }
+
+        let confidence = matchType === 'fuzzy' ? (score >= 0.9 ? 'medium' : 'low') : matchType === 'other_authority' ? 'medium' : 'high';
+        if (flags.includes('split') || flags.includes('ambiguous')) {
+            confidence = 'low';
+        }
+
+        return {
+            input: name,
+            from,
+            to,
+            matchType,
+            matchedAuthority,
+            confidence,
+            score,
+            record: records.length === 1 ? record : null,
+            targetName,
+            flags,
+            candidates
+        };
+    }
+}
+
+export { AUTHORITY_FIELDS, NameReconciler };
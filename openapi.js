@@ -0,0 +1,464 @@
+import { EXPORT_FORMATS } from './exportFormats.js';
+
+/**
+ * OpenAPI 3 document and request validation generated from route definitions.
+ * Each route carries JSON schemas for its path and query parameters, request body and responses;
+ * the same schemas validate incoming requests and describe the route in /api/openapi.json.
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+/**
+ * Reference to a schema in components.schemas
+ * @param {string} name - Schema name
+ * @returns {Object} $ref schema
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// Schemas shared by several routes, published under components.schemas
+const COMPONENT_SCHEMAS = {
+    BirdRecord: {
+        type: 'object',
+        description: 'A bird record. Empty strings mean the value is not set.',
+        required: ['Scientific_name', 'Taxon_rank'],
+        properties: {
+            Sequence: { type: 'integer' },
+            Taxon_rank: { type: 'string', example: 'species' },
+            Order: { type: 'string', example: 'Accipitriformes' },
+            Family: { type: 'string', example: 'Accipitridae' },
+            Family_English_name: { type: 'string' },
+            Scientific_name: { type: 'string', example: 'Aquila chrysaetos' },
+            Authority: { type: 'string', example: '(Linnaeus, 1758)' },
+            English_name_AviList: { type: 'string', example: 'Golden Eagle' },
+            English_name_Clements_v2024: { type: 'string' },
+            English_name_BirdLife_v9: { type: 'string' },
+            Range: { type: 'string' },
+            Extinct_or_possibly_extinct: { type: 'string' },
+            IUCN_Red_List_Category: { type: 'string', example: 'LC' },
+            BirdLife_DataZone_URL: { type: 'string' },
+            Birds_of_the_World_URL: { type: 'string' },
+            Original_description_URL: { type: 'string' }
+        },
+        additionalProperties: true
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            totalItems: { type: 'integer' },
+            itemsPerPage: { type: 'integer' },
+            hasNext: { type: 'boolean' },
+            hasPrev: { type: 'boolean' },
+            nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor to get the next page' },
+            sort: { type: 'string', nullable: true },
+            currentPage: { type: 'integer', description: 'Page-based requests only' },
+            totalPages: { type: 'integer', description: 'Page-based requests only' },
+            datasetChanged: { type: 'boolean', description: 'Cursor requests only: the dataset was reloaded since the cursor was issued' }
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'timestamp', 'statusCode'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            statusCode: { type: 'integer' },
+            details: { type: 'string' }
+        }
+    }
+};
+
+// Query parameters of every list route; sort and fields are checked against the record fields by the route
+const LIST_QUERY = {
+    page: { type: 'integer', minimum: 1, description: 'Page number (default: 1)' },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Items per page (default: 50)' },
+    cursor: { type: 'string', description: 'nextCursor from the previous page, instead of page' },
+    sort: { type: 'string', pattern: '^[^,:]+(:(asc|desc))?(,[^,:]+(:(asc|desc))?)*$', description: 'field:asc|desc, comma separated', example: 'Scientific_name:asc' },
+    fields: { type: 'string', description: 'Comma separated fields to return', example: 'Scientific_name,Range' }
+};
+
+// The format parameter of routes that can export their results
+const FORMAT_QUERY = {
+    format: { type: 'string', enum: ['json', ...Object.keys(EXPORT_FORMATS)], description: 'Response format; the Accept header is used when omitted' }
+};
+
+/**
+ * Schema of the success envelope around response data
+ * @param {Object} data - Schema of the data property
+ * @param {Object} options - { paginated } to include the pagination property
+ * @returns {Object} Envelope schema
+ */
+function envelope(data, { paginated = false } = {}) {
+    return {
+        type: 'object',
+        required: ['success', 'message', 'timestamp', 'data'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            data,
+            ...(paginated && { pagination: ref('Pagination') })
+        }
+    };
+}
+
+/**
+ * Response of a route that returns a JSON envelope
+ * @param {string} description - Response description
+ * @param {Object} data - Schema of the data property
+ * @returns {Object} Response definition
+ */
+function jsonResponse(description, data) {
+    return { description, content: { 'application/json': { schema: envelope(data) } } };
+}
+
+/**
+ * Response of a list route: a paginated JSON envelope, or the full list in an export format
+ * @param {string} description - Response description
+ * @param {Object} item - Schema of one list item
+ * @returns {Object} Response definition
+ */
+function listResponse(description, item = ref('BirdRecord')) {
+    return {
+        description,
+        content: {
+            'application/json': { schema: envelope({ type: 'array', items: item }, { paginated: true }) },
+            ...Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType, { schema: { type: 'string' } }]))
+        }
+    };
+}
+
+/**
+ * Short description of the type a schema expects, for error messages
+ * @param {Object} schema - JSON schema
+ * @returns {string} E.g. "an integer" or "an array"
+ */
+function describeType(schema) {
+    if (schema.enum) {
+        return `one of: ${schema.enum.join(', ')}`;
+    }
+    const article = /^[aeiou]/.test(schema.type ?? '') ? 'an' : 'a';
+    return schema.type ? `${article} ${schema.type}` : 'a valid value';
+}
+
+/**
+ * JSON type of a value, telling integers apart from other numbers
+ * @param {any} value - Value
+ * @returns {string} JSON schema type name
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by route definitions:
+ * $ref, anyOf, type, nullable, enum, string length and pattern, number range,
+ * array items and length, object properties, required and additionalProperties
+ * @param {Object} schema - JSON schema
+ * @param {any} value - Value to check
+ * @param {string} path - Name of the value in error messages
+ * @param {Object} schemas - Schemas $ref can point to, by name
+ * @returns {Array} Error messages, empty when the value is valid
+ */
+function validateSchema(schema, value, path, schemas = COMPONENT_SCHEMAS) {
+    if (schema.$ref) {
+        return validateSchema(schemas[schema.$ref.split('/').pop()], value, path, schemas);
+    }
+    if (schema.anyOf) {
+        return schema.anyOf.some(option => validateSchema(option, value, path, schemas).length === 0)
+            ? []
+            : [`${path} must be ${schema.anyOf.map(option => describeType(option.$ref ? schemas[option.$ref.split('/').pop()] : option)).join(' or ')}`];
+    }
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    const type = typeOf(value);
+    if (schema.type && type !== schema.type && !(schema.type === 'number' && type === 'integer')) {
+        return [`${path} must be ${describeType(schema.enum ? { type: schema.type } : schema)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of: ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format${schema.example ? `, e.g. ${schema.example}` : ''}`);
+        }
+    } else if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    } else if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            // One bad item is enough to explain the problem
+            const invalid = value.map((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, schemas)).find(itemErrors => itemErrors.length > 0);
+            errors.push(...(invalid ?? []));
+        }
+    } else if (type === 'object') {
+        const properties = schema.properties ?? {};
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) {
+                continue;
+            }
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`, schemas));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}.${key}`, schemas));
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push(`${path} must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Convert a query or path parameter string to the type its schema expects, so "10" validates as an integer.
+ * Values that don't convert are returned unchanged and fail validation.
+ * @param {Object} schema - Parameter schema
+ * @param {any} value - Raw value from Express
+ * @returns {any} Converted value
+ */
+function coerceParameter(schema, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Express path for an OpenAPI path template: /api/bird/{scientificName} → /api/bird/:scientificName
+ * @param {string} path - OpenAPI path
+ * @returns {string} Express path
+ */
+function toExpressPath(path) {
+    return path.replace(/\{(\w+)\}/g, ':$1');
+}
+
+/**
+ * Route definitions registered on an Express router, with validation and OpenAPI generation
+ */
+class RouteRegistry {
+    /**
+     * @param {Object} router - Express router the routes are added to
+     * @param {Object} options - { onInvalid(req, res, errors) } sends the response for a request that fails validation;
+     *     { privileged } is middleware guarding routes defined with privileged: true, run before validation
+     */
+    constructor(router, { onInvalid, privileged }) {
+        this.router = router;
+        this.onInvalid = onInvalid;
+        this.privileged = privileged;
+        this.routes = [];
+    }
+
+    /**
+     * Register a route. The definition describes the route in the OpenAPI document and validates its requests.
+     * @param {Object} definition - {
+     *     method, path (OpenAPI template, e.g. /api/bird/{scientificName}), operationId, summary, description, tags,
+     *     params (path parameter schemas by name), query ({ properties, required }),
+     *     body ({ required, content: { contentType: { schema } } }), parsers (body parsers the body needs),
+     *     responses ({ status: response }), privileged
+     * }
+     * @param {...Function} handlers - Express handlers run after validation
+     */
+    add(definition, ...handlers) {
+        const duplicate = this.routes.find(route => route.operationId === definition.operationId
+            || (route.method === definition.method && route.path === definition.path));
+        if (duplicate) {
+            throw new Error(`Route ${definition.method.toUpperCase()} ${definition.path} (${definition.operationId}) is defined twice`);
+        }
+        this.routes.push(definition);
+        this.router[definition.method](
+            toExpressPath(definition.path),
+            ...(definition.privileged ? [this.privileged] : []),
+            ...(definition.parsers ?? []),
+            (req, res, next) => {
+                const errors = this.validate(definition, req);
+                return errors.length > 0 ? this.onInvalid(req, res, errors) : next();
+            },
+            ...handlers
+        );
+    }
+
+    /**
+     * Check a request's path parameters, query parameters and body against a route definition
+     * @param {Object} definition - Route definition
+     * @param {Object} req - Express request
+     * @returns {Array} Error messages
+     */
+    validate(definition, req) {
+        const errors = [];
+        for (const [name, schema] of Object.entries(definition.params ?? {})) {
+            errors.push(...validateSchema(schema, coerceParameter(schema, req.params[name]), `path parameter ${name}`));
+        }
+
+        const { properties = {}, required = [] } = definition.query ?? {};
+        for (const name of required) {
+            if (req.query[name] === undefined || req.query[name] === '') {
+                errors.push(`query parameter ${name} is required`);
+            }
+        }
+        for (const [name, schema] of Object.entries(properties)) {
+            const value = req.query[name];
+            if (value !== undefined && !(value === '' && !required.includes(name))) {
+                errors.push(...validateSchema(schema, coerceParameter(schema, value), `query parameter ${name}`));
+            }
+        }
+
+        if (definition.body) {
+            errors.push(...this.validateBody(definition.body, req));
+        }
+        return errors;
+    }
+
+    /**
+     * Check a request body against the schema for its content type
+     * @param {Object} body - Body definition
+     * @param {Object} req - Express request
+     * @returns {Array} Error messages
+     */
+    validateBody(body, req) {
+        const contentTypes = Object.keys(body.content);
+        const hasBody = req.get('Content-Length') > 0 || req.get('Transfer-Encoding') !== undefined;
+        if (!hasBody) {
+            return body.required ? [`request body is required (${contentTypes.join(', ')})`] : [];
+        }
+        const contentType = req.is(contentTypes);
+        if (!contentType) {
+            return [`request body must be ${contentTypes.join(' or ')}`];
+        }
+        return validateSchema(body.content[contentType].schema, req.body, 'body');
+    }
+
+    /**
+     * Build the OpenAPI document for the registered routes
+     * @param {Object} info - { title, version, description, servers } where servers are { url, description }
+     * @returns {Object} OpenAPI 3 document
+     */
+    document({ title, version, description, servers }) {
+        const paths = {};
+        for (const route of this.routes) {
+            paths[route.path] ??= {};
+            paths[route.path][route.method] = this.operation(route);
+        }
+
+        return {
+            openapi: OPENAPI_VERSION,
+            info: { title, version, description },
+            servers,
+            tags: [...new Set(this.routes.flatMap(route => route.tags ?? []))].map(name => ({ name })),
+            paths,
+            components: {
+                schemas: COMPONENT_SCHEMAS,
+                securitySchemes: {
+                    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                    bearer: { type: 'http', scheme: 'bearer', description: 'The API key as a bearer token' }
+                },
+                responses: {
+                    BadRequest: { description: 'Invalid parameters or body', content: { 'application/json': { schema: ref('Error') } } },
+                    Unauthorized: { description: 'Missing, unknown or revoked API key', content: { 'application/json': { schema: ref('Error') } } },
+                    Forbidden: { description: 'API key lacks the privileged scope', content: { 'application/json': { schema: ref('Error') } } },
+                    TooManyRequests: { description: 'Rate limit or daily quota exceeded' }
+                }
+            }
+        };
+    }
+
+    /**
+     * OpenAPI operation object for a route
+     * @param {Object} route - Route definition
+     * @returns {Object} Operation
+     */
+    operation(route) {
+        const parameterOf = (location, name, schema, required) => {
+            const { description, ...rest } = schema;
+            return { name, in: location, required, ...(description && { description }), schema: rest };
+        };
+        const { properties = {}, required = [] } = route.query ?? {};
+        const parameters = [
+            ...Object.entries(route.params ?? {}).map(([name, schema]) => parameterOf('path', name, schema, true)),
+            ...Object.entries(properties).map(([name, schema]) => parameterOf('query', name, schema, required.includes(name)))
+        ];
+        const validated = parameters.length > 0 || route.body !== undefined;
+
+        return {
+            operationId: route.operationId,
+            summary: route.summary,
+            ...(route.description && { description: route.description }),
+            ...(route.tags && { tags: route.tags }),
+            ...(parameters.length > 0 && { parameters }),
+            ...(route.body && {
+                requestBody: {
+                    required: !!route.body.required,
+                    content: route.body.content
+                }
+            }),
+            responses: {
+                ...route.responses,
+                ...(validated && !route.responses[400] && { 400: { $ref: '#/components/responses/BadRequest' } }),
+                ...(route.privileged && {
+                    401: { $ref: '#/components/responses/Unauthorized' },
+                    403: { $ref: '#/components/responses/Forbidden' }
+                }),
+                429: { $ref: '#/components/responses/TooManyRequests' }
+            },
+            // Keys are optional except on privileged routes
+            security: route.privileged ? [{ apiKey: [] }, { bearer: [] }] : [{}, { apiKey: [] }, { bearer: [] }]
+        };
+    }
+}
+
+export {
+    COMPONENT_SCHEMAS,
+    FORMAT_QUERY,
+    LIST_QUERY,
+    RouteRegistry,
+    coerceParameter,
+    envelope,
+    jsonResponse,
+    listResponse,
+    ref,
+    validateSchema
+};
@@ -0,0 +1,246 @@
+import { QueryValidationError } from './birdQueryEngine.js';
+
+/**
+ * Sorting, field projection and page/cursor pagination for list responses
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse a positive integer parameter
+ * @param {any} value - Raw parameter value
+ * @param {string} name - Parameter name for the error message
+ * @param {number} max - Largest allowed value
+ * @returns {number} Parsed value
+ */
+function parsePositiveInt(value, name, max = Number.MAX_SAFE_INTEGER) {
+    const text = String(value).trim();
+    const number = Number(text);
+    if (!/^\d+$/.test(text) || number < 1 || number > max) {
+        const expected = max === Number.MAX_SAFE_INTEGER ? 'a positive integer' : `an integer between 1 and ${max}`;
+        throw new QueryValidationError(`Invalid ${name}: expected ${expected}`);
+    }
+    return number;
+}
+
+/**
+ * Split a comma-separated parameter (or array of them) into trimmed, non-empty parts
+ * @param {string|Array} value - Raw parameter value
+ * @returns {Array} Parts
+ */
+function splitList(value) {
+    return [value].flat().flatMap(part => String(part).split(',')).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Check a field name against the fields a list may be sorted or projected by
+ * @param {string} field - Field name
+ * @param {Set|null} knownFields - Allowed fields, or null to allow any field
+ * @param {string} name - Parameter name for the error message
+ */
+function assertKnownField(field, knownFields, name) {
+    if (knownFields && !knownFields.has(field)) {
+        throw new QueryValidationError(`Invalid ${name} field: ${field}`);
+    }
+}
+
+/**
+ * Parse sort=field:asc|desc[,field:asc|desc...]
+ * @param {string|Array} value - Raw parameter value
+ * @param {Set|null} knownFields - Allowed fields, or null to allow any field
+ * @returns {Array} Sort keys as { field, direction }
+ */
+function parseSort(value, knownFields) {
+    return splitList(value).map((part) => {
+        const [field, direction = 'asc', ...rest] = part.split(':');
+        if (rest.length > 0 || !['asc', 'desc'].includes(direction)) {
+            throw new QueryValidationError(`Invalid sort: ${part}. Expected field:asc or field:desc`);
+        }
+        assertKnownField(field, knownFields, 'sort');
+        return { field, direction };
+    });
+}
+
+/**
+ * Encode a cursor. Cursors are opaque to clients.
+ * @param {Object} state - Cursor state
+ * @returns {string} base64url token
+ */
+function encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} token - Cursor token
+ * @returns {Object} Cursor state
+ */
+function decodeCursor(token) {
+    try {
+        const state = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (state && typeof state === 'object' && (Array.isArray(state.k) || (Number.isInteger(state.o) && state.o >= 0))) {
+            return state;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new QueryValidationError('Invalid cursor');
+}
+
+/**
+ * Parse the list parameters shared by the list endpoints
+ * @param {Object} params - Request parameters: page, limit, cursor, sort, fields
+ * @param {Object} options - { knownFields, defaultSort, defaultLimit }
+ * @returns {Object} { page, limit, cursor, sort, fields }
+ */
+function parseListOptions(params, { knownFields = null, defaultSort = null, defaultLimit = DEFAULT_LIMIT } = {}) {
+    const { page, limit, cursor, sort, fields } = params;
+
+    if (cursor !== undefined && page !== undefined) {
+        throw new QueryValidationError('Use either cursor or page, not both');
+    }
+
+    const sortSpec = sort === undefined ? defaultSort : sort;
+    const projection = fields === undefined ? null : splitList(fields);
+    projection?.forEach(field => assertKnownField(field, knownFields, 'fields'));
+
+    return {
+        page: page === undefined ? 1 : parsePositiveInt(page, 'page'),
+        limit: limit === undefined ? defaultLimit : parsePositiveInt(limit, 'limit', MAX_LIMIT),
+        cursor: cursor === undefined ? null : decodeCursor(cursor),
+        sort: sortSpec ? parseSort(sortSpec, knownFields) : [],
+        fields: projection && projection.length > 0 ? projection : null
+    };
+}
+
+/**
+ * Order two field values: missing values first, then numbers, then strings by code point
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    const rank = value => (value === undefined || value === null || value === '' ? 0 : typeof value === 'number' ? 1 : 2);
+    const difference = rank(a) - rank(b);
+    if (difference !== 0 || rank(a) === 0) {
+        return difference;
+    }
+    if (typeof a === 'number') {
+        return a - b;
+    }
+    const textA = typeof a === 'string' ? a : JSON.stringify(a);
+    const textB = typeof b === 'string' ? b : JSON.stringify(b);
+    return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+/**
+ * Compare two sort keys field by field
+ * @param {Array} a - First key
+ * @param {Array} b - Second key
+ * @param {Array} sort - Sort keys, with a trailing ascending tie-breaker
+ * @returns {number} Negative, zero or positive
+ */
+function compareKeys(a, b, sort) {
+    for (let i = 0; i < a.length; i++) {
+        const order = compareValues(a[i], b[i]);
+        if (order !== 0) {
+            return sort[i]?.direction === 'desc' ? -order : order;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Select, sort and paginate a result list
+ * @param {Array} results - Full result list
+ * @param {Object} listOptions - Result of parseListOptions
+ * @param {Object} context - { recordKey, datasetVersion } where recordKey names the property
+ *   holding the record when results wrap it (fuzzy hits keep it under "bird")
+ * @returns {Object} { results, pagination }
+ */
+function paginateList(results, listOptions, { recordKey = null, datasetVersion = null } = {}) {
+    const { limit, cursor, sort, fields } = listOptions;
+    const recordOf = item => (recordKey ? item[recordKey] : item) ?? {};
+    const valueOf = (item, field) => recordOf(item)[field] ?? item?.[field];
+
+    // Sequence breaks ties so a cursor key identifies one position even after a reload
+    const keyOf = (item, index) => [...sort.map(({ field }) => valueOf(item, field)), valueOf(item, 'Sequence') ?? index];
+    const entries = results.map((item, index) => ({ item, key: keyOf(item, index) }));
+    if (sort.length > 0) {
+        entries.sort((a, b) => compareKeys(a.key, b.key, sort));
+    }
+
+    const sortSpec = sort.map(({ field, direction }) => `${field}:${direction}`).join(',');
+    let offset;
+    if (cursor) {
+        if ((cursor.s ?? '') !== sortSpec) {
+            throw new QueryValidationError('Cursor was issued for a different sort order');
+        }
+        if (cursor.k) {
+            // First entry after the cursor key
+            let low = 0;
+            let high = entries.length;
+            while (low < high) {
+                const mid = (low + high) >>> 1;
+                if (compareKeys(entries[mid].key, cursor.k, sort) <= 0) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            offset = low;
+        } else {
+            offset = cursor.o;
+        }
+    } else {
+        offset = (listOptions.page - 1) * limit;
+    }
+
+    const pageEntries = entries.slice(offset, offset + limit);
+    const hasNext = offset + limit < entries.length;
+    const last = pageEntries[pageEntries.length - 1];
+
+    // Unsorted lists (relevance or query order) can only be resumed by position
+    const nextCursor = hasNext && last
+        ? encodeCursor({ s: sortSpec, ...(sort.length > 0 ? { k: last.key } : { o: offset + limit }), v: datasetVersion })
+        : null;
+
+    const project = (record) => {
+        if (!fields || record === null || typeof record !== 'object') {
+            return record;
+        }
+        return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+    };
+    const page = pageEntries.map(({ item }) => (recordKey ? { ...item, [recordKey]: project(item[recordKey]) } : project(item)));
+
+    const pagination = {
+        totalItems: entries.length,
+        itemsPerPage: limit,
+        hasNext,
+        hasPrev: offset > 0,
+        nextCursor,
+        sort: sortSpec || null
+    };
+    if (cursor) {
+        pagination.datasetChanged = cursor.v !== undefined && cursor.v !== datasetVersion;
+    } else {
+        pagination.currentPage = listOptions.page;
+        pagination.totalPages = Math.ceil(entries.length / limit);
+    }
+
+    return { results: page, pagination };
+}
+
+/**
+ * Sort and project a full list for export, without paginating it
+ * @param {Array} results - Full result list
+ * @param {Object} listOptions - Result of parseListOptions
+ * @param {Object} context - { recordKey }
+ * @returns {Array} Sorted, projected results
+ */
+function sortAndProject(results, listOptions, context = {}) {
+    return paginateList(results, { ...listOptions, page: 1, cursor: null, limit: Math.max(results.length, 1) }, context).results;
+}
+
+export { DEFAULT_LIMIT, MAX_LIMIT, compareValues, decodeCursor, encodeCursor, paginateList, parseListOptions, sortAndProject };
@@ -0,0 +1,179 @@
+import jsonata from 'jsonata';
+
+/**
+ * Functions built into JSONata 2.x, used to resolve an allow-list into the set of functions to block
+ */
+const BUILTIN_FUNCTIONS = [
+    'sum', 'count', 'max', 'min', 'average',
+    'string', 'substring', 'substringBefore', 'substringAfter', 'lowercase', 'uppercase', 'length', 'trim', 'pad',
+    'match', 'contains', 'replace', 'split', 'join',
+    'formatNumber', 'formatBase', 'formatInteger', 'parseInteger', 'number',
+    'floor', 'ceil', 'round', 'abs', 'sqrt', 'power', 'random',
+    'boolean', 'not', 'exists',
+    'map', 'zip', 'filter', 'single', 'reduce', 'sift', 'each',
+    'keys', 'lookup', 'append', 'spread', 'merge', 'reverse', 'sort', 'shuffle', 'distinct',
+    'error', 'assert', 'type', 'clone', 'eval',
+    'base64encode', 'base64decode', 'encodeUrlComponent', 'encodeUrl', 'decodeUrlComponent', 'decodeUrl',
+    'now', 'millis', 'toMillis', 'fromMillis'
+];
+
+const DEFAULT_SANDBOX_OPTIONS = {
+    timeoutMs: 2000,
+    maxDepth: 500,
+    maxSteps: 1000000,
+    maxResultBytes: 16 * 1024 * 1024,
+    allowedFunctions: null,
+    blockedFunctions: ['eval']
+};
+
+/**
+ * Error raised when a sandboxed query exceeds one of its limits
+ */
+class QueryLimitError extends Error {
+    /**
+     * @param {string} limit - Name of the limit that was hit (timeout, depth, steps, resultSize, function)
+     * @param {string} message - Human readable explanation
+     */
+    constructor(limit, message) {
+        super(message);
+        this.name = 'QueryLimitError';
+        this.limit = limit;
+    }
+}
+
+/**
+ * Parse a comma separated list of function names, with or without the leading "$"
+ * @param {string|undefined} value - Raw list
+ * @returns {Array|null} Function names, or null when not set
+ */
+function parseFunctionList(value) {
+    if (value === undefined || value.trim() === '') {
+        return null;
+    }
+    return value.split(',').map(name => name.trim().replace(/^\$/, '')).filter(Boolean);
+}
+
+/**
+ * Parse a positive integer environment value
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Value used when unset
+ * @param {string} name - Variable name used in the error message
+ * @returns {number} Parsed value
+ */
+function parsePositiveInt(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    return parsed;
+}
+
+/**
+ * Build sandbox options from environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Sandbox options
+ */
+function sandboxOptionsFromEnv(env = process.env) {
+    return {
+        timeoutMs: parsePositiveInt(env.QUERY_TIMEOUT_MS, DEFAULT_SANDBOX_OPTIONS.timeoutMs, 'QUERY_TIMEOUT_MS'),
+        maxDepth: parsePositiveInt(env.QUERY_MAX_DEPTH, DEFAULT_SANDBOX_OPTIONS.maxDepth, 'QUERY_MAX_DEPTH'),
+        maxSteps: parsePositiveInt(env.QUERY_MAX_STEPS, DEFAULT_SANDBOX_OPTIONS.maxSteps, 'QUERY_MAX_STEPS'),
+        maxResultBytes: parsePositiveInt(env.QUERY_MAX_RESULT_BYTES, DEFAULT_SANDBOX_OPTIONS.maxResultBytes, 'QUERY_MAX_RESULT_BYTES'),
+        allowedFunctions: parseFunctionList(env.QUERY_ALLOWED_FUNCTIONS),
+        blockedFunctions: parseFunctionList(env.QUERY_BLOCKED_FUNCTIONS) ?? DEFAULT_SANDBOX_OPTIONS.blockedFunctions
+    };
+}
+
+/**
+ * Resolve the allow-list and block-list into the set of functions that may not be called
+ * @param {Object} options - Sandbox options
+ * @returns {Set} Blocked function names
+ */
+function resolveBlockedFunctions({ allowedFunctions, blockedFunctions }) {
+    const blocked = new Set(blockedFunctions ?? []);
+    if (allowedFunctions) {
+        BUILTIN_FUNCTIONS
+            .filter(name => !allowedFunctions.includes(name))
+            .forEach(name => blocked.add(name));
+    }
+    return blocked;
+}
+
+/**
+ * Evaluate a JSONata expression under time, depth, step and result-size limits.
+ * Limits are enforced from JSONata's evaluate entry/exit hooks, so a runaway
+ * expression is stopped between evaluation steps rather than left to block the process.
+ * @param {string} queryString - JSONata expression
+ * @param {any} data - Input document
+ * @param {Object} options - Sandbox options (see DEFAULT_SANDBOX_OPTIONS)
+ * @param {Object} variables - Values exposed to the expression as $variables. They are bound, never spliced into
+ *     the expression text, and cannot replace blocked functions
+ * @returns {any} Query result
+ */
+async function evaluateSandboxed(queryString, data, options = {}, variables = {}) {
+    const { timeoutMs, maxDepth, maxSteps, maxResultBytes } = { ...DEFAULT_SANDBOX_OPTIONS, ...options };
+    const blocked = resolveBlockedFunctions({ ...DEFAULT_SANDBOX_OPTIONS, ...options });
+
+    const expression = jsonata(queryString);
+    const startedAt = Date.now();
+    let depth = 0;
+    let steps = 0;
+
+    const checkLimits = () => {
+        if (depth > maxDepth) {
+            throw new QueryLimitError('depth', `Query exceeded the maximum evaluation depth of ${maxDepth}`);
+        }
+        if (steps > maxSteps) {
+            throw new QueryLimitError('steps', `Query exceeded the maximum of ${maxSteps} evaluation steps`);
+        }
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new QueryLimitError('timeout', `Query exceeded the evaluation timeout of ${timeoutMs}ms`);
+        }
+    };
+
+    expression.assign(Symbol.for('jsonata.__evaluate_entry'), (expr, input, environment) => {
+        // Parallel branches share the counters, so only count the primary branch
+        if (environment.isParallelCall) {
+            return;
+        }
+        depth++;
+        steps++;
+        checkLimits();
+    });
+
+    expression.assign(Symbol.for('jsonata.__evaluate_exit'), (expr, input, environment) => {
+        if (environment.isParallelCall) {
+            return;
+        }
+        depth--;
+        checkLimits();
+    });
+
+    // Shadow blocked built-ins so both direct calls and references like $map(x, $eval) fail
+    const bindings = { ...variables };
+    for (const name of blocked) {
+        bindings[name] = () => {
+            throw new QueryLimitError('function', `Function $${name} is not allowed in queries`);
+        };
+    }
+
+    const result = await expression.evaluate(data, bindings);
+
+    const serialized = JSON.stringify(result);
+    if (serialized !== undefined && Buffer.byteLength(serialized) > maxResultBytes) {
+        throw new QueryLimitError('resultSize', `Query result exceeded the maximum size of ${maxResultBytes} bytes`);
+    }
+
+    return result;
+}
+
+export {
+    BUILTIN_FUNCTIONS,
+    DEFAULT_SANDBOX_OPTIONS,
+    QueryLimitError,
+    evaluateSandboxed,
+    sandboxOptionsFromEnv
+};
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+
+/**
+ * LRU cache for engine query results, and ETags for HTTP responses derived from the dataset
+ */
+
+const DEFAULT_CACHE_OPTIONS = {
+    maxEntries: 500,
+    maxAgeSeconds: 60
+};
+
+/**
+ * Least-recently-used cache with a fixed number of entries
+ */
+class LruCache {
+    /**
+     * @param {number} maxEntries - Entries kept before the least recently used is evicted; 0 disables caching
+     */
+    constructor(maxEntries = DEFAULT_CACHE_OPTIONS.maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Look up a key and mark it as most recently used
+     * @param {string} key - Cache key
+     * @returns {Object|null} { value } on a hit, null on a miss
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.misses++;
+            return null;
+        }
+        // Map keeps insertion order, so re-inserting moves the key to the most recent end
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.hits++;
+        return { value };
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries when full
+     * @param {string} key - Cache key
+     * @param {any} value - Value to store
+     */
+    set(key, value) {
+        if (this.maxEntries === 0) {
+            return;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * @returns {Object} { size, maxEntries, hits, misses }
+     */
+    stats() {
+        return { size: this.entries.size, maxEntries: this.maxEntries, hits: this.hits, misses: this.misses };
+    }
+}
+
+/**
+ * JSON with object keys sorted and undefined values dropped, so equivalent arguments give the same text
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Cache key for an engine method call
+ * @param {string} method - Method name
+ * @param {Array} args - Method arguments
+ * @returns {string} Cache key
+ */
+function cacheKey(method, args) {
+    return `${method}${stableStringify(args)}`;
+}
+
+/**
+ * Weak ETag from the parts that determine a response
+ * @param {...string} parts - E.g. dataset checksum, URL and Accept header
+ * @returns {string} ETag header value
+ */
+function createEtag(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(`${part}\n`));
+    return `W/"${hash.digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Parse a non-negative integer environment variable
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value when unset
+ * @param {string} name - Variable name for the error message
+ * @returns {number} Parsed value
+ */
+function parseNonNegativeInt(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return Number(value);
+}
+
+/**
+ * Read cache settings from environment variables
+ * @param {Object} env - Environment
+ * @returns {Object} { maxEntries, maxAgeSeconds }
+ */
+function cacheOptionsFromEnv(env = process.env) {
+    return {
+        maxEntries: parseNonNegativeInt(env.CACHE_SIZE, DEFAULT_CACHE_OPTIONS.maxEntries, 'CACHE_SIZE'),
+        maxAgeSeconds: parseNonNegativeInt(env.CACHE_MAX_AGE, DEFAULT_CACHE_OPTIONS.maxAgeSeconds, 'CACHE_MAX_AGE')
+    };
+}
+
+export { DEFAULT_CACHE_OPTIONS, LruCache, cacheKey, cacheOptionsFromEnv, createEtag, stableStringify };
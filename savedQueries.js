@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import jsonata from 'jsonata';
+import { QueryValidationError } from './birdQueryEngine.js';
+import { BUILTIN_FUNCTIONS } from './querySandbox.js';
+
+/**
+ * Named JSONata queries ("views") with parameters and version history, stored in a local JSON file.
+ * Parameters reach the expression as bound $variables, so values are never spliced into the query text.
+ */
+
+// Parameter types and how a query string value becomes a bound value
+const PARAMETER_TYPES = {
+    string: value => value,
+    number: value => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : undefined),
+    integer: value => (/^-?\d+$/.test(value) ? Number(value) : undefined),
+    boolean: value => (value === 'true' || value === 'false' ? value === 'true' : undefined),
+    list: value => value.split(',').map(item => item.trim()).filter(Boolean)
+};
+
+// Query parameters used by list results, which a saved query parameter can't take
+const RESERVED_PARAMETERS = ['page', 'limit', 'cursor', 'sort', 'fields', 'format'];
+
+/**
+ * Error raised when no saved query has the requested name
+ */
+class SavedQueryNotFoundError extends Error {
+    /**
+     * @param {string} name - Query name
+     */
+    constructor(name) {
+        super(`Saved query not found: ${name}`);
+        this.name = 'SavedQueryNotFoundError';
+    }
+}
+
+/**
+ * Error raised when a saved query with the name exists already
+ */
+class SavedQueryExistsError extends Error {
+    /**
+     * @param {string} name - Query name
+     */
+    constructor(name) {
+        super(`Saved query already exists: ${name}`);
+        this.name = 'SavedQueryExistsError';
+    }
+}
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PARAMETER_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Check a stored default against its parameter type
+ * @param {string} type - Parameter type
+ * @param {any} value - Default value
+ * @returns {boolean} Whether the value has the type
+ */
+function matchesType(type, value) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        default: return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+}
+
+/**
+ * Validate parameter declarations
+ * @param {Object} parameters - Parameter name to { type, description, required, default }
+ * @param {string} query - JSONata expression the parameters are bound into
+ * @returns {Object} Parameters with type defaulted to string
+ */
+function validateParameters(parameters, query) {
+    if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+        throw new QueryValidationError('Invalid parameters: expected an object of parameter name to { type, description, required, default }');
+    }
+
+    return Object.fromEntries(Object.entries(parameters).map(([name, spec]) => {
+        if (!PARAMETER_PATTERN.test(name)) {
+            throw new QueryValidationError(`Invalid parameter name ${name}: expected a letter followed by letters, digits or _`);
+        }
+        if (RESERVED_PARAMETERS.includes(name) || BUILTIN_FUNCTIONS.includes(name)) {
+            throw new QueryValidationError(`Invalid parameter name ${name}: reserved for ${RESERVED_PARAMETERS.includes(name) ? 'list results' : 'the JSONata function'}`);
+        }
+        if (!new RegExp(`\\$${name}\\b`).test(query)) {
+            throw new QueryValidationError(`Parameter ${name} is not used in the query as $${name}`);
+        }
+
+        const { type = 'string', description, required = false, default: defaultValue, ...unknown } = spec ?? {};
+        if (Object.keys(unknown).length > 0) {
+            throw new QueryValidationError(`Invalid parameter ${name}: unknown option ${Object.keys(unknown).join(', ')}`);
+        }
+        if (!Object.hasOwn(PARAMETER_TYPES, type)) {
+            throw new QueryValidationError(`Invalid parameter ${name}: type must be one of ${Object.keys(PARAMETER_TYPES).join(', ')}`);
+        }
+        if (description !== undefined && typeof description !== 'string') {
+            throw new QueryValidationError(`Invalid parameter ${name}: description must be a string`);
+        }
+        if (typeof required !== 'boolean') {
+            throw new QueryValidationError(`Invalid parameter ${name}: required must be true or false`);
+        }
+        if (defaultValue !== undefined && !matchesType(type, defaultValue)) {
+            throw new QueryValidationError(`Invalid parameter ${name}: default must be of type ${type}`);
+        }
+
+        return [name, {
+            type,
+            ...(description !== undefined && { description }),
+            required,
+            ...(defaultValue !== undefined && { default: defaultValue })
+        }];
+    }));
+}
+
+/**
+ * Validate a saved query definition
+ * @param {Object} definition - { description, query, parameters }
+ * @returns {Object} Normalized definition
+ */
+function validateDefinition({ description = '', query, parameters = {} }) {
+    if (typeof description !== 'string') {
+        throw new QueryValidationError('Invalid description: expected a string');
+    }
+    if (typeof query !== 'string' || query.trim() === '') {
+        throw new QueryValidationError('Invalid query: expected a JSONata expression');
+    }
+    try {
+        jsonata(query);
+    } catch (error) {
+        throw new QueryValidationError(`Invalid query: ${error.message}`);
+    }
+    return { description, query, parameters: validateParameters(parameters, query) };
+}
+
+/**
+ * Bind request values to a saved query's parameters
+ * @param {Object} parameters - Parameter declarations
+ * @param {Object} values - Raw values by name, as strings (or arrays of strings for repeated query parameters)
+ * @returns {Object} Bindings for the JSONata expression
+ */
+function bindParameters(parameters, values) {
+    const bindings = {};
+    for (const [name, { type, required, default: defaultValue }] of Object.entries(parameters)) {
+        const raw = values[name];
+        if (raw === undefined || raw === '') {
+            if (defaultValue !== undefined) {
+                bindings[name] = defaultValue;
+            } else if (required) {
+                throw new QueryValidationError(`Missing parameter: ${name}`);
+            }
+            continue;
+        }
+        if (Array.isArray(raw) && type !== 'list') {
+            throw new QueryValidationError(`Invalid parameter ${name}: expected one value`);
+        }
+
+        const value = type === 'list' ? [raw].flat().flatMap(PARAMETER_TYPES.list) : PARAMETER_TYPES[type](raw);
+        if (value === undefined) {
+            throw new QueryValidationError(`Invalid parameter ${name}: expected type ${type}, got "${raw}"`);
+        }
+        bindings[name] = value;
+    }
+    return bindings;
+}
+
+class SavedQueryStore {
+    /**
+     * @param {string} file - Saved query file path
+     */
+    constructor(file = 'savedQueries.json') {
+        this.file = path.resolve(file);
+        let contents = {};
+        try {
+            contents = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        const { queries = [] } = contents ?? {};
+        if (!Array.isArray(queries)) {
+            throw new Error(`Saved query file ${this.file} is invalid: queries must be an array`);
+        }
+        this.queries = new Map(queries.map(record => [record.name, record]));
+    }
+
+    /**
+     * Write the saved query file
+     */
+    save() {
+        fs.writeFileSync(this.file, `${JSON.stringify({ queries: [...this.queries.values()] }, null, 2)}\n`);
+    }
+
+    /**
+     * Stored record of a saved query
+     * @param {string} name - Query name
+     * @returns {Object} { name, createdAt, updatedAt, versions }
+     */
+    getRecord(name) {
+        const record = this.queries.get(name);
+        if (!record) {
+            throw new SavedQueryNotFoundError(name);
+        }
+        return record;
+    }
+
+    /**
+     * Current version of a saved query
+     * @param {string} name - Query name
+     * @returns {Object} { name, version, description, query, parameters, savedBy, createdAt, updatedAt }
+     */
+    get(name) {
+        const { createdAt, updatedAt, versions } = this.getRecord(name);
+        const { createdAt: versionCreatedAt, ...current } = versions.at(-1);
+        return { name, ...structuredClone(current), createdAt, updatedAt };
+    }
+
+    /**
+     * Current version of every saved query, by name
+     * @returns {Array} Saved queries
+     */
+    list() {
+        return [...this.queries.keys()].sort().map(name => this.get(name));
+    }
+
+    /**
+     * Every version of a saved query, oldest first
+     * @param {string} name - Query name
+     * @returns {Array} Copies of [{ version, description, query, parameters, savedBy, createdAt }]
+     */
+    history(name) {
+        return structuredClone(this.getRecord(name).versions);
+    }
+
+    /**
+     * Save a new query as version 1
+     * @param {Object} definition - { name, description, query, parameters }
+     * @param {Object} options - { savedBy } name of the API key that saved it
+     * @returns {Object} The saved query
+     */
+    create({ name, ...definition }, { savedBy = null } = {}) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new QueryValidationError('Invalid name: expected up to 64 letters, digits, - or _');
+        }
+        if (this.queries.has(name)) {
+            throw new SavedQueryExistsError(name);
+        }
+
+        const createdAt = new Date().toISOString();
+        this.queries.set(name, {
+            name,
+            createdAt,
+            updatedAt: createdAt,
+            versions: [{ version: 1, ...validateDefinition(definition), savedBy, createdAt }]
+        });
+        this.save();
+        return this.get(name);
+    }
+
+    /**
+     * Save a new version of a query. Fields left out keep their current values.
+     * @param {string} name - Query name
+     * @param {Object} changes - { description, query, parameters }
+     * @param {Object} options - { savedBy } name of the API key that saved it
+     * @returns {Object} The saved query
+     */
+    update(name, changes, { savedBy = null } = {}) {
+        const record = this.getRecord(name);
+        const current = record.versions.at(-1);
+        const definition = validateDefinition({
+            description: changes.description ?? current.description,
+            query: changes.query ?? current.query,
+            parameters: changes.parameters ?? current.parameters
+        });
+
+        const createdAt = new Date().toISOString();
+        record.versions.push({ version: current.version + 1, ...definition, savedBy, createdAt });
+        record.updatedAt = createdAt;
+        this.save();
+        return this.get(name);
+    }
+
+    /**
+     * Delete a query and its history
+     * @param {string} name - Query name
+     */
+    delete(name) {
+        this.getRecord(name);
+        this.queries.delete(name);
+        this.save();
+    }
+}
+
+export { PARAMETER_TYPES, SavedQueryExistsError, SavedQueryNotFoundError, SavedQueryStore, bindParameters };
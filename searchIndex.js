@@ -0,0 +1,175 @@
+import { AuthorityIndex } from './authorityIndex.js';
+import { FuzzyNameIndex } from './fuzzySearch.js';
+import { RegionIndex, getDefaultGazetteer } from './gazetteer.js';
+import { NameReconciler } from './nameReconciler.js';
+import { PrefixIndex } from './suggestIndex.js';
+
+/**
+ * In-memory indexes over the bird records, built once per load
+ */
+
+const HASHED_FIELDS = ['Scientific_name', 'Order', 'Family', 'Taxon_rank', 'IUCN_Red_List_Category'];
+
+const NAME_FIELDS = ['Scientific_name', 'English_name_AviList', 'English_name_Clements_v2024', 'English_name_BirdLife_v9'];
+
+/**
+ * Split text into lowercase alphanumeric tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens
+ */
+function tokenize(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Inverted index from lowercase tokens to the positions of the records that contain them.
+ * Answers case-insensitive substring searches by narrowing the candidates through the
+ * token dictionary and then checking the candidates' actual field values.
+ */
+class TokenIndex {
+    /**
+     * @param {Array} records - Records to index
+     * @param {Array} fields - Fields whose text is indexed
+     */
+    constructor(records, fields) {
+        this.records = records;
+        this.fields = fields;
+        this.postings = new Map();
+
+        records.forEach((record, position) => {
+            for (const field of fields) {
+                const value = record[field];
+                if (typeof value !== 'string' || value === '') {
+                    continue;
+                }
+                for (const token of tokenize(value)) {
+                    let posting = this.postings.get(token);
+                    if (!posting) {
+                        posting = new Set();
+                        this.postings.set(token, posting);
+                    }
+                    posting.add(position);
+                }
+            }
+        });
+    }
+
+    /**
+     * Find positions of records with a token containing the given fragment
+     * @param {string} fragment - Lowercase token fragment
+     * @returns {Set} Record positions
+     */
+    positionsContaining(fragment) {
+        const exact = this.postings.get(fragment);
+        const positions = new Set(exact);
+        for (const [token, posting] of this.postings) {
+            if (token !== fragment && token.includes(fragment)) {
+                posting.forEach(position => positions.add(position));
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Candidate record positions for a search term, or null if the term has no tokens
+     * and every record has to be checked
+     * @param {string} term - Search term
+     * @returns {Array|null} Candidate positions in dataset order
+     */
+    candidates(term) {
+        const fragments = [...new Set(tokenize(term))];
+        if (fragments.length === 0) {
+            return null;
+        }
+
+        // Intersect starting from the rarest fragment
+        const sets = fragments.map(fragment => this.positionsContaining(fragment)).sort((a, b) => a.size - b.size);
+        const [smallest, ...rest] = sets;
+        return [...smallest]
+            .filter(position => rest.every(set => set.has(position)))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Records where any indexed field satisfies a predicate, checked only against candidates for the term
+     * @param {string} term - Search term used to narrow candidates
+     * @param {Function} predicate - Called with (fieldValue) for each indexed field
+     * @returns {Array} Matching records in dataset order
+     */
+    search(term, predicate) {
+        const positions = this.candidates(term);
+        const candidates = positions === null ? this.records : positions.map(position => this.records[position]);
+        return candidates.filter(record => this.fields.some(field => {
+            const value = record[field];
+            return typeof value === 'string' && predicate(value);
+        }));
+    }
+
+    /**
+     * Records with an indexed field containing the term, case-insensitively
+     * @param {string} term - Substring to search for
+     * @returns {Array} Matching records in dataset order
+     */
+    searchSubstring(term) {
+        const needle = term.toLowerCase();
+        return this.search(term, value => value.toLowerCase().includes(needle));
+    }
+
+    /**
+     * Records with an indexed field exactly equal to the term
+     * @param {string} term - Value to match
+     * @returns {Array} Matching records in dataset order
+     */
+    searchExact(term) {
+        return this.search(term, value => value === term);
+    }
+}
+
+/**
+ * Build a hash index from field value to records, preserving dataset order
+ * @param {Array} records - Records to index
+ * @param {string} field - Field to index
+ * @returns {Map} Value to record list
+ */
+function buildHashIndex(records, field) {
+    const index = new Map();
+    for (const record of records) {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        let bucket = index.get(value);
+        if (!bucket) {
+            bucket = [];
+            index.set(value, bucket);
+        }
+        bucket.push(record);
+    }
+    return index;
+}
+
+/**
+ * Build every index used by the query engine
+ * @param {Array} records - Bird records
+ * @returns {Object} { byField, names, fuzzyNames, suggestions, reconciler, range, regions, authorities }
+ */
+function buildIndexes(records) {
+    const byField = {};
+    for (const field of HASHED_FIELDS) {
+        byField[field] = buildHashIndex(records, field);
+    }
+    const fuzzyNames = new FuzzyNameIndex(records, NAME_FIELDS);
+
+    return {
+        byField,
+        names: new TokenIndex(records, NAME_FIELDS),
+        fuzzyNames,
+        suggestions: new PrefixIndex(records, NAME_FIELDS),
+        reconciler: new NameReconciler(records, fuzzyNames),
+        range: new TokenIndex(records, ['Range']),
+        regions: new RegionIndex(records, getDefaultGazetteer()),
+        authorities: new AuthorityIndex(records)
+    };
+}
+
+export { HASHED_FIELDS, NAME_FIELDS, TokenIndex, buildIndexes, tokenize };
@@ -2,33 +2,83 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { BirdQueryEngine } from './birdQueryEngine.js';
+import { BirdQueryEngine, QueryValidationError } from './birdQueryEngine.js';
+import { createMcpHttpHandler } from './mcpServer.js';
+import { QueryLimitError } from './querySandbox.js';
+import { DatasetLibrary, diffDatasets, diffToCsv } from './taxonomyDiff.js';
+import { negotiateFormat, streamExport } from './exportFormats.js';
+import { paginateList, parseListOptions, sortAndProject } from './pagination.js';
+import { matchesToCsv, parseChecklistInput, parseMultipartForm, summarizeMatches } from './checklistMatcher.js';
+import { createEtag } from './resultCache.js';
+import { ApiKeyStore, PRIVILEGED_SCOPE } from './apiKeys.js';
+import { ConfigError, loadConfig } from './config.js';
+import { FORMAT_QUERY, LIST_QUERY, RouteRegistry, envelope, jsonResponse, listResponse, ref } from './openapi.js';
+import { renderDocsPage } from './docsPage.js';
+import { AUTHORITY_FIELDS } from './nameReconciler.js';
+import { FACETS } from './facetedSearch.js';
+import { MAX_QUERY_LENGTH } from './fuzzySearch.js';
+import { executeGraphqlQuery } from './graphqlSchema.js';
+import { PARAMETER_TYPES, SavedQueryExistsError, SavedQueryNotFoundError, SavedQueryStore, bindParameters } from './savedQueries.js';
+
+// Settings from the environment and the optional config file (see config.js)
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
 
 const app = express();
-const PORT = 3022;
-const isDev = process.argv.includes('--dev');
 
-const PREFIX = '/avibase-mcp';
+// GET routes whose responses don't depend only on the loaded dataset
+const UNCACHEABLE_PATHS = new Set(['/api/health', '/api/random', '/api/diff', '/api/usage', '/api/admin/keys']);
+
+// Saved queries change without a reload, so nothing under this path is tagged either
+const UNCACHEABLE_PREFIX = '/api/views';
+
+// Served datasets, each with its own engine once initialized
+const datasets = config.datasets.map(dataset => ({ ...dataset, engine: null }));
+
+// Other dataset versions, stored as <name>.json, for diffs
+const datasetLibrary = new DatasetLibrary(config.datasetsDir);
 
-// Initialize the bird query engine
-let birdEngine;
+// API keys, managed with `npm run keys`
+const apiKeys = new ApiKeyStore(config.apiKeysFile);
+
+// Saved JSONata queries, run through /api/views
+const savedQueries = new SavedQueryStore(config.savedQueriesFile);
 
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: config.bodyLimit }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: isDev ? 1000 : 100, // limit each IP to 100 requests per windowMs in production, 1000 in dev
+// Rate limiting: anonymous requests per IP, keyed requests per key at the key's tier
+const anonymousLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMinutes * 60 * 1000,
+    max: config.rateLimit.max, // 100 requests per window by default, 1000 in dev
+    skip: req => req.apiKey !== null,
+    message: {
+        error: 'Too many requests, please try again later or use an API key.',
+        retryAfter: `${config.rateLimit.windowMinutes} minutes`
+    }
+});
+const keyLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: req => apiKeys.limitsFor(req.apiKey).requestsPerMinute,
+    keyGenerator: req => req.apiKey.id,
+    skip: req => req.apiKey === null,
     message: {
-        error: 'Too many requests, please try again later.',
-        retryAfter: '15 minutes'
+        error: 'Too many requests for this API key tier, please try again later.',
+        retryAfter: '1 minute'
     }
 });
-app.use('/api/', limiter);
+app.use(datasets.flatMap(({ prefix }) => [`${prefix}/api`, `${prefix}/mcp`, `${prefix}/graphql`]), authenticateApiKey, anonymousLimiter, keyLimiter, enforceDailyQuota);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -37,16 +87,27 @@ app.use((req, res, next) => {
     next();
 });
 
-// Initialize engine
-async function initializeEngine() {
-    try {
-        console.log('🦅 Initializing Bird Query Engine...');
-        birdEngine = new BirdQueryEngine();
-        console.log('✅ Bird Query Engine ready!');
-    } catch (error) {
-        console.error('❌ Failed to initialize Bird Query Engine:', error.message);
-        process.exit(1);
+/**
+ * Load the bird data of every configured dataset. Must be called before the app handles requests.
+ * @returns {Map} Dataset name to BirdQueryEngine
+ */
+async function initializeEngines() {
+    for (const dataset of datasets) {
+        console.log(`🦅 Initializing Bird Query Engine for ${dataset.name}...`);
+        try {
+            dataset.engine = new BirdQueryEngine(dataset.dataFile, {
+                sandbox: config.sandbox,
+                cacheSize: config.cache.maxEntries
+            });
+        } catch (error) {
+            throw new Error(`Failed to load dataset ${dataset.name} from ${dataset.dataFile}: ${error.message}`);
+        }
+        if (config.watchData) {
+            dataset.engine.watchDataFile();
+        }
     }
+    console.log('✅ Bird Query Engine ready!');
+    return new Map(datasets.map(dataset => [dataset.name, dataset.engine]));
 }
 
 // Utility functions
@@ -75,153 +136,288 @@ function formatError(message, statusCode = 500, details = null) {
     };
 }
 
-function paginateResults(results, page = 1, limit = 50) {
-    const offset = (page - 1) * limit;
-    const paginatedResults = results.slice(offset, offset + limit);
-    
-    return {
-        results: paginatedResults,
-        pagination: {
-            currentPage: page,
-            totalItems: results.length,
-            itemsPerPage: limit,
-            totalPages: Math.ceil(results.length / limit),
-            hasNext: offset + limit < results.length,
-            hasPrev: page > 1
+function statusForError(error) {
+    return error instanceof QueryValidationError ? 400 : 500;
+}
+
+// Numeric query parameters are passed on as numbers (NaN if malformed) for the engine to validate
+function optionalNumber(value) {
+    return value === undefined ? undefined : Number(value);
+}
+
+// Identify the caller from the X-API-Key header (or Authorization: Bearer). Without a key the request
+// is anonymous, unless REQUIRE_API_KEY is set.
+function authenticateApiKey(req, res, next) {
+    const key = req.get('X-API-Key') ?? req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    if (key === undefined) {
+        if (config.requireApiKey) {
+            return res.status(401).json(formatError('API key required. Send it in the X-API-Key header.', 401));
+        }
+        req.apiKey = null;
+        return next();
+    }
+
+    req.apiKey = apiKeys.authenticate(key);
+    if (!req.apiKey) {
+        return res.status(401).json(formatError('Invalid or revoked API key', 401));
+    }
+    next();
+}
+
+// Count keyed requests against the key's daily quota
+function enforceDailyQuota(req, res, next) {
+    if (req.apiKey === null) {
+        return next();
+    }
+
+    const quota = apiKeys.recordRequest(req.apiKey);
+    res.set({
+        'X-Quota-Limit': quota.quota,
+        'X-Quota-Remaining': quota.remaining,
+        'X-Quota-Reset': quota.resetsAt
+    });
+    if (!quota.allowed) {
+        return res.status(429).json(formatError('Daily quota exceeded', 429, `${quota.quota} requests per day, resets at ${quota.resetsAt}`));
+    }
+    next();
+}
+
+// Raw queries and admin routes need a key with the privileged scope
+function requirePrivileged(req, res, next) {
+    if (req.apiKey === null) {
+        return res.status(401).json(formatError('This route requires an API key with the privileged scope', 401));
+    }
+    if (!req.apiKey.scopes.includes(PRIVILEGED_SCOPE)) {
+        return res.status(403).json(formatError('API key lacks the privileged scope', 403));
+    }
+    next();
+}
+
+// Turn a raw multipart/form-data body into its fields, with uploaded files' contents as the field values and in req.uploads
+function parseUploadForm(req, res, next) {
+    if (!Buffer.isBuffer(req.body) || !req.is('multipart/form-data')) {
+        return next();
+    }
+    try {
+        const { fields, files } = parseMultipartForm(req.body, req.get('Content-Type'));
+        req.uploads = files;
+        req.body = { ...fields, ...Object.fromEntries(Object.entries(files).map(([name, file]) => [name, file.content])) };
+    } catch (error) {
+        return res.status(400).json(formatError('Invalid multipart body', 400, error.message));
+    }
+    next();
+}
+
+/**
+ * Tag GET responses with the dataset checksum so clients can revalidate, and answer
+ * If-None-Match with 304 before doing any work. The tag covers the URL and Accept header,
+ * which together with the dataset decide the response. Responses to keyed requests are
+ * private, so a shared cache never hands them to other clients, and error responses are
+ * not tagged at all.
+ */
+function conditionalGet(req, res, next) {
+    if (req.method !== 'GET' || UNCACHEABLE_PATHS.has(req.path) || req.path.startsWith(UNCACHEABLE_PREFIX) || !req.birdEngine?.datasetInfo) {
+        return next();
+    }
+
+    res.set({
+        ETag: createEtag(req.birdEngine.datasetInfo.checksum, req.originalUrl, req.get('Accept') ?? ''),
+        'Cache-Control': `${req.apiKey ? 'private' : 'public'}, max-age=${config.cache.maxAgeSeconds}`
+    });
+    res.vary('Accept');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    // The status is only known once the handler sends its headers
+    const writeHead = res.writeHead;
+    res.writeHead = function (statusCode, ...args) {
+        if (statusCode < 200 || statusCode >= 300) {
+            res.removeHeader('ETag');
+            res.removeHeader('Cache-Control');
         }
+        return writeHead.call(this, statusCode, ...args);
     };
+    next();
+}
+
+/**
+ * Send a result list as a sorted, paginated JSON envelope, or stream all of it in the format
+ * asked for by the format parameter or the Accept header.
+ * List parameters (page, limit, cursor, sort, fields) are read from params.
+ */
+function sendResults(req, res, results, {
+    message,
+    params = req.query,
+    exportName,
+    toExportRow = null,
+    recordKey = null,
+    defaultSort = 'Sequence:asc',
+    knownFields = req.birdEngine.fields,
+    toData = page => page
+}) {
+    const format = negotiateFormat(req);
+    if (format === null) {
+        return res.status(400).json(formatError('Query parameter "format" must be one of: json, csv, ndjson, dwc', 400));
+    }
+
+    const listOptions = parseListOptions(params, { knownFields, defaultSort });
+
+    if (format !== 'json') {
+        // Darwin Core has a fixed set of columns, so field projection doesn't apply
+        const sorted = sortAndProject(results, format === 'dwc' ? { ...listOptions, fields: null } : listOptions, { recordKey });
+        return streamExport(res, toExportRow ? sorted.map(toExportRow) : sorted, format, exportName);
+    }
+
+    const paginated = paginateList(results, listOptions, { recordKey, datasetVersion: req.birdEngine.datasetInfo?.version });
+    res.json(formatResponse(toData(paginated.results), message, paginated.pagination));
+}
+
+/**
+ * Send the result of a JSONata expression. Lists are paginated like other results and exports always
+ * get a list; any other value is sent as it is.
+ */
+function sendQueryResult(req, res, results, { label, exportName }) {
+    if (Array.isArray(results) || negotiateFormat(req) !== 'json') {
+        const list = Array.isArray(results) ? results : [results];
+        sendResults(req, res, list, {
+            message: `${label} returned ${list.length} results`,
+            params: { ...req.query, ...req.body },
+            exportName,
+            // Query results keep the order the expression produced and may not be records
+            defaultSort: null,
+            knownFields: null
+        });
+    } else {
+        res.json(formatResponse(results, `${label} executed successfully`));
+    }
 }
 
 // API Routes
 
 const router = express.Router();
 
+router.use(conditionalGet);
+
+// Route definitions validate requests and generate the OpenAPI document (see openapi.js)
+const routes = new RouteRegistry(router, {
+    onInvalid: (req, res, errors) => res.status(400).json(formatError('Invalid request', 400, errors.join('; '))),
+    privileged: requirePrivileged
+});
+
+// Schemas used by several route definitions
+const NAME_AUTHORITY = { type: 'string', enum: Object.keys(AUTHORITY_FIELDS) };
+const YEAR = { type: 'integer', minimum: 1000, maximum: 9999 };
+const FILTER_VALUE = { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] };
+const TEXT_EXPORT = { 'text/csv': { schema: { type: 'string' } } };
+
 // Root endpoint
-router.get('/', (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/',
+    operationId: 'root',
+    summary: 'Service name and the endpoint list',
+    tags: ['Service'],
+    responses: { 200: { description: 'Endpoints by operation id', content: { 'application/json': { schema: { type: 'object' } } } } }
+}, (req, res) => {
     res.json({
         name: '🦅 Bird Data JSONata Query API',
         version: '1.0.0',
         description: 'RESTful API for querying comprehensive bird data using JSONata',
-        endpoints: {
-            stats: 'GET /api/stats',
-            search: 'GET /api/search?q=term&exact=false',
-            taxonomy: 'GET /api/taxonomy/:level/:value',
-            conservation: 'GET /api/conservation/:category',
-            range: 'GET /api/range?region=name',
-            extinct: 'GET /api/extinct',
-            authority: 'GET /api/authority?name=authority',
-            random: 'GET /api/random?count=10',
-            bird: 'GET /api/bird/:scientificName',
-            customQuery: 'POST /api/custom',
-            rawQuery: 'POST /api/query'
-        },
+        // Every other route, e.g. { bird: 'GET /api/bird/{scientificName}' }
+        endpoints: Object.fromEntries(routes.routes
+            .filter(route => route.operationId !== 'root')
+            .map(route => [route.operationId, `${route.method.toUpperCase()} ${route.path}`])),
         documentation: '/api/docs',
+        openapi: '/api/openapi.json',
         healthCheck: '/api/health'
     });
 });
 
 // Health check
-router.get('/api/health', (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/health',
+    operationId: 'health',
+    summary: 'Service health, the loaded dataset version and result cache statistics',
+    tags: ['Service'],
+    responses: { 200: jsonResponse('Health report', { type: 'object' }) }
+}, (req, res) => {
     res.json(formatResponse({
         status: 'healthy',
         uptime: process.uptime(),
-        engineReady: !!birdEngine,
+        datasetName: req.dataset.name,
+        engineReady: !!req.birdEngine,
+        dataset: req.birdEngine?.datasetInfo ?? null,
+        cache: req.birdEngine?.resultCache.stats() ?? null,
         timestamp: new Date().toISOString()
     }, 'Service is healthy'));
 });
 
-// API Documentation
-router.get('/api/docs', (req, res) => {
-    res.json({
-        name: 'Bird Data Query API Documentation',
+/**
+ * OpenAPI document for the routes, listing the request's dataset as the first server
+ * @param {Object} req - Express request
+ * @returns {Object} OpenAPI document
+ */
+function openApiDocument(req) {
+    return routes.document({
+        title: 'Bird Data Query API',
         version: '1.0.0',
-        baseUrl: `${req.protocol}://${req.get('host')}/api`,
-        endpoints: [
-            {
-                path: '/stats',
-                method: 'GET',
-                description: 'Get comprehensive dataset statistics',
-                parameters: 'None',
-                example: '/api/stats'
-            },
-            {
-                path: '/search',
-                method: 'GET',
-                description: 'Search birds by scientific or common name',
-                parameters: 'q (required), exact (optional, default: false), page, limit',
-                example: '/api/search?q=eagle&exact=false&page=1&limit=10'
-            },
-            {
-                path: '/taxonomy/:level/:value',
-                method: 'GET',
-                description: 'Get birds by taxonomic classification',
-                parameters: 'level (Order|Family|Taxon_rank), value, page, limit',
-                example: '/api/taxonomy/Order/Strigiformes'
-            },
-            {
-                path: '/conservation/:category',
-                method: 'GET',
-                description: 'Get birds by IUCN Red List category',
-                parameters: 'category (CR|EN|VU|EX|etc.), page, limit',
-                example: '/api/conservation/CR'
-            },
-            {
-                path: '/range',
-                method: 'GET',
-                description: 'Get birds by geographic range',
-                parameters: 'region (required), page, limit',
-                example: '/api/range?region=Madagascar'
-            },
-            {
-                path: '/extinct',
-                method: 'GET',
-                description: 'Get all extinct or possibly extinct species',
-                parameters: 'page, limit',
-                example: '/api/extinct'
-            },
-            {
-                path: '/authority',
-                method: 'GET',
-                description: 'Get birds described by specific authority',
-                parameters: 'name (required), page, limit',
-                example: '/api/authority?name=Linnaeus'
-            },
-            {
-                path: '/random',
-                method: 'GET',
-                description: 'Get random sample of birds',
-                parameters: 'count (optional, default: 10)',
-                example: '/api/random?count=5'
-            },
-            {
-                path: '/bird/:scientificName',
-                method: 'GET',
-                description: 'Get detailed report for specific bird',
-                parameters: 'scientificName (required)',
-                example: '/api/bird/Aquila chrysaetos'
-            },
-            {
-                path: '/custom',
-                method: 'POST',
-                description: 'Custom query with multiple filters',
-                body: '{ "filters": { "Field": "value" }, "page": 1, "limit": 50 }',
-                example: 'POST /api/custom'
-            },
-            {
-                path: '/query',
-                method: 'POST',
-                description: 'Execute raw JSONata query',
-                body: '{ "query": "JSONata expression", "page": 1, "limit": 50 }',
-                example: 'POST /api/query'
-            }
-        ]
+        description: 'Query bird taxonomy, names, conservation status and ranges. '
+            + 'Send an API key in the X-API-Key header for a higher rate limit and a daily quota; '
+            + 'POST /api/query and /api/admin/* require a key with the privileged scope.',
+        servers: [req.dataset, ...datasets.filter(dataset => dataset !== req.dataset)]
+            .map(dataset => ({ url: dataset.prefix || '/', description: `${dataset.name} dataset` }))
     });
+}
+
+// OpenAPI document
+routes.add({
+    method: 'get',
+    path: '/api/openapi.json',
+    operationId: 'openapi',
+    summary: 'OpenAPI 3 document generated from the route definitions',
+    tags: ['Service'],
+    responses: { 200: { description: 'OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+}, (req, res) => {
+    res.json(openApiDocument(req));
+});
+
+// API Documentation, browsable in a web browser
+routes.add({
+    method: 'get',
+    path: '/api/docs',
+    operationId: 'docs',
+    summary: 'API documentation: an HTML page for browsers, otherwise the OpenAPI document',
+    tags: ['Service'],
+    responses: {
+        200: {
+            description: 'Documentation',
+            content: { 'text/html': { schema: { type: 'string' } }, 'application/json': { schema: { type: 'object' } } }
+        }
+    }
+}, (req, res) => {
+    const document = openApiDocument(req);
+    res.vary('Accept');
+    if (req.accepts(['json', 'html']) === 'html') {
+        res.type('html').send(renderDocsPage(document, { specUrl: `${req.baseUrl}/api/openapi.json` }));
+    } else {
+        res.json(document);
+    }
 });
 
 // Dataset statistics
-router.get('/api/stats', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/stats',
+    operationId: 'stats',
+    summary: 'Dataset statistics',
+    tags: ['Search'],
+    responses: { 200: jsonResponse('Record, order, family, species and extinct counts', { type: 'object' }) }
+}, async (req, res) => {
     try {
-        const stats = await birdEngine.getDatasetStats();
+        const stats = await req.birdEngine.getDatasetStats();
         res.json(formatResponse(stats, 'Dataset statistics retrieved successfully'));
     } catch (error) {
         console.error('Stats error:', error);
@@ -230,141 +426,650 @@ router.get('/api/stats', async (req, res) => {
 });
 
 // Search birds by name
-router.get('/api/search', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/search',
+    operationId: 'search',
+    summary: 'Search birds by scientific or common name',
+    description: 'Fuzzy mode tolerates typos and returns hits as { bird, score, matchedField, matchedName } in relevance order.',
+    tags: ['Search'],
+    query: {
+        properties: {
+            q: { type: 'string', minLength: 1, maxLength: MAX_QUERY_LENGTH, description: 'Name or part of a name', example: 'Golden Eagle' },
+            mode: { type: 'string', enum: ['partial', 'exact', 'fuzzy'], description: 'Default: partial' },
+            exact: { type: 'boolean', description: 'Same as mode=exact' },
+            minScore: { type: 'number', minimum: 0, maximum: 1, description: 'Fuzzy relevance cut-off (default: 0.6)' },
+            ...LIST_QUERY,
+            ...FORMAT_QUERY
+        },
+        required: ['q']
+    },
+    responses: { 200: listResponse('Matching records, or fuzzy hits', { anyOf: [ref('BirdRecord'), { type: 'object' }] }) }
+}, async (req, res) => {
     try {
-        const { q, exact = 'false', page = 1, limit = 50 } = req.query;
-        
-        if (!q) {
-            return res.status(400).json(formatError('Query parameter "q" is required', 400));
+        const { q, exact = 'false', minScore } = req.query;
+        const mode = req.query.mode ?? (exact === 'true' ? 'exact' : 'partial');
+
+        const results = mode === 'fuzzy'
+            ? await req.birdEngine.fuzzySearchByName(q, minScore === undefined ? {} : { minScore: Number(minScore) })
+            : await req.birdEngine.searchByName(q, mode === 'exact');
+        sendResults(req, res, results, {
+            message: `Found ${results.length} birds matching "${q}"`,
+            exportName: 'search',
+            // Fuzzy hits wrap the record and keep relevance order unless a sort is given
+            ...(mode === 'fuzzy' && {
+                toExportRow: hit => ({ ...hit.bird, score: hit.score }),
+                recordKey: 'bird',
+                defaultSort: null,
+                knownFields: new Set([...req.birdEngine.fields, 'score'])
+            })
+        });
+    } catch (error) {
+        console.error('Search error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Search failed', statusCode, error.message));
+    }
+});
+
+// Autocomplete bird names
+routes.add({
+    method: 'get',
+    path: '/api/suggest',
+    operationId: 'suggest',
+    summary: 'Autocomplete scientific and English bird names',
+    tags: ['Search'],
+    query: {
+        properties: {
+            prefix: { type: 'string', minLength: 1, example: 'golden e' },
+            limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Default: 10' }
+        },
+        required: ['prefix']
+    },
+    responses: { 200: jsonResponse('Suggestions as { name, nameSource, scientificName, taxonRank }', { type: 'array', items: { type: 'object' } }) }
+}, async (req, res) => {
+    try {
+        const { prefix, limit = 10 } = req.query;
+
+        const suggestions = await req.birdEngine.suggestNames(prefix, Number(limit));
+
+        res.json(formatResponse(
+            suggestions,
+            `Found ${suggestions.length} suggestions for "${prefix}"`
+        ));
+    } catch (error) {
+        console.error('Suggest error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Suggest failed', statusCode, error.message));
+    }
+});
+
+// Map a name between naming authorities
+routes.add({
+    method: 'get',
+    path: '/api/reconcile',
+    operationId: 'reconcile',
+    summary: 'Map a name from one naming authority to its equivalent in another',
+    tags: ['Names'],
+    query: {
+        properties: {
+            name: { type: 'string', minLength: 1, example: 'Eurasian Blackbird' },
+            from: { ...NAME_AUTHORITY, description: 'Default: clements' },
+            to: { ...NAME_AUTHORITY, description: 'Default: avilist' }
+        },
+        required: ['name']
+    },
+    responses: { 200: jsonResponse('Target name with confidence and ambiguity or split flags', { type: 'object' }) }
+}, async (req, res) => {
+    try {
+        const { name, from = 'clements', to = 'avilist' } = req.query;
+
+        const [result] = await req.birdEngine.reconcileNames([name], from, to);
+
+        res.json(formatResponse(
+            result,
+            result.targetName ? `Reconciled "${name}" to "${result.targetName}" (${result.confidence} confidence)` : `No single ${to} name for "${name}"`
+        ));
+    } catch (error) {
+        console.error('Reconcile error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Reconciliation failed', statusCode, error.message));
+    }
+});
+
+// Map many names between naming authorities
+routes.add({
+    method: 'post',
+    path: '/api/reconcile',
+    operationId: 'reconcileBulk',
+    summary: 'Reconcile many names in one request',
+    tags: ['Names'],
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['names'],
+                    properties: {
+                        names: { type: 'array', items: { type: 'string', maxLength: MAX_QUERY_LENGTH }, minItems: 1, maxItems: config.limits.reconcileNames },
+                        from: NAME_AUTHORITY,
+                        to: NAME_AUTHORITY
+                    }
+                }
+            }
         }
+    },
+    responses: { 200: jsonResponse('One result per name, in input order', { type: 'array', items: { type: 'object' } }) }
+}, async (req, res) => {
+    try {
+        const { names, from = 'clements', to = 'avilist' } = req.body;
 
-        const exactMatch = exact === 'true';
-        const results = await birdEngine.searchByName(q, exactMatch);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const results = await req.birdEngine.reconcileNames(names, from, to, { maxFuzzy: config.limits.fuzzyNames });
+        const flagged = results.filter(result => result.flags.length > 0 && !result.flags.every(flag => flag === 'name_differs')).length;
 
         res.json(formatResponse(
-            paginated.results, 
-            `Found ${results.length} birds matching "${q}"`,
-            paginated.pagination
+            results,
+            `Reconciled ${results.length} names from ${from} to ${to}, ${flagged} need review`
         ));
     } catch (error) {
-        console.error('Search error:', error);
-        res.status(500).json(formatError('Search failed', 500, error.message));
+        console.error('Bulk reconcile error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Reconciliation failed', statusCode, error.message));
     }
 });
 
-// Get birds by taxonomy
-router.get('/api/taxonomy/:level/:value', async (req, res) => {
+// Resolve an uploaded observation list
+routes.add({
+    method: 'post',
+    path: '/api/match',
+    operationId: 'match',
+    summary: 'Resolve an observation list to records, with match-quality stats',
+    description: 'Names may come from any authority and may be misspelt. Lines starting with # are ignored. A file uploaded as multipart/form-data is read as CSV when it is sent as text/csv or named *.csv, else as one name per line.',
+    tags: ['Names'],
+    query: {
+        properties: {
+            format: { type: 'string', enum: ['json', 'csv'], description: 'Default: json' },
+            column: { type: 'string', description: 'CSV column holding the names' }
+        }
+    },
+    body: {
+        required: true,
+        content: {
+            'text/plain': { schema: { type: 'string', description: 'One name per line' } },
+            'text/csv': { schema: { type: 'string', description: 'CSV with a name column' } },
+            'multipart/form-data': {
+                schema: {
+                    type: 'object',
+                    required: ['file'],
+                    properties: {
+                        file: { type: 'string', format: 'binary', description: 'Uploaded checklist, plain text or CSV' },
+                        column: { type: 'string', description: 'CSV column holding the names' }
+                    }
+                }
+            },
+            'application/json': {
+                schema: {
+                    anyOf: [
+                        { type: 'array', items: { type: 'string', maxLength: MAX_QUERY_LENGTH } },
+                        { type: 'object', required: ['names'], properties: { names: { type: 'array', items: { type: 'string', maxLength: MAX_QUERY_LENGTH } } } }
+                    ]
+                }
+            }
+        }
+    },
+    parsers: [
+        express.text({ type: ['text/plain', 'text/csv'], limit: '5mb' }),
+        express.raw({ type: 'multipart/form-data', limit: '5mb' }),
+        parseUploadForm
+    ],
+    responses: {
+        200: {
+            description: 'Match results with stats, or CSV',
+            content: { 'application/json': { schema: { type: 'object' } }, ...TEXT_EXPORT }
+        }
+    }
+}, async (req, res) => {
     try {
-        const { level, value } = req.params;
-        const { page = 1, limit = 50 } = req.query;
+        const { format = 'json' } = req.query;
+        const upload = req.uploads?.file;
+        const column = req.query.column ?? (upload ? req.body.column : undefined);
+        const csv = upload
+            ? upload.contentType === 'text/csv' || /\.csv$/i.test(upload.filename)
+            : !!req.is('text/csv');
+
+        let entries;
+        try {
+            entries = parseChecklistInput(upload ? upload.content : req.body, { csv, column });
+        } catch (error) {
+            return res.status(400).json(formatError('Invalid checklist', 400, error.message));
+        }
+        if (entries.length === 0) {
+            return res.status(400).json(formatError('Checklist contains no names', 400));
+        }
+        if (entries.length > config.limits.matchLines) {
+            return res.status(400).json(formatError(`At most ${config.limits.matchLines} names can be matched per request`, 400));
+        }
+        const tooLong = entries.find(entry => entry.input.length > MAX_QUERY_LENGTH);
+        if (tooLong) {
+            return res.status(400).json(formatError(`Line ${tooLong.line} is longer than ${MAX_QUERY_LENGTH} characters`, 400));
+        }
+
+        const matches = await req.birdEngine.matchNames(entries.map(entry => entry.input), { maxFuzzy: config.limits.fuzzyNames });
+        const results = matches.map((match, i) => ({ line: entries[i].line, ...match }));
 
-        const results = await birdEngine.getByTaxonomy(level, value);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        if (format === 'csv') {
+            return res.type('text/csv').attachment('matches.csv').send(matchesToCsv(results));
+        }
 
+        const stats = summarizeMatches(results);
         res.json(formatResponse(
-            paginated.results,
-            `Found ${results.length} records for ${level}: ${value}`,
-            paginated.pagination
+            { stats, results },
+            `Matched ${stats.matched} of ${stats.total} names, ${stats.ambiguous} ambiguous, ${stats.unmatched} unmatched`
         ));
+    } catch (error) {
+        console.error('Match error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Checklist matching failed', statusCode, error.message));
+    }
+});
+
+// Get birds by taxonomy
+routes.add({
+    method: 'get',
+    path: '/api/taxonomy/{level}/{value}',
+    operationId: 'taxonomy',
+    summary: 'Birds by taxonomic classification',
+    tags: ['Taxonomy'],
+    params: {
+        level: { type: 'string', enum: ['Order', 'Family', 'Taxon_rank'] },
+        value: { type: 'string', example: 'Strigiformes' }
+    },
+    query: { properties: { ...LIST_QUERY, ...FORMAT_QUERY } },
+    responses: { 200: listResponse('Records at the level') }
+}, async (req, res) => {
+    try {
+        const { level, value } = req.params;
+        const results = await req.birdEngine.getByTaxonomy(level, value);
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} records for ${level}: ${value}`,
+            exportName: `taxonomy-${level}-${value}`
+        });
     } catch (error) {
         console.error('Taxonomy error:', error);
-        res.status(500).json(formatError('Taxonomy query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Taxonomy query failed', statusCode, error.message));
     }
 });
 
-// Get birds by conservation status
-router.get('/api/conservation/:category', async (req, res) => {
+// Browse the taxonomy tree
+async function sendTaxonomyTree(req, res) {
     try {
-        const { category } = req.params;
-        const { page = 1, limit = 50 } = req.query;
+        const { order, family } = req.params;
+        const includeIucn = req.query.iucn === 'true';
 
-        const results = await birdEngine.getByIUCNCategory(category);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const tree = await req.birdEngine.getTaxonomyTree({ order, family, includeIucn });
 
         res.json(formatResponse(
-            paginated.results,
-            `Found ${results.length} species with IUCN status: ${category}`,
-            paginated.pagination
+            tree,
+            `Retrieved taxonomy tree for ${[order, family].filter(Boolean).join(' / ') || 'all orders'}`
         ));
+    } catch (error) {
+        console.error('Taxonomy tree error:', error);
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+        res.status(statusCode).json(formatError('Taxonomy tree query failed', statusCode, error.message));
+    }
+}
+
+const TREE_QUERY = { properties: { iucn: { type: 'boolean', description: 'Include IUCN category rollups per node' } } };
+
+routes.add({
+    method: 'get',
+    path: '/api/tree',
+    operationId: 'tree',
+    summary: 'Taxonomy as an Order → Family tree with species counts',
+    tags: ['Taxonomy'],
+    query: TREE_QUERY,
+    responses: { 200: jsonResponse('Orders with their families', { type: 'object' }) }
+}, sendTaxonomyTree);
+
+routes.add({
+    method: 'get',
+    path: '/api/tree/{order}',
+    operationId: 'treeOrder',
+    summary: 'One order with its families and species',
+    tags: ['Taxonomy'],
+    params: { order: { type: 'string', example: 'Strigiformes' } },
+    query: TREE_QUERY,
+    responses: { 200: jsonResponse('Order node', { type: 'object' }), 404: { description: 'Order not found' } }
+}, sendTaxonomyTree);
+
+routes.add({
+    method: 'get',
+    path: '/api/tree/{order}/{family}',
+    operationId: 'treeFamily',
+    summary: 'One family with its species and their subspecies, in sequence order',
+    tags: ['Taxonomy'],
+    params: { order: { type: 'string', example: 'Strigiformes' }, family: { type: 'string', example: 'Strigidae' } },
+    query: TREE_QUERY,
+    responses: { 200: jsonResponse('Family node', { type: 'object' }), 404: { description: 'Family not found' } }
+}, sendTaxonomyTree);
+
+// Get birds by conservation status
+routes.add({
+    method: 'get',
+    path: '/api/conservation/{category}',
+    operationId: 'conservation',
+    summary: 'Birds by IUCN Red List category',
+    tags: ['Conservation'],
+    params: { category: { type: 'string', example: 'CR' } },
+    query: { properties: { ...LIST_QUERY, ...FORMAT_QUERY } },
+    responses: { 200: listResponse('Records in the category') }
+}, async (req, res) => {
+    try {
+        const { category } = req.params;
+        const results = await req.birdEngine.getByIUCNCategory(category);
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} species with IUCN status: ${category}`,
+            exportName: `conservation-${category}`
+        });
     } catch (error) {
         console.error('Conservation error:', error);
-        res.status(500).json(formatError('Conservation query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Conservation query failed', statusCode, error.message));
     }
 });
 
-// Get birds by geographic range
-router.get('/api/range', async (req, res) => {
-    try {
-        const { region, page = 1, limit = 50 } = req.query;
-        
-        if (!region) {
-            return res.status(400).json(formatError('Query parameter "region" is required', 400));
+// Conservation breakdowns per order and family
+routes.add({
+    method: 'get',
+    path: '/api/analytics/conservation',
+    operationId: 'conservationAnalytics',
+    summary: 'IUCN category breakdowns per order and family, and the most threatened families',
+    tags: ['Conservation'],
+    query: {
+        properties: {
+            order: { type: 'string', description: 'Limit to one order' },
+            top: { type: 'integer', minimum: 1, description: 'Families in mostThreatenedFamilies (default: 10)' },
+            minSpecies: { type: 'integer', minimum: 1, description: 'Smallest family ranked (default: 5)' }
         }
+    },
+    responses: { 200: jsonResponse('Conservation analytics', { type: 'object' }), 404: { description: 'Order not found' } }
+}, async (req, res) => {
+    try {
+        const { order, top, minSpecies } = req.query;
 
-        const results = await birdEngine.getByRange(region);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const analytics = await req.birdEngine.getConservationAnalytics({
+            order,
+            top: optionalNumber(top),
+            minSpecies: optionalNumber(minSpecies)
+        });
 
         res.json(formatResponse(
-            paginated.results,
-            `Found ${results.length} birds in region: ${region}`,
-            paginated.pagination
+            analytics,
+            `Conservation analytics for ${order ?? 'all orders'}: ${analytics.orders.length} orders, ${analytics.families.length} families`
         ));
+    } catch (error) {
+        console.error('Conservation analytics error:', error);
+        const statusCode = error.message.includes('not found') ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Conservation analytics failed', statusCode, error.message));
+    }
+});
+
+// Get birds by geographic range
+routes.add({
+    method: 'get',
+    path: '/api/range',
+    operationId: 'range',
+    summary: 'Birds whose range text mentions a region',
+    tags: ['Geography'],
+    query: { properties: { region: { type: 'string', minLength: 1, example: 'Madagascar' }, ...LIST_QUERY, ...FORMAT_QUERY }, required: ['region'] },
+    responses: { 200: listResponse('Matching records') }
+}, async (req, res) => {
+    try {
+        const { region } = req.query;
+
+        const results = await req.birdEngine.getByRange(region);
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} birds in region: ${region}`,
+            exportName: 'range'
+        });
     } catch (error) {
         console.error('Range error:', error);
-        res.status(500).json(formatError('Range query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Range query failed', statusCode, error.message));
     }
 });
 
-// Get extinct species
-router.get('/api/extinct', async (req, res) => {
+// List gazetteer regions with species counts
+routes.add({
+    method: 'get',
+    path: '/api/regions',
+    operationId: 'regions',
+    summary: 'Gazetteer regions with species counts',
+    tags: ['Geography'],
+    query: {
+        properties: {
+            type: { type: 'string', description: 'Region type, e.g. continent, country or island' },
+            parent: { type: 'string', description: 'Only regions within this region' },
+            ...LIST_QUERY
+        }
+    },
+    responses: { 200: listResponse('Regions, most species first', { type: 'object' }) }
+}, async (req, res) => {
     try {
-        const { page = 1, limit = 50 } = req.query;
+        const { type, parent } = req.query;
+        const listOptions = parseListOptions(req.query, {
+            knownFields: new Set(['id', 'name', 'type', 'parents', 'species', 'records']),
+            defaultSort: 'species:desc',
+            defaultLimit: 100
+        });
 
-        const results = await birdEngine.getExtinctSpecies();
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const results = await req.birdEngine.getRegions({ type, parent });
+        const paginated = paginateList(results, listOptions, { datasetVersion: req.birdEngine.datasetInfo?.version });
 
         res.json(formatResponse(
             paginated.results,
-            `Found ${results.length} extinct or possibly extinct species`,
+            `Found ${results.length} regions`,
             paginated.pagination
         ));
+    } catch (error) {
+        console.error('Regions error:', error);
+        const statusCode = error.message.includes('not found') ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Regions query failed', statusCode, error.message));
+    }
+});
+
+// Get birds in a gazetteer region, including its subregions
+routes.add({
+    method: 'get',
+    path: '/api/regions/{region}',
+    operationId: 'region',
+    summary: 'Birds in a gazetteer region',
+    tags: ['Geography'],
+    params: { region: { type: 'string', example: 'madagascar' } },
+    query: { properties: { subregions: { type: 'boolean', description: 'Include subregions (default: true)' }, ...LIST_QUERY, ...FORMAT_QUERY } },
+    responses: { 200: listResponse('Records in the region'), 404: { description: 'Region not found' } }
+}, async (req, res) => {
+    try {
+        const { region } = req.params;
+        const { subregions } = req.query;
+
+        const results = await req.birdEngine.getByRegion(region, { includeSubregions: subregions !== 'false' });
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} birds in region: ${region}`,
+            exportName: 'region'
+        });
+    } catch (error) {
+        console.error('Region error:', error);
+        const statusCode = error.message.includes('not found') ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Region query failed', statusCode, error.message));
+    }
+});
+
+// Get extinct species
+routes.add({
+    method: 'get',
+    path: '/api/extinct',
+    operationId: 'extinct',
+    summary: 'Extinct or possibly extinct species',
+    tags: ['Conservation'],
+    query: { properties: { ...LIST_QUERY, ...FORMAT_QUERY } },
+    responses: { 200: listResponse('Extinct species') }
+}, async (req, res) => {
+    try {
+        const results = await req.birdEngine.getExtinctSpecies();
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} extinct or possibly extinct species`,
+            exportName: 'extinct'
+        });
     } catch (error) {
         console.error('Extinct error:', error);
-        res.status(500).json(formatError('Extinct species query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Extinct species query failed', statusCode, error.message));
     }
 });
 
 // Get birds by authority
-router.get('/api/authority', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/authority',
+    operationId: 'authority',
+    summary: 'Birds whose authority mentions a name',
+    tags: ['Authorities'],
+    query: { properties: { name: { type: 'string', minLength: 1, example: 'Linnaeus' }, ...LIST_QUERY, ...FORMAT_QUERY }, required: ['name'] },
+    responses: { 200: listResponse('Matching records') }
+}, async (req, res) => {
     try {
-        const { name, page = 1, limit = 50 } = req.query;
-        
-        if (!name) {
-            return res.status(400).json(formatError('Query parameter "name" is required', 400));
+        const { name } = req.query;
+
+        const results = await req.birdEngine.getByAuthority(name);
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} birds described by: ${name}`,
+            exportName: 'authority'
+        });
+    } catch (error) {
+        console.error('Authority error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Authority query failed', statusCode, error.message));
+    }
+});
+
+// Get birds described within a year range
+routes.add({
+    method: 'get',
+    path: '/api/described',
+    operationId: 'described',
+    summary: 'Birds described within a year range, using the year parsed from Authority',
+    description: 'At least one of from and to is required.',
+    tags: ['Authorities'],
+    query: {
+        properties: {
+            from: { ...YEAR, description: 'First year, inclusive' },
+            to: { ...YEAR, description: 'Last year, inclusive' },
+            author: { type: 'string', description: 'One parsed author name' },
+            ...LIST_QUERY,
+            ...FORMAT_QUERY
         }
+    },
+    responses: { 200: listResponse('Records described in the range') }
+}, async (req, res) => {
+    try {
+        const { from, to, author } = req.query;
 
-        const results = await birdEngine.getByAuthority(name);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        if (from === undefined && to === undefined) {
+            return res.status(400).json(formatError('Query parameter "from" or "to" is required', 400));
+        }
+
+        const results = await req.birdEngine.getByDescriptionYear({ from: optionalNumber(from), to: optionalNumber(to), author });
+
+        sendResults(req, res, results, {
+            message: `Found ${results.length} birds described ${from ? `from ${from} ` : ''}${to ? `to ${to}` : ''}`.trim(),
+            exportName: 'described'
+        });
+    } catch (error) {
+        console.error('Described error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Description year query failed', statusCode, error.message));
+    }
+});
+
+// Species described per decade
+routes.add({
+    method: 'get',
+    path: '/api/analytics/decades',
+    operationId: 'decades',
+    summary: 'Species described per decade',
+    tags: ['Authorities'],
+    query: { properties: { from: YEAR, to: YEAR } },
+    responses: { 200: jsonResponse('Decades in order', { type: 'array', items: { type: 'object' } }) }
+}, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        const decades = await req.birdEngine.getDescriptionsByDecade({ from: optionalNumber(from), to: optionalNumber(to) });
 
         res.json(formatResponse(
-            paginated.results,
-            `Found ${results.length} birds described by: ${name}`,
-            paginated.pagination
+            decades,
+            `Species descriptions across ${decades.length} decades`
         ));
     } catch (error) {
-        console.error('Authority error:', error);
-        res.status(500).json(formatError('Authority query failed', 500, error.message));
+        console.error('Decades error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Decade analytics failed', statusCode, error.message));
+    }
+});
+
+// Authors who described the most species
+routes.add({
+    method: 'get',
+    path: '/api/analytics/authors',
+    operationId: 'authors',
+    summary: 'Authors who described the most species',
+    tags: ['Authorities'],
+    query: { properties: { limit: { type: 'integer', minimum: 1, maximum: 100, description: 'Default: 20' }, from: YEAR, to: YEAR } },
+    responses: { 200: jsonResponse('Authors, most species first', { type: 'array', items: { type: 'object' } }) }
+}, async (req, res) => {
+    try {
+        const { limit = 20, from, to } = req.query;
+
+        const authors = await req.birdEngine.getTopAuthors({
+            limit: Number(limit),
+            from: optionalNumber(from),
+            to: optionalNumber(to)
+        });
+
+        res.json(formatResponse(
+            authors,
+            `Top ${authors.length} authors by species described`
+        ));
+    } catch (error) {
+        console.error('Authors error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Author analytics failed', statusCode, error.message));
     }
 });
 
 // Get random sample
-router.get('/api/random', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/random',
+    operationId: 'random',
+    summary: 'Random sample of records',
+    tags: ['Search'],
+    query: { properties: { count: { type: 'integer', minimum: 1, maximum: 100, description: 'Default: 10' } } },
+    responses: { 200: jsonResponse('Sampled records', { type: 'array', items: ref('BirdRecord') }) }
+}, async (req, res) => {
     try {
         const { count = 10 } = req.query;
-        const sampleCount = Math.min(parseInt(count), 100); // Limit to 100 for performance
+        const sampleCount = Number(count);
 
-        const results = await birdEngine.getRandomSample(sampleCount);
+        const results = await req.birdEngine.getRandomSample(sampleCount);
 
         res.json(formatResponse(
             results,
@@ -377,12 +1082,20 @@ router.get('/api/random', async (req, res) => {
 });
 
 // Get detailed bird report
-router.get('/api/bird/:scientificName', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/bird/{scientificName}',
+    operationId: 'bird',
+    summary: 'Detailed report for one bird, with related family members, regions and parsed authority',
+    tags: ['Taxonomy'],
+    params: { scientificName: { type: 'string', example: 'Aquila chrysaetos' } },
+    responses: { 200: jsonResponse('Bird report', { type: 'object', properties: { bird: ref('BirdRecord') } }), 404: { description: 'Bird not found' } }
+}, async (req, res) => {
     try {
         const { scientificName } = req.params;
         const decodedName = decodeURIComponent(scientificName);
 
-        const report = await birdEngine.getBirdReport(decodedName);
+        const report = await req.birdEngine.getBirdReport(decodedName);
 
         res.json(formatResponse(
             report,
@@ -390,73 +1103,464 @@ router.get('/api/bird/:scientificName', async (req, res) => {
         ));
     } catch (error) {
         console.error('Bird report error:', error);
-        const statusCode = error.message.includes('not found') ? 404 : 500;
+        const statusCode = error.message.includes('not found') ? 404 : statusForError(error);
         res.status(statusCode).json(formatError('Bird report failed', statusCode, error.message));
     }
 });
 
 // Custom query with filters
-router.post('/api/custom', async (req, res) => {
-    try {
-        const { filters, page = 1, limit = 50 } = req.body;
-        
-        if (!filters || typeof filters !== 'object') {
-            return res.status(400).json(formatError('Request body must contain "filters" object', 400));
+routes.add({
+    method: 'post',
+    path: '/api/custom',
+    operationId: 'customQuery',
+    summary: 'Records matching field filters',
+    description: 'Each filter is a value, a list of values, or a string with * wildcards. List parameters may also be sent in the body.',
+    tags: ['Queries'],
+    query: { properties: FORMAT_QUERY },
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['filters'],
+                    properties: {
+                        filters: {
+                            type: 'object',
+                            minProperties: 1,
+                            additionalProperties: { anyOf: [...FILTER_VALUE.anyOf, { type: 'array', items: FILTER_VALUE }] },
+                            example: { Order: 'Strigiformes', IUCN_Red_List_Category: ['CR', 'EN'] }
+                        },
+                        ...LIST_QUERY
+                    }
+                }
+            }
         }
+    },
+    responses: { 200: listResponse('Matching records') }
+}, async (req, res) => {
+    try {
+        const { filters } = req.body;
 
-        const results = await birdEngine.customQuery(filters);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const results = await req.birdEngine.customQuery(filters);
 
-        res.json(formatResponse(
-            paginated.results,
-            `Custom query returned ${results.length} results`,
-            paginated.pagination
-        ));
+        sendResults(req, res, results, {
+            message: `Custom query returned ${results.length} results`,
+            params: { ...req.query, ...req.body },
+            exportName: 'custom'
+        });
     } catch (error) {
         console.error('Custom query error:', error);
-        res.status(500).json(formatError('Custom query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Custom query failed', statusCode, error.message));
     }
 });
 
-// Raw JSONata query
-router.post('/api/query', async (req, res) => {
+// Faceted search with drill-down counts
+routes.add({
+    method: 'post',
+    path: '/api/facets',
+    operationId: 'facets',
+    summary: 'Faceted search with drill-down counts',
+    tags: ['Queries'],
+    query: { properties: FORMAT_QUERY },
+    body: {
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    properties: {
+                        filters: {
+                            type: 'object',
+                            properties: Object.fromEntries(Object.keys(FACETS).map(facet => [facet, { anyOf: [...FILTER_VALUE.anyOf, { type: 'array', items: FILTER_VALUE }] }])),
+                            example: { order: ['Accipitriformes'], iucn: 'CR' }
+                        },
+                        ...LIST_QUERY
+                    }
+                }
+            }
+        }
+    },
+    responses: {
+        200: {
+            description: 'Matching records and facet counts',
+            content: { 'application/json': { schema: { type: 'object' } } }
+        }
+    }
+}, async (req, res) => {
     try {
-        const { query, page = 1, limit = 50 } = req.body;
-        
-        if (!query || typeof query !== 'string') {
-            return res.status(400).json(formatError('Request body must contain "query" string', 400));
+        const { filters = {} } = req.body;
+
+        const { results, facets } = await req.birdEngine.facetedSearch(filters);
+
+        sendResults(req, res, results, {
+            message: `Faceted search returned ${results.length} results`,
+            params: { ...req.query, ...req.body },
+            exportName: 'facets',
+            toData: page => ({ results: page, facets })
+        });
+    } catch (error) {
+        console.error('Faceted search error:', error);
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Faceted search failed', statusCode, error.message));
+    }
+});
+
+// Raw JSONata query
+routes.add({
+    method: 'post',
+    path: '/api/query',
+    operationId: 'rawQuery',
+    summary: 'Run a JSONata expression over the dataset in a sandbox',
+    description: 'Queries over a sandbox limit are rejected with 422 and the name of the limit.',
+    tags: ['Queries'],
+    privileged: true,
+    query: { properties: FORMAT_QUERY },
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['query'],
+                    properties: { query: { type: 'string', minLength: 1, example: '$[Order = "Strigiformes"]' }, ...LIST_QUERY }
+                }
+            }
         }
+    },
+    responses: {
+        200: jsonResponse('Query result; lists are paginated', {}),
+        422: { description: 'Query exceeded a sandbox limit', content: { 'application/json': { schema: ref('Error') } } }
+    }
+}, async (req, res) => {
+    try {
+        const { query } = req.body;
 
-        const results = await birdEngine.executeQuery(query);
+        const results = await req.birdEngine.executeSandboxedQuery(query);
         
-        // Handle different result types
-        if (Array.isArray(results)) {
-            const paginated = paginateResults(results, parseInt(page), parseInt(limit));
-            res.json(formatResponse(
-                paginated.results,
-                `JSONata query returned ${results.length} results`,
-                paginated.pagination
-            ));
-        } else {
-            res.json(formatResponse(
-                results,
-                'JSONata query executed successfully'
-            ));
-        }
+        sendQueryResult(req, res, results, { label: 'JSONata query', exportName: 'query' });
     } catch (error) {
+        if (error instanceof QueryLimitError) {
+            console.warn(`JSONata query rejected (${error.limit}):`, error.message);
+            return res.status(422).json(formatError(`Query exceeded ${error.limit} limit`, 422, error.message));
+        }
         console.error('JSONata query error:', error);
         res.status(400).json(formatError('JSONata query failed', 400, error.message));
     }
 });
 
+// Saved queries ("views"): named JSONata expressions whose parameters are bound as $variables
+const VIEW_PARAMETERS = {
+    type: 'object',
+    description: 'Parameter name to its declaration; each must appear in the query as $name',
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: Object.keys(PARAMETER_TYPES), description: 'Default: string. A list is comma separated or repeated' },
+            description: { type: 'string' },
+            required: { type: 'boolean' },
+            default: { description: 'Value used when the parameter is not sent' }
+        },
+        additionalProperties: false
+    },
+    example: { order: { type: 'string', required: true }, categories: { type: 'list', default: ['CR', 'EN'] } }
+};
+const SAVED_QUERY_VERSION = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer' },
+        description: { type: 'string' },
+        query: { type: 'string' },
+        parameters: VIEW_PARAMETERS,
+        savedBy: { type: 'string', nullable: true, description: 'Name of the API key that saved the version' },
+        createdAt: { type: 'string', format: 'date-time' }
+    }
+};
+const SAVED_QUERY = {
+    type: 'object',
+    properties: { name: { type: 'string' }, ...SAVED_QUERY_VERSION.properties, updatedAt: { type: 'string', format: 'date-time' } }
+};
+const VIEW_NAME = { type: 'string', example: 'threatened-in-order' };
+
+routes.add({
+    method: 'get',
+    path: '/api/views',
+    operationId: 'views',
+    summary: 'Saved queries, current version of each',
+    tags: ['Saved queries'],
+    responses: { 200: jsonResponse('Saved queries by name', { type: 'array', items: SAVED_QUERY }) }
+}, (req, res) => {
+    const views = savedQueries.list();
+    res.json(formatResponse(views, `Found ${views.length} saved queries`));
+});
+
+routes.add({
+    method: 'post',
+    path: '/api/views',
+    operationId: 'createView',
+    summary: 'Save a named JSONata query with parameters',
+    tags: ['Saved queries'],
+    privileged: true,
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['name', 'query'],
+                    properties: {
+                        name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$', example: 'threatened-in-order' },
+                        description: { type: 'string' },
+                        query: { type: 'string', minLength: 1, example: '$[Order = $order and IUCN_Red_List_Category in $categories]' },
+                        parameters: VIEW_PARAMETERS
+                    },
+                    additionalProperties: false
+                }
+            }
+        }
+    },
+    responses: {
+        201: jsonResponse('Saved query, version 1', SAVED_QUERY),
+        409: { description: 'A saved query with this name exists', content: { 'application/json': { schema: ref('Error') } } }
+    }
+}, (req, res) => {
+    try {
+        const view = savedQueries.create(req.body, { savedBy: req.apiKey.name });
+        res.status(201).json(formatResponse(view, `Saved query ${view.name}`));
+    } catch (error) {
+        const statusCode = error instanceof SavedQueryExistsError ? 409 : statusForError(error);
+        res.status(statusCode).json(formatError('Failed to save query', statusCode, error.message));
+    }
+});
+
+routes.add({
+    method: 'get',
+    path: '/api/views/{name}',
+    operationId: 'runView',
+    summary: 'Run a saved query against the dataset',
+    description: 'Send each declared parameter as a query parameter; values are converted to the declared type and bound as $variables. Runs under the same sandbox limits as POST /api/query.',
+    tags: ['Saved queries'],
+    params: { name: VIEW_NAME },
+    query: { properties: { ...LIST_QUERY, ...FORMAT_QUERY } },
+    responses: {
+        200: listResponse('Query result; lists are paginated', {}),
+        404: { description: 'Saved query not found' },
+        422: { description: 'Query exceeded a sandbox limit', content: { 'application/json': { schema: ref('Error') } } }
+    }
+}, async (req, res) => {
+    try {
+        const view = savedQueries.get(req.params.name);
+        const results = await req.birdEngine.executeSandboxedQuery(view.query, bindParameters(view.parameters, req.query));
+        sendQueryResult(req, res, results, { label: `Saved query ${view.name} (version ${view.version})`, exportName: view.name });
+    } catch (error) {
+        if (error instanceof QueryLimitError) {
+            console.warn(`Saved query ${req.params.name} rejected (${error.limit}):`, error.message);
+            return res.status(422).json(formatError(`Query exceeded ${error.limit} limit`, 422, error.message));
+        }
+        if (error instanceof SavedQueryNotFoundError) {
+            return res.status(404).json(formatError('Saved query failed', 404, error.message));
+        }
+        if (!(error instanceof QueryValidationError)) {
+            console.error('Saved query error:', error);
+        }
+        res.status(400).json(formatError('Saved query failed', 400, error.message));
+    }
+});
+
+routes.add({
+    method: 'put',
+    path: '/api/views/{name}',
+    operationId: 'updateView',
+    summary: 'Save a new version of a saved query',
+    description: 'Fields left out keep their current values. Earlier versions stay in the history.',
+    tags: ['Saved queries'],
+    privileged: true,
+    params: { name: VIEW_NAME },
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    properties: { description: { type: 'string' }, query: { type: 'string', minLength: 1 }, parameters: VIEW_PARAMETERS },
+                    additionalProperties: false,
+                    minProperties: 1
+                }
+            }
+        }
+    },
+    responses: { 200: jsonResponse('Saved query with its new version', SAVED_QUERY), 404: { description: 'Saved query not found' } }
+}, (req, res) => {
+    try {
+        const view = savedQueries.update(req.params.name, req.body, { savedBy: req.apiKey.name });
+        res.json(formatResponse(view, `Saved version ${view.version} of ${view.name}`));
+    } catch (error) {
+        const statusCode = error instanceof SavedQueryNotFoundError ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Failed to update query', statusCode, error.message));
+    }
+});
+
+routes.add({
+    method: 'delete',
+    path: '/api/views/{name}',
+    operationId: 'deleteView',
+    summary: 'Delete a saved query and its history',
+    tags: ['Saved queries'],
+    privileged: true,
+    params: { name: VIEW_NAME },
+    responses: { 200: jsonResponse('Deleted', { type: 'object' }), 404: { description: 'Saved query not found' } }
+}, (req, res) => {
+    try {
+        savedQueries.delete(req.params.name);
+        res.json(formatResponse({ name: req.params.name }, `Deleted saved query ${req.params.name}`));
+    } catch (error) {
+        const statusCode = error instanceof SavedQueryNotFoundError ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Failed to delete query', statusCode, error.message));
+    }
+});
+
+routes.add({
+    method: 'get',
+    path: '/api/views/{name}/versions',
+    operationId: 'viewVersions',
+    summary: 'Version history of a saved query, oldest first',
+    tags: ['Saved queries'],
+    params: { name: VIEW_NAME },
+    responses: {
+        200: jsonResponse('Versions', { type: 'array', items: SAVED_QUERY_VERSION }),
+        404: { description: 'Saved query not found' }
+    }
+}, (req, res) => {
+    try {
+        const versions = savedQueries.history(req.params.name);
+        res.json(formatResponse(versions, `Found ${versions.length} versions of ${req.params.name}`));
+    } catch (error) {
+        const statusCode = error instanceof SavedQueryNotFoundError ? 404 : statusForError(error);
+        res.status(statusCode).json(formatError('Failed to get query history', statusCode, error.message));
+    }
+});
+
+// Diff two dataset versions
+routes.add({
+    method: 'get',
+    path: '/api/diff',
+    operationId: 'diff',
+    summary: 'Differences between two dataset versions',
+    tags: ['Datasets'],
+    query: {
+        properties: {
+            from: { type: 'string', minLength: 1, description: 'Dataset name in the datasets directory, or current' },
+            to: { type: 'string', minLength: 1, description: 'Dataset name in the datasets directory, or current' },
+            format: { type: 'string', enum: ['json', 'csv'], description: 'Default: json' }
+        },
+        required: ['from', 'to']
+    },
+    responses: {
+        200: { description: 'Added, removed and changed records', content: { 'application/json': { schema: envelope({ type: 'object' }) }, ...TEXT_EXPORT } },
+        404: { description: 'Dataset not found' }
+    }
+}, async (req, res) => {
+    try {
+        const { from, to, format = 'json' } = req.query;
+
+        const load = name => (name === 'current' ? req.birdEngine.birdData : datasetLibrary.load(name));
+        const diff = diffDatasets(await load(from), await load(to));
+
+        if (format === 'csv') {
+            return res.type('text/csv').attachment(`diff-${from}-${to}.csv`).send(diffToCsv(diff));
+        }
+
+        res.json(formatResponse(
+            diff,
+            `Diff ${from} → ${to}: ${diff.summary.added} added, ${diff.summary.removed} removed`
+        ));
+    } catch (error) {
+        console.error('Diff error:', error);
+        if (error.message.includes('not found')) {
+            const available = ['current', ...await datasetLibrary.list()];
+            return res.status(404).json(formatError('Diff failed', 404, `${error.message}. Available: ${available.join(', ')}`));
+        }
+        const statusCode = error.message.startsWith('Invalid dataset name') ? 400 : 500;
+        res.status(statusCode).json(formatError('Diff failed', statusCode, error.message));
+    }
+});
+
+// Reload the dataset from disk
+routes.add({
+    method: 'post',
+    path: '/api/admin/reload',
+    operationId: 'reload',
+    summary: 'Reload the data file and swap it in if valid',
+    tags: ['Datasets'],
+    privileged: true,
+    responses: {
+        200: jsonResponse('Loaded dataset version', { type: 'object' }),
+        422: { description: 'Invalid data file; the current dataset is kept', content: { 'application/json': { schema: ref('Error') } } }
+    }
+}, async (req, res) => {
+    try {
+        const { reloaded, dataset } = await req.birdEngine.reload();
+
+        res.json(formatResponse(
+            dataset,
+            reloaded ? `Reloaded dataset version ${dataset.version}` : 'Dataset unchanged'
+        ));
+    } catch (error) {
+        console.error('Reload error:', error);
+        const statusCode = error instanceof SyntaxError || error.message.startsWith('Invalid bird data') ? 422 : 500;
+        res.status(statusCode).json(formatError('Dataset reload failed, current dataset kept', statusCode, error.message));
+    }
+});
+
+// Usage of the calling API key
+routes.add({
+    method: 'get',
+    path: '/api/usage',
+    operationId: 'usage',
+    summary: 'Tier, limits and usage of the calling API key',
+    tags: ['API keys'],
+    responses: { 200: jsonResponse('Key usage', { type: 'object' }), 401: { $ref: '#/components/responses/Unauthorized' } }
+}, (req, res) => {
+    if (req.apiKey === null) {
+        return res.status(401).json(formatError('Send an API key in the X-API-Key header to see its usage', 401));
+    }
+
+    const report = apiKeys.usageReport().find(key => key.id === req.apiKey.id);
+    res.json(formatResponse(report, `Usage for API key ${report.id}`));
+});
+
+// Usage of every API key
+routes.add({
+    method: 'get',
+    path: '/api/admin/keys',
+    operationId: 'keys',
+    summary: 'Every API key with its tier, limits and usage',
+    tags: ['API keys'],
+    privileged: true,
+    responses: { 200: jsonResponse('Keys without their hashes', { type: 'array', items: { type: 'object' } }) }
+}, (req, res) => {
+    const keys = apiKeys.usageReport();
+    res.json(formatResponse(keys, `Found ${keys.length} API keys`));
+});
+
 // Get unique values for a field
-router.get('/api/unique/:field', async (req, res) => {
+routes.add({
+    method: 'get',
+    path: '/api/unique/{field}',
+    operationId: 'unique',
+    summary: 'Distinct values of a record field',
+    tags: ['Taxonomy'],
+    params: { field: { type: 'string', example: 'Order' } },
+    query: { properties: { page: LIST_QUERY.page, limit: LIST_QUERY.limit, cursor: LIST_QUERY.cursor } },
+    responses: { 200: listResponse('Distinct values (default limit: 100)', { type: 'string' }) }
+}, async (req, res) => {
     try {
         const { field } = req.params;
-        const { page = 1, limit = 100 } = req.query;
+        // Values are plain strings, so there is nothing to sort or project by
+        const listOptions = parseListOptions(req.query, { knownFields: new Set(), defaultLimit: 100 });
 
-        const results = await birdEngine.getUniqueValues(field);
-        const paginated = paginateResults(results, parseInt(page), parseInt(limit));
+        const results = await req.birdEngine.getUniqueValues(field);
+        const paginated = paginateList(results, listOptions, { datasetVersion: req.birdEngine.datasetInfo?.version });
 
         res.json(formatResponse(
             paginated.results,
@@ -465,11 +1569,126 @@ router.get('/api/unique/:field', async (req, res) => {
         ));
     } catch (error) {
         console.error('Unique values error:', error);
-        res.status(500).json(formatError('Unique values query failed', 500, error.message));
+        const statusCode = statusForError(error);
+        res.status(statusCode).json(formatError('Unique values query failed', statusCode, error.message));
+    }
+});
+
+// GraphQL over the dataset, for fetching linked birds, families, orders and categories in one request
+const GRAPHQL_RESPONSE = {
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                properties: { data: { type: 'object', nullable: true }, errors: { type: 'array', items: { type: 'object' } } }
+            }
+        }
+    }
+};
+const GRAPHQL_RESPONSES = {
+    200: { description: 'GraphQL response; resolver errors are listed in errors alongside the data', ...GRAPHQL_RESPONSE },
+    400: { description: 'Query failed to parse or validate, or exceeds the depth or cost limit', ...GRAPHQL_RESPONSE }
+};
+
+/**
+ * Run a GraphQL request against the request's dataset and send the GraphQL response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} request - { query, variables, operationName }
+ */
+async function sendGraphqlResult(req, res, request) {
+    try {
+        const { status, body } = await executeGraphqlQuery(req.birdEngine, request, config.graphql);
+        res.status(status).json(body);
+    } catch (error) {
+        console.error('GraphQL error:', error);
+        res.status(500).json(formatError('GraphQL query failed', 500, error.message));
+    }
+}
+
+routes.add({
+    method: 'post',
+    path: '/graphql',
+    operationId: 'graphql',
+    summary: 'GraphQL query over birds, families, orders and conservation categories',
+    description: `List fields take limit (at most 100) and offset. Queries deeper than ${config.graphql.maxDepth} levels or costing more than ${config.graphql.maxCost} (objects resolved, estimated from list limits) are rejected.`,
+    tags: ['GraphQL'],
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    type: 'object',
+                    required: ['query'],
+                    properties: {
+                        query: { type: 'string', minLength: 1, example: '{ bird(scientificName: "Aquila chrysaetos") { englishName family { name order { speciesCount } } } }' },
+                        variables: { type: 'object', nullable: true },
+                        operationName: { type: 'string', nullable: true }
+                    }
+                }
+            }
+        }
+    },
+    responses: GRAPHQL_RESPONSES
+}, (req, res) => sendGraphqlResult(req, res, req.body));
+
+routes.add({
+    method: 'get',
+    path: '/graphql',
+    operationId: 'graphqlGet',
+    summary: 'GraphQL query sent in the URL',
+    tags: ['GraphQL'],
+    query: {
+        properties: {
+            query: { type: 'string', minLength: 1 },
+            variables: { type: 'string', description: 'JSON object' },
+            operationName: { type: 'string' }
+        },
+        required: ['query']
+    },
+    responses: GRAPHQL_RESPONSES
+}, (req, res) => {
+    const { query, variables, operationName } = req.query;
+    let parsedVariables;
+    try {
+        parsedVariables = JSON.parse(variables ?? '{}');
+    } catch {
+        parsedVariables = null;
+    }
+    if (typeof parsedVariables !== 'object' || parsedVariables === null || Array.isArray(parsedVariables)) {
+        return res.status(400).json({ errors: [{ message: 'variables must be a JSON object' }] });
     }
+    sendGraphqlResult(req, res, { query, variables: parsedVariables, operationName });
 });
 
-app.use(PREFIX, router);
+// Model Context Protocol endpoint (streamable HTTP, stateless)
+routes.add({
+    method: 'post',
+    path: '/mcp',
+    operationId: 'mcp',
+    summary: 'Model Context Protocol over streamable HTTP (stateless)',
+    description: 'The executeQuery tool is only offered to API keys with the privileged scope.',
+    tags: ['MCP'],
+    body: { required: true, content: { 'application/json': { schema: { description: 'JSON-RPC 2.0 message' } } } },
+    responses: { 200: { description: 'JSON-RPC response as JSON or an event stream' } }
+}, createMcpHttpHandler(req => req.birdEngine));
+
+router.all('/mcp', (req, res) => {
+    res.status(405).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message: 'Method not allowed. This MCP endpoint is stateless and only accepts POST.' },
+        id: null
+    });
+});
+
+// Every dataset is served by the same routes under its own prefix
+for (const dataset of datasets) {
+    app.use(dataset.prefix, (req, res, next) => {
+        req.dataset = dataset;
+        req.birdEngine = dataset.engine;
+        next();
+    }, router);
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -482,32 +1701,50 @@ app.use('*', (req, res) => {
     res.status(404).json(formatError('Endpoint not found', 404, `${req.method} ${req.originalUrl}`));
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully...');
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully...');
-    process.exit(0);
-});
-
 // Start server
 async function startServer() {
-    await initializeEngine();
-    
-    app.listen(PORT, () => {
-        console.log(`🚀 Bird Data API Server running on port ${PORT}`);
-        console.log(`📖 API Documentation: http://localhost:${PORT}/api/docs`);
-        console.log(`🔍 Health Check: http://localhost:${PORT}/api/health`);
-        console.log(`📊 Dataset Stats: http://localhost:${PORT}/api/stats`);
-        
-        if (isDev) {
+    await initializeEngines();
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM received, shutting down gracefully...');
+        apiKeys.flushUsage();
+        process.exit(0);
+    });
+
+    process.on('SIGINT', () => {
+        console.log('SIGINT received, shutting down gracefully...');
+        apiKeys.flushUsage();
+        process.exit(0);
+    });
+
+    return app.listen(config.port, config.host ?? undefined, () => {
+        const host = config.host ?? 'localhost';
+        console.log(`🚀 Bird Data API Server running on port ${config.port}`);
+        for (const { name, prefix } of datasets) {
+            const base = `http://${host}:${config.port}${prefix}`;
+            console.log(`🐦 Dataset ${name}:`);
+            console.log(`   📖 API Documentation: ${base}/api/docs`);
+            console.log(`   🔍 Health Check: ${base}/api/health`);
+            console.log(`   📊 Dataset Stats: ${base}/api/stats`);
+            console.log(`   🤖 MCP Endpoint: ${base}/mcp`);
+        }
+
+        if (config.isDev) {
             console.log('🛠️  Running in development mode (higher rate limits)');
         }
+        if (config.watchData) {
+            console.log('👀 Watching data file for changes');
+        }
     });
 }
 
-// Start the server
-startServer().catch(console.error); 
\ No newline at end of file
+export { app, config, initializeEngines, startServer };
+
+// Start the server when run directly; importing the module only builds the app
+if (import.meta.url === `file://${process.argv[1]}`) {
+    startServer().catch((error) => {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    });
+} 
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { normalizeName } from './fuzzySearch.js';
+
+/**
+ * Sorted-array prefix index for name autocomplete
+ */
+
+/**
+ * Index of the first entry whose key is >= the prefix
+ * @param {Array} entries - Entries sorted by key
+ * @param {string} prefix - Normalized prefix
+ * @returns {number} Lower bound position
+ */
+function lowerBound(entries, prefix) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (entries[mid].key < prefix) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+const compareKeys = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : a.order - b.order);
+
+class PrefixIndex {
+    /**
+     * @param {Array} records - Records to index
+     * @param {Array} fields - Name fields, in the order their names should be preferred
+     */
+    constructor(records, fields) {
+        // Whole names are offered before names that only match at a later word
+        this.fullNames = [];
+        this.wordStarts = [];
+
+        let order = 0;
+        for (const record of records) {
+            for (const field of fields) {
+                const value = record[field];
+                if (typeof value !== 'string' || value === '') {
+                    continue;
+                }
+                const suggestion = {
+                    name: value,
+                    nameSource: field,
+                    scientificName: record.Scientific_name,
+                    taxonRank: record.Taxon_rank
+                };
+                const normalized = normalizeName(value);
+                this.fullNames.push({ key: normalized, order, suggestion });
+
+                let wordStart = normalized.indexOf(' ');
+                while (wordStart !== -1) {
+                    this.wordStarts.push({ key: normalized.slice(wordStart + 1), order, suggestion });
+                    wordStart = normalized.indexOf(' ', wordStart + 1);
+                }
+                order++;
+            }
+        }
+
+        this.fullNames.sort(compareKeys);
+        this.wordStarts.sort(compareKeys);
+    }
+
+    /**
+     * Names starting with a prefix (or with a word starting with it)
+     * @param {string} prefix - Typed prefix
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Suggestions as { name, nameSource, scientificName, taxonRank }
+     */
+    suggest(prefix, limit = 10) {
+        const normalized = normalizeName(prefix);
+        if (normalized === '') {
+            return [];
+        }
+
+        const results = [];
+        const seen = new Set();
+        for (const entries of [this.fullNames, this.wordStarts]) {
+            for (let i = lowerBound(entries, normalized); i < entries.length && results.length < limit; i++) {
+                const { key, suggestion } = entries[i];
+                if (!key.startsWith(normalized)) {
+                    break;
+                }
+                // The same name often appears under several authorities for one taxon
+                const dedupeKey = `${suggestion.name}\u0000${suggestion.scientificName}`;
+                if (!seen.has(dedupeKey)) {
+                    seen.add(dedupeKey);
+                    results.push(suggestion);
+                }
+            }
+        }
+        return results;
+    }
+}
+
+export { PrefixIndex };
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { validateBirdData } from './birdQueryEngine.js';
+import { formatCsv } from './csv.js';
+
+/**
+ * Compare two versions of the bird dataset by Scientific_name
+ */
+
+const NAME_AUTHORITIES = {
+    English_name_AviList: 'AviList',
+    English_name_Clements_v2024: 'Clements',
+    English_name_BirdLife_v9: 'BirdLife'
+};
+
+const CSV_COLUMNS = ['change', 'Scientific_name', 'Taxon_rank', 'field', 'authority', 'from', 'to'];
+
+/**
+ * Index records by scientific name, keeping the first record for each name
+ * @param {Array} records - Bird records
+ * @returns {Map} Scientific name to record
+ */
+function byScientificName(records) {
+    const index = new Map();
+    for (const record of records) {
+        if (!index.has(record.Scientific_name)) {
+            index.set(record.Scientific_name, record);
+        }
+    }
+    return index;
+}
+
+/**
+ * Short description of a taxon for added/removed lists
+ * @param {Object} record - Bird record
+ * @returns {Object} Taxon summary
+ */
+function summarize(record) {
+    return {
+        Scientific_name: record.Scientific_name,
+        Taxon_rank: record.Taxon_rank,
+        Order: record.Order,
+        Family: record.Family,
+        English_name_AviList: record.English_name_AviList
+    };
+}
+
+/**
+ * Diff two datasets
+ * @param {Array} fromRecords - Older dataset
+ * @param {Array} toRecords - Newer dataset
+ * @returns {Object} { summary, added, removed, renamed, reassigned, iucnChanges }
+ */
+function diffDatasets(fromRecords, toRecords) {
+    const before = byScientificName(fromRecords);
+    const after = byScientificName(toRecords);
+
+    const added = [];
+    const removed = [];
+    const renamed = [];
+    const reassigned = [];
+    const iucnChanges = [];
+
+    for (const [name, record] of before) {
+        if (!after.has(name)) {
+            removed.push(summarize(record));
+        }
+    }
+
+    for (const [name, next] of after) {
+        const previous = before.get(name);
+        if (!previous) {
+            added.push(summarize(next));
+            continue;
+        }
+
+        const base = { Scientific_name: name, Taxon_rank: next.Taxon_rank };
+
+        for (const [field, authority] of Object.entries(NAME_AUTHORITIES)) {
+            const from = previous[field] ?? '';
+            const to = next[field] ?? '';
+            if (from !== to) {
+                renamed.push({ ...base, field, authority, from, to });
+            }
+        }
+
+        for (const field of ['Order', 'Family']) {
+            const from = previous[field] ?? '';
+            const to = next[field] ?? '';
+            if (from !== to) {
+                reassigned.push({ ...base, field, from, to });
+            }
+        }
+
+        const fromCategory = previous.IUCN_Red_List_Category ?? '';
+        const toCategory = next.IUCN_Red_List_Category ?? '';
+        if (fromCategory !== toCategory) {
+            iucnChanges.push({ ...base, field: 'IUCN_Red_List_Category', from: fromCategory, to: toCategory });
+        }
+    }
+
+    return {
+        summary: {
+            fromRecords: fromRecords.length,
+            toRecords: toRecords.length,
+            added: added.length,
+            removed: removed.length,
+            renamed: renamed.length,
+            reassigned: reassigned.length,
+            iucnChanges: iucnChanges.length
+        },
+        added,
+        removed,
+        renamed,
+        reassigned,
+        iucnChanges
+    };
+}
+
+/**
+ * Flatten a diff into one CSV row per change
+ * @param {Object} diff - Result of diffDatasets
+ * @returns {string} CSV text
+ */
+function diffToCsv(diff) {
+    const rows = [
+        ...diff.added.map(taxon => ({ change: 'added', ...taxon })),
+        ...diff.removed.map(taxon => ({ change: 'removed', ...taxon })),
+        ...diff.renamed.map(change => ({ change: 'renamed', ...change })),
+        ...diff.reassigned.map(change => ({ change: 'reassigned', ...change })),
+        ...diff.iucnChanges.map(change => ({ change: 'iucn', ...change }))
+    ];
+    return formatCsv(rows, CSV_COLUMNS);
+}
+
+/**
+ * Read and validate a birdIndex file
+ * @param {string} file - Path to the JSON file
+ * @returns {Array} Bird records
+ */
+async function loadDatasetFile(file) {
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    validateBirdData(data);
+    return data;
+}
+
+/**
+ * Named dataset versions stored as <name>.json files in one directory
+ */
+class DatasetLibrary {
+    /**
+     * @param {string} directory - Directory holding the dataset files
+     */
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.cache = new Map();
+    }
+
+    /**
+     * List available dataset names
+     * @returns {Array} Dataset names
+     */
+    async list() {
+        try {
+            const files = await fs.promises.readdir(this.directory);
+            return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Load a dataset by name, reusing the parsed copy until the file changes
+     * @param {string} name - Dataset name (file name without .json)
+     * @returns {Array} Bird records
+     */
+    async load(name) {
+        if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+            throw new Error(`Invalid dataset name: ${name}`);
+        }
+
+        const file = path.join(this.directory, `${name}.json`);
+        let stats;
+        try {
+            stats = await fs.promises.stat(file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Dataset not found: ${name}`);
+            }
+            throw error;
+        }
+
+        const cached = this.cache.get(name);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.records;
+        }
+
+        const records = await loadDatasetFile(file);
+        this.cache.set(name, { mtimeMs: stats.mtimeMs, records });
+        return records;
+    }
+}
+
+/**
+ * Command line entry point
+ */
+async function runCli() {
+    const args = process.argv.slice(2);
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const format = args.includes('--csv') ? 'csv' : 'json';
+    const outIndex = args.indexOf('--out');
+    const out = outIndex !== -1 ? args[outIndex + 1] : null;
+    const [fromFile, toFile] = files.filter(file => file !== out);
+
+    if (!fromFile || !toFile) {
+        console.error('Usage: node taxonomyDiff.js <from.json> <to.json> [--csv] [--out file]');
+        process.exit(1);
+    }
+
+    const diff = diffDatasets(await loadDatasetFile(fromFile), await loadDatasetFile(toFile));
+    const output = format === 'csv' ? diffToCsv(diff) : JSON.stringify(diff, null, 2);
+
+    if (out) {
+        await fs.promises.writeFile(out, output);
+        const { summary } = diff;
+        console.log(`✅ ${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ${summary.reassigned} reassigned, ${summary.iucnChanges} IUCN changes → ${out}`);
+    } else {
+        process.stdout.write(format === 'csv' ? output : `${output}\n`);
+    }
+}
+
+export { DatasetLibrary, diffDatasets, diffToCsv, loadDatasetFile };
+
+// CLI mode when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    runCli().catch((error) => {
+        console.error('❌ Diff failed:', error.message);
+        process.exit(1);
+    });
+}
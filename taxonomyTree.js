@@ -0,0 +1,147 @@
+/**
+ * Builds a nested Order → Family → species → subspecies tree from the flat bird records
+ */
+
+const UNASSIGNED = 'Unassigned';
+const NOT_ASSESSED = 'Not assessed';
+
+/**
+ * Create an internal tree node
+ * @param {string} rank - order, family, species or subspecies
+ * @param {string} name - Node name
+ * @param {Object} extra - Additional node fields
+ * @returns {Object} Tree node
+ */
+function createNode(rank, name, extra = {}) {
+    return {
+        rank,
+        name,
+        ...extra,
+        counts: { families: 0, species: 0, subspecies: 0, extinct: 0 },
+        iucn: {},
+        children: [],
+        childIndex: new Map()
+    };
+}
+
+/**
+ * Add a species record to the counts and IUCN rollup of every ancestor
+ * @param {Array} nodes - Ancestor nodes
+ * @param {Object} record - Species record
+ */
+function rollUpSpecies(nodes, record) {
+    const category = record.IUCN_Red_List_Category || NOT_ASSESSED;
+    for (const node of nodes) {
+        node.counts.species++;
+        node.iucn[category] = (node.iucn[category] ?? 0) + 1;
+        if (record.Extinct_or_possibly_extinct) {
+            node.counts.extinct++;
+        }
+    }
+}
+
+/**
+ * Build the full taxonomy tree
+ * @param {Array} records - Bird records
+ * @returns {Object} Root node with order children
+ */
+function buildTaxonomyTree(records) {
+    const root = createNode('root', 'Aves');
+    const familyNames = new Map();
+    const speciesByName = new Map();
+
+    for (const record of records) {
+        if (record.Taxon_rank === 'family' && record.Family_English_name) {
+            familyNames.set(record.Family, record.Family_English_name);
+        }
+    }
+
+    const ordered = [...records].sort((a, b) => (a.Sequence ?? 0) - (b.Sequence ?? 0));
+    let lastSpecies = null;
+    let lastSpeciesFamily = null;
+
+    for (const record of ordered) {
+        const rank = record.Taxon_rank;
+        if (rank !== 'species' && rank !== 'subspecies') {
+            continue;
+        }
+
+        const orderName = record.Order || UNASSIGNED;
+        const familyName = record.Family || UNASSIGNED;
+
+        let order = root.childIndex.get(orderName);
+        if (!order) {
+            order = createNode('order', orderName);
+            root.childIndex.set(orderName, order);
+            root.children.push(order);
+        }
+
+        let family = order.childIndex.get(familyName);
+        if (!family) {
+            family = createNode('family', familyName, { englishName: familyNames.get(familyName) ?? null });
+            order.childIndex.set(familyName, family);
+            order.children.push(family);
+            order.counts.families++;
+            root.counts.families++;
+        }
+
+        const leafFields = {
+            englishName: record.English_name_AviList || null,
+            sequence: record.Sequence,
+            iucnCategory: record.IUCN_Red_List_Category || null,
+            extinct: !!record.Extinct_or_possibly_extinct
+        };
+
+        if (rank === 'species') {
+            const species = createNode('species', record.Scientific_name, leafFields);
+            family.children.push(species);
+            speciesByName.set(record.Scientific_name, species);
+            lastSpecies = species;
+            lastSpeciesFamily = family;
+            rollUpSpecies([root, order, family], record);
+            continue;
+        }
+
+        // Subspecies attach to their binomial, falling back to the preceding species in sequence
+        const binomial = record.Scientific_name.split(' ').slice(0, 2).join(' ');
+        const parent = speciesByName.get(binomial) ?? (lastSpeciesFamily === family ? lastSpecies : null);
+        const subspecies = createNode('subspecies', record.Scientific_name, leafFields);
+        (parent ?? family).children.push(subspecies);
+        for (const node of [root, order, family, parent].filter(Boolean)) {
+            node.counts.subspecies++;
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Copy a node for output, limited to a number of levels below it
+ * @param {Object} node - Internal tree node
+ * @param {Object} options - { depth, includeIucn }
+ * @returns {Object} Serializable node
+ */
+function projectNode(node, { depth = Infinity, includeIucn = false } = {}) {
+    const { childIndex, children, iucn, counts, ...fields } = node;
+    const projected = { ...fields };
+
+    if (node.rank === 'root' || node.rank === 'order' || node.rank === 'family') {
+        projected.counts = { ...counts };
+        if (node.rank === 'family') {
+            delete projected.counts.families;
+        }
+        if (includeIucn) {
+            projected.iucn = { ...iucn };
+        }
+    } else if (node.rank === 'species') {
+        projected.counts = { subspecies: counts.subspecies };
+    }
+
+    if (children.length > 0 && depth > 0) {
+        projected.children = children.map(child => projectNode(child, { depth: depth - 1, includeIucn }));
+    }
+
+    return projected;
+}
+
+export { buildTaxonomyTree, projectNode };
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiKeyStore, PRIVILEGED_SCOPE, TIERS, hashKey } from '../apiKeys.js';
+
+describe('ApiKeyStore', () => {
+    let dir;
+    let file;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-keys-'));
+        file = path.join(dir, 'apiKeys.json');
+        store = new ApiKeyStore(file);
+    });
+
+    afterEach(() => {
+        clearTimeout(store.flushTimer);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores only the hash of a created key', () => {
+        const { key, record } = store.createKey({ name: 'batch', tier: 'batch', scopes: [PRIVILEGED_SCOPE] });
+        const saved = fs.readFileSync(file, 'utf8');
+        assert.ok(!saved.includes(key));
+        assert.ok(saved.includes(hashKey(key)));
+        assert.equal(store.authenticate(key), record);
+        assert.equal(store.authenticate('avk_unknown'), null);
+    });
+
+    it('rejects revoked keys', () => {
+        const { key, record } = store.createKey({ name: 'reader' });
+        store.revokeKey(record.id);
+        assert.equal(store.authenticate(key), null);
+        assert.throws(() => store.revokeKey('key_missing'), /not found/);
+    });
+
+    it('picks up keys written by another process', () => {
+        const { key } = new ApiKeyStore(file).createKey({ name: 'from cli' });
+        assert.equal(store.authenticate(key).name, 'from cli');
+    });
+
+    it('validates tiers, scopes and quotas', () => {
+        assert.throws(() => store.createKey({ name: 'x', tier: 'gold' }), /Unknown tier/);
+        assert.throws(() => store.createKey({ name: 'x', scopes: ['admin'] }), /Unknown scope/);
+        assert.throws(() => store.createKey({ name: 'x', dailyQuota: 0 }), /positive integer/);
+        assert.throws(() => store.createKey({ name: ' ' }), /name is required/);
+    });
+
+    it('enforces the daily quota and resets it the next UTC day', () => {
+        const { record } = store.createKey({ name: 'small', dailyQuota: 2 });
+        const day = new Date('2026-03-01T10:00:00Z');
+        assert.equal(store.recordRequest(record, day).allowed, true);
+        assert.equal(store.recordRequest(record, day).remaining, 0);
+        const refused = store.recordRequest(record, day);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.resetsAt, '2026-03-02T00:00:00.000Z');
+        assert.equal(store.recordRequest(record, new Date('2026-03-02T00:00:01Z')).allowed, true);
+    });
+
+    it('reports limits and usage without key hashes', () => {
+        const { record } = store.createKey({ name: 'std', tier: 'standard' });
+        store.recordRequest(record);
+        const [report] = store.usageReport();
+        assert.equal(report.hash, undefined);
+        assert.deepEqual(report.limits, TIERS.standard);
+        assert.equal(report.usage.today, 1);
+        assert.equal(report.usage.totalRequests, 1);
+    });
+
+    it('persists usage across restarts', () => {
+        const { record } = store.createKey({ name: 'persisted' });
+        store.recordRequest(record);
+        store.flushUsage();
+        const [report] = new ApiKeyStore(file).usageReport();
+        assert.equal(report.usage.totalRequests, 1);
+    });
+});
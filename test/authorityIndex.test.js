@@ -0,0 +1,97 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError } from '../birdQueryEngine.js';
+import { AuthorityIndex, parseAuthority } from '../authorityIndex.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('parseAuthority', () => {
+    const cases = [
+        ['Linnaeus, 1758', { authors: ['Linnaeus'], year: 1758, describedInOtherGenus: false }],
+        ['(Temminck, 1823)', { authors: ['Temminck'], year: 1823, describedInOtherGenus: true }],
+        ['(Temminck & Schlegel, 1845)', { authors: ['Temminck', 'Schlegel'], year: 1845, describedInOtherGenus: true }],
+        ['Hombron, Jacquinot & Pucheran, 1841', { authors: ['Hombron', 'Jacquinot', 'Pucheran'], year: 1841, describedInOtherGenus: false }],
+        ['Sclater, PL, 1858', { authors: ['Sclater, PL'], year: 1858, describedInOtherGenus: false }],
+        ['Cabanis in Heine, 1851', { authors: ['Cabanis'], year: 1851, describedInOtherGenus: false }],
+        ['Statius Müller, 1776', { authors: ['Statius Müller'], year: 1776, describedInOtherGenus: false }],
+        ['Gould', { authors: ['Gould'], year: null, describedInOtherGenus: false }]
+    ];
+
+    for (const [input, expected] of cases) {
+        it(`parses ${JSON.stringify(input)}`, () => {
+            assert.deepEqual(parseAuthority(input), expected);
+        });
+    }
+
+    it('returns null for an empty authority', () => {
+        assert.equal(parseAuthority(''), null);
+        assert.equal(parseAuthority(undefined), null);
+    });
+});
+
+describe('AuthorityIndex', () => {
+    const species = (Scientific_name, Authority) => ({ Scientific_name, Authority, Taxon_rank: 'species' });
+    const index = new AuthorityIndex([
+        species('A', 'Linnaeus, 1758'),
+        species('B', '(Linnaeus, 1766)'),
+        species('C', 'Temminck & Schlegel, 1845'),
+        species('D', '(Temminck, 1823)'),
+        { ...species('E', 'Linnaeus, 1758'), Taxon_rank: 'subspecies' },
+        species('F', 'Gould')
+    ]);
+
+    it('filters by inclusive year range and author', () => {
+        assert.deepEqual(index.described({ from: 1758, to: 1766 }).map(({ record }) => record.Scientific_name), ['A', 'B', 'E']);
+        assert.deepEqual(index.described({ author: 'temminck' }).map(({ record }) => record.Scientific_name), ['C', 'D']);
+    });
+
+    it('counts species per decade', () => {
+        assert.deepEqual(index.decades(), [
+            { decade: 1750, species: 1, describedInOtherGenus: 0 },
+            { decade: 1760, species: 1, describedInOtherGenus: 1 },
+            { decade: 1820, species: 1, describedInOtherGenus: 1 },
+            { decade: 1840, species: 1, describedInOtherGenus: 0 }
+        ]);
+    });
+
+    it('ranks authors, crediting every co-author', () => {
+        assert.deepEqual(index.topAuthors({ limit: 2 }), [
+            { author: 'Linnaeus', species: 2, describedInOtherGenus: 1, firstYear: 1758, lastYear: 1766 },
+            { author: 'Temminck', species: 2, describedInOtherGenus: 1, firstYear: 1823, lastYear: 1845 }
+        ]);
+        assert.deepEqual(index.topAuthors({ from: 1840 }).map(a => a.author), ['Schlegel', 'Temminck']);
+    });
+});
+
+describe('BirdQueryEngine authority analytics', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    it('finds birds described in a year range', async () => {
+        const results = await engine.getByDescriptionYear({ from: 1870, to: 1900 });
+        assert.deepEqual(results.map(r => r.Authority), ['Salvadori, 1875', '(Reichenow, 1892)']);
+    });
+
+    it('adds the parsed authority to the bird report', async () => {
+        const report = await engine.getBirdReport('Bubo bubo');
+        assert.deepEqual(report.authority, { authors: ['Linnaeus'], year: 1758, describedInOtherGenus: true });
+    });
+
+    it('reports decades and top authors', async () => {
+        const [first] = await engine.getDescriptionsByDecade();
+        assert.equal(first.decade, 1750);
+        const [top] = await engine.getTopAuthors({ limit: 1 });
+        assert.equal(top.author, 'Linnaeus');
+    });
+
+    it('rejects invalid years and limits', async () => {
+        await assert.rejects(engine.getByDescriptionYear({ from: Number('x') }), QueryValidationError);
+        await assert.rejects(engine.getDescriptionsByDecade({ from: 1900, to: 1800 }), QueryValidationError);
+        await assert.rejects(engine.getTopAuthors({ limit: 0 }), QueryValidationError);
+        await assert.rejects(engine.getByDescriptionYear({ from: 1758, author: '' }), QueryValidationError);
+    });
+});
@@ -0,0 +1,353 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError, escapeRegex } from '../birdQueryEngine.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+// Inputs that would break or rewrite a query if pasted into a JSONata string
+const HOSTILE_STRINGS = [
+    '"] or true or ["',
+    '" or Scientific_name != "',
+    '.*',
+    '(',
+    '[a-z',
+    '\\',
+    '/i or true or /x',
+    '$count($)',
+    '*) or (*'
+];
+
+describe('BirdQueryEngine query construction', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    describe('escapeRegex', () => {
+        it('escapes every regex metacharacter', () => {
+            const input = '.*+?^${}()|[]\\/';
+            assert.ok(new RegExp(`^${escapeRegex(input)}$`).test(input));
+        });
+    });
+
+    describe('searchByName', () => {
+        it('still finds partial, case-insensitive matches', async () => {
+            const results = await engine.searchByName('EAGLE');
+            assert.ok(results.some(b => b.Scientific_name === 'Aquila chrysaetos'));
+        });
+
+        it('still finds exact matches', async () => {
+            const results = await engine.searchByName('Golden Eagle', true);
+            assert.deepEqual(results.map(b => b.Scientific_name), ['Aquila chrysaetos']);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`treats ${JSON.stringify(input)} as a literal`, async () => {
+                assert.deepEqual(await engine.searchByName(input), []);
+                assert.deepEqual(await engine.searchByName(input, true), []);
+            });
+        }
+
+        it('matches punctuation literally', async () => {
+            const results = await engine.searchByName('Fish-Eagle');
+            assert.deepEqual(results.map(b => b.Scientific_name), ['Haliaeetus vociferoides']);
+        });
+
+        it('rejects non-string terms', async () => {
+            await assert.rejects(engine.searchByName(['eagle']), QueryValidationError);
+            await assert.rejects(engine.searchByName(''), QueryValidationError);
+        });
+    });
+
+    describe('reconcileNames', () => {
+        it('maps names between authorities in input order', async () => {
+            const results = await engine.reconcileNames(['Eurasian Blackbird', 'Madagascar Fish-Eagle'], 'clements', 'avilist');
+            assert.deepEqual(results.map(result => result.targetName), ['Common Blackbird', 'Madagascar Fish Eagle']);
+        });
+
+        it('rejects unknown authorities', async () => {
+            await assert.rejects(engine.reconcileNames(['Dodo'], 'ebird', 'avilist'), QueryValidationError);
+            await assert.rejects(engine.reconcileNames(['Dodo'], 'avilist', '__proto__'), QueryValidationError);
+        });
+
+        it('rejects non-string names', async () => {
+            await assert.rejects(engine.reconcileNames([{}], 'clements', 'avilist'), QueryValidationError);
+            await assert.rejects(engine.reconcileNames(['x'.repeat(101)], 'clements', 'avilist'), /at most 100 characters/);
+        });
+
+        it('limits how many names may need fuzzy matching', async () => {
+            await assert.rejects(engine.reconcileNames(['Goldn Egle', 'Not a bird'], 'avilist', 'clements', { maxFuzzy: 1 }), /Too many names need fuzzy matching/);
+            const [result] = await engine.reconcileNames(['Goldn Egle', 'Golden Eagle'], 'avilist', 'clements', { maxFuzzy: 1 });
+            assert.equal(result.matchType, 'fuzzy');
+        });
+    });
+
+    describe('getByTaxonomy', () => {
+        it('filters by a valid level', async () => {
+            const results = await engine.getByTaxonomy('Family', 'Accipitridae');
+            assert.equal(results.length, 3);
+        });
+
+        it('rejects levels outside the allowed list', async () => {
+            await assert.rejects(engine.getByTaxonomy('Order] or [true', 'x'), QueryValidationError);
+            await assert.rejects(engine.getByTaxonomy('Scientific_name', 'x'), QueryValidationError);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`treats value ${JSON.stringify(input)} as a literal`, async () => {
+                assert.deepEqual(await engine.getByTaxonomy('Order', input), []);
+            });
+        }
+    });
+
+    describe('getByIUCNCategory', () => {
+        it('filters by category', async () => {
+            const results = await engine.getByIUCNCategory('CR');
+            assert.deepEqual(results.map(b => b.Scientific_name), ['Haliaeetus vociferoides']);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`treats ${JSON.stringify(input)} as a literal`, async () => {
+                assert.deepEqual(await engine.getByIUCNCategory(input), []);
+            });
+        }
+    });
+
+    describe('getByRange', () => {
+        it('matches a region case-insensitively', async () => {
+            const results = await engine.getByRange('madagascar');
+            assert.deepEqual(results.map(b => b.Scientific_name), ['Haliaeetus vociferoides']);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`treats ${JSON.stringify(input)} as a literal`, async () => {
+                assert.deepEqual(await engine.getByRange(input), []);
+            });
+        }
+    });
+
+    describe('getByAuthority', () => {
+        it('matches parentheses literally', async () => {
+            const results = await engine.getByAuthority('(Linnaeus');
+            assert.ok(results.length > 0);
+            assert.ok(results.every(b => b.Authority.startsWith('(Linnaeus')));
+        });
+
+        // Authorities legitimately contain "(", so skip that one here
+        for (const input of HOSTILE_STRINGS.filter(value => value !== '(')) {
+            it(`treats ${JSON.stringify(input)} as a literal`, async () => {
+                assert.deepEqual(await engine.getByAuthority(input), []);
+            });
+        }
+    });
+
+    describe('getUniqueValues', () => {
+        it('returns distinct values for a real column', async () => {
+            const values = await engine.getUniqueValues('IUCN_Red_List_Category');
+            assert.deepEqual([...values].sort(), ['CR', 'EX', 'LC', 'VU']);
+        });
+
+        for (const field of ['$', 'Order[$ != ""]', '$count($)', 'Nonexistent', '']) {
+            it(`rejects field ${JSON.stringify(field)}`, async () => {
+                await assert.rejects(engine.getUniqueValues(field), QueryValidationError);
+            });
+        }
+    });
+
+    describe('groupBy', () => {
+        it('groups by a real column', async () => {
+            const result = await engine.groupBy('Order');
+            const accipitriformes = result.Order.find(g => g.name === 'Accipitriformes');
+            assert.equal(accipitriformes.count, 3);
+        });
+
+        for (const field of ['Order": 1, "x', 'Order = $group or true', '$string(1)']) {
+            it(`rejects field ${JSON.stringify(field)}`, async () => {
+                await assert.rejects(engine.groupBy(field), QueryValidationError);
+            });
+        }
+    });
+
+    describe('getParsedAuthority and getRecordRegions', () => {
+        it('read a record\'s authority and regions from the indexes', async () => {
+            const [bird] = await engine.searchByName('Aquila chrysaetos', true);
+            assert.deepEqual((await engine.getParsedAuthority(bird)).authors, ['Linnaeus']);
+            assert.ok((await engine.getRecordRegions(bird)).some(region => region.name === 'Europe' && region.type));
+        });
+    });
+
+    describe('getBirdReport', () => {
+        it('returns the bird and related family members as an array', async () => {
+            const report = await engine.getBirdReport('Aquila chrysaetos');
+            assert.equal(report.bird.English_name_AviList, 'Golden Eagle');
+            assert.ok(Array.isArray(report.relatedInFamily));
+            assert.equal(report.relatedInFamily.length, 2);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`reports ${JSON.stringify(input)} as not found`, async () => {
+                await assert.rejects(engine.getBirdReport(input), /Bird not found/);
+            });
+        }
+    });
+
+    describe('customQuery', () => {
+        it('combines equality, list and wildcard filters', async () => {
+            const results = await engine.customQuery({
+                Order: 'Accipitriformes',
+                IUCN_Red_List_Category: ['CR', 'VU'],
+                Scientific_name: 'H*'
+            });
+            assert.deepEqual(results.map(b => b.Scientific_name), ['Haliaeetus vociferoides', 'Harpyopsis novaeguineae']);
+        });
+
+        it('rejects unknown field names', async () => {
+            await assert.rejects(engine.customQuery({ 'Order = "x" or true': 'x' }), QueryValidationError);
+            await assert.rejects(engine.customQuery({ Nonexistent: 'x' }), QueryValidationError);
+        });
+
+        it('rejects nested values', async () => {
+            await assert.rejects(engine.customQuery({ Order: { $ne: 'x' } }), QueryValidationError);
+            await assert.rejects(engine.customQuery({ Order: [{ a: 1 }] }), QueryValidationError);
+        });
+
+        it('rejects empty filters', async () => {
+            await assert.rejects(engine.customQuery({}), QueryValidationError);
+        });
+
+        for (const input of HOSTILE_STRINGS) {
+            it(`treats ${JSON.stringify(input)} as a literal value`, async () => {
+                assert.deepEqual(await engine.customQuery({ Order: input }), []);
+                assert.deepEqual(await engine.customQuery({ Order: [input] }), []);
+            });
+        }
+
+        it('escapes regex metacharacters around wildcards', async () => {
+            assert.deepEqual(await engine.customQuery({ Scientific_name: '(*' }), []);
+            assert.deepEqual(await engine.customQuery({ Scientific_name: '.*' }), []);
+        });
+    });
+});
+
+describe('BirdQueryEngine queries', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    it('evaluates JSONata with bindings', async () => {
+        assert.equal(await engine.executeQuery('$count($[Order = $order])', { order: 'Passeriformes' }), 4);
+        await assert.rejects(engine.executeQuery('$[Order = '));
+    });
+
+    it('evaluates sandboxed queries', async () => {
+        assert.equal(await engine.executeSandboxedQuery('$count($)'), 13);
+    });
+
+    it('reports dataset statistics', async () => {
+        const stats = await engine.getDatasetStats();
+        assert.equal(stats.totalRecords, 13);
+        assert.equal(stats.totalOrders, 5);
+        assert.equal(stats.totalSpecies, 9);
+        assert.equal(stats.extinctSpecies, 1);
+    });
+
+    it('finds misspelled names', async () => {
+        const [hit] = await engine.fuzzySearchByName('Goldn Egle');
+        assert.equal(hit.bird.Scientific_name, 'Aquila chrysaetos');
+        await assert.rejects(engine.fuzzySearchByName('eagle', { minScore: 2 }), QueryValidationError);
+        await assert.rejects(engine.fuzzySearchByName('eagle '.repeat(20)), /at most 100 characters/);
+    });
+
+    it('suggests names by prefix', async () => {
+        const suggestions = await engine.suggestNames('gold', 1);
+        assert.deepEqual(suggestions.map(s => s.name), ['Golden Eagle']);
+        await assert.rejects(engine.suggestNames('gold', 0), QueryValidationError);
+    });
+
+    it('builds the taxonomy tree and rejects unknown orders', async () => {
+        const tree = await engine.getTaxonomyTree();
+        assert.equal(tree.children.length, 5);
+        await assert.rejects(engine.getTaxonomyTree({ order: 'Nope' }), /Order not found/);
+        await assert.rejects(engine.getTaxonomyTree({ order: 'Strigiformes', family: 'Nope' }), /Family not found/);
+    });
+
+    it('returns extinct species as an array', async () => {
+        const results = await engine.getExtinctSpecies();
+        assert.deepEqual(results.map(b => b.Scientific_name), ['Raphus cucullatus']);
+    });
+
+    it('samples distinct records without exceeding the dataset', async () => {
+        const sample = await engine.getRandomSample(50);
+        assert.equal(sample.length, 13);
+        assert.equal(new Set(sample.map(b => b.Sequence)).size, 13);
+    });
+
+    it('handles records without range, authority or IUCN fields', async () => {
+        const report = await engine.getBirdReport('Turdus merula azorensis');
+        assert.equal(report.authority, null);
+        assert.deepEqual(report.regions, []);
+        assert.ok(!(await engine.getByRange('Azores')).some(b => b.Sequence === 13));
+        assert.ok(!(await engine.getUniqueValues('IUCN_Red_List_Category')).includes(undefined));
+    });
+});
+
+describe('BirdQueryEngine reload', () => {
+    let dir;
+    let dataFile;
+    let engine;
+    const records = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-reload-'));
+        dataFile = path.join(dir, 'birdIndex.json');
+        fs.writeFileSync(dataFile, JSON.stringify(records));
+        engine = new BirdQueryEngine(dataFile);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports a version derived from the file contents and the checksum', () => {
+        assert.match(engine.datasetInfo.checksum, /^[0-9a-f]{64}$/);
+        assert.equal(engine.datasetInfo.version, engine.datasetInfo.checksum.slice(0, 12));
+        assert.equal(engine.datasetInfo.reloadCount, 0);
+        assert.equal(engine.datasetInfo.recordCount, records.length);
+        assert.equal(new BirdQueryEngine(dataFile).datasetInfo.version, engine.datasetInfo.version);
+    });
+
+    it('keeps the dataset when the file is unchanged', async () => {
+        const before = engine.datasetInfo;
+        const { reloaded, dataset } = await engine.reload();
+        assert.equal(reloaded, false);
+        assert.equal(dataset, before);
+    });
+
+    it('swaps in a changed file and rebuilds the indexes', async () => {
+        const before = engine.datasetInfo;
+        fs.writeFileSync(dataFile, JSON.stringify(records.slice(0, 5)));
+        const { reloaded, dataset } = await engine.reload();
+        assert.equal(reloaded, true);
+        assert.notEqual(dataset.version, before.version);
+        assert.equal(dataset.reloadCount, 1);
+        assert.equal(engine.birdData.length, 5);
+        assert.deepEqual(await engine.searchByName('Dodo'), []);
+    });
+
+    it('keeps the current dataset when the new file is invalid', async () => {
+        const before = engine.datasetInfo;
+        fs.writeFileSync(dataFile, '[{"x": 1}]');
+        await assert.rejects(engine.reload(), /Invalid bird data/);
+        fs.writeFileSync(dataFile, '{ not json');
+        await assert.rejects(engine.reload(), SyntaxError);
+        assert.equal(engine.datasetInfo, before);
+        assert.equal(engine.birdData.length, 5);
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine } from '../birdQueryEngine.js';
+import { matchesToCsv, parseChecklistInput, parseMultipartForm, summarizeMatches } from '../checklistMatcher.js';
+import { parseCsv } from '../csv.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('parseChecklistInput', () => {
+    it('reads one name per line, skipping blanks and comments', () => {
+        assert.deepEqual(parseChecklistInput('Dodo\r\n\n# seen twice\n  Golden Eagle  \n'), [
+            { line: 1, input: 'Dodo' },
+            { line: 4, input: 'Golden Eagle' }
+        ]);
+    });
+
+    it('reads the name column of a CSV', () => {
+        const csv = 'count,Common name,notes\n2,Dodo,"late, heard only"\n1,,\n3,Golden Eagle,\n';
+        assert.deepEqual(parseChecklistInput(csv, { csv: true }), [
+            { line: 2, input: 'Dodo' },
+            { line: 4, input: 'Golden Eagle' }
+        ]);
+    });
+
+    it('reads an explicit CSV column and rejects missing ones', () => {
+        assert.deepEqual(parseChecklistInput('a,b\nx,Dodo\n', { csv: true, column: 'b' }), [{ line: 2, input: 'Dodo' }]);
+        assert.throws(() => parseChecklistInput('a,b\nx,Dodo\n', { csv: true, column: 'c' }), /Column not found: c/);
+    });
+
+    it('accepts a JSON array or a names object', () => {
+        assert.deepEqual(parseChecklistInput(['Dodo', ' ']), [{ line: 1, input: 'Dodo' }]);
+        assert.deepEqual(parseChecklistInput({ names: ['Dodo'] }), [{ line: 1, input: 'Dodo' }]);
+        assert.throws(() => parseChecklistInput({ names: [1] }), /index 0/);
+        assert.throws(() => parseChecklistInput({}), /Expected plain text/);
+    });
+});
+
+describe('parseMultipartForm', () => {
+    it('separates fields from uploaded files', async () => {
+        const form = new FormData();
+        form.append('column', 'Common name');
+        form.append('file', new Blob(['Common name\nGöldhähnchen\r\n'], { type: 'text/csv' }), 'list.csv');
+        const request = new Request('http://localhost/', { method: 'POST', body: form });
+        const { fields, files } = parseMultipartForm(Buffer.from(await request.arrayBuffer()), request.headers.get('Content-Type'));
+        assert.deepEqual(fields, { column: 'Common name' });
+        assert.deepEqual(files.file, { filename: 'list.csv', contentType: 'text/csv', content: 'Common name\nGöldhähnchen\r\n' });
+    });
+
+    it('rejects bodies without a boundary or closing delimiter', () => {
+        assert.throws(() => parseMultipartForm(Buffer.from('x'), 'multipart/form-data'), /Missing multipart boundary/);
+        assert.throws(() => parseMultipartForm(Buffer.from('--b\r\n\r\nx\r\n'), 'multipart/form-data; boundary=b'), /Malformed multipart body/);
+    });
+});
+
+describe('matching a checklist', () => {
+    let engine;
+    let results;
+
+    before(async () => {
+        engine = new BirdQueryEngine(FIXTURE);
+        results = await engine.matchNames(['Madagascar Fish-Eagle', 'eurasian eagle owl', 'Golden Egle', 'Eagle', 'Not a bird']);
+    });
+
+    it('resolves names from mixed authorities, preferring verbatim matches', () => {
+        assert.deepEqual(results.slice(0, 3).map(r => [r.status, r.matchType, r.matchedAuthority, r.record.Scientific_name]), [
+            ['matched', 'exact', 'clements', 'Haliaeetus vociferoides'],
+            ['matched', 'normalized', 'avilist', 'Bubo bubo'],
+            ['matched', 'fuzzy', 'avilist', 'Aquila chrysaetos']
+        ]);
+    });
+
+    it('returns ambiguous sets and unmatched names', () => {
+        assert.equal(results[3].status, 'ambiguous');
+        assert.equal(results[3].record, null);
+        assert.ok(results[3].candidates.length > 1);
+        assert.equal(results[4].status, 'unmatched');
+    });
+
+    it('summarizes match quality', () => {
+        const stats = summarizeMatches(results);
+        assert.equal(stats.total, 5);
+        assert.equal(stats.matched, 3);
+        assert.equal(stats.ambiguous, 1);
+        assert.equal(stats.unmatched, 1);
+        assert.deepEqual(stats.byMatchType, { exact: 1, normalized: 1, fuzzy: 1 });
+        assert.equal(stats.matchRate, 0.6);
+        assert.ok(stats.averageScore > 0.9 && stats.averageScore < 1);
+    });
+
+    it('formats one CSV row per name', () => {
+        const [header, ...rows] = parseCsv(matchesToCsv(results.map((r, i) => ({ line: i + 1, ...r }))));
+        assert.equal(header[0], 'line');
+        assert.equal(rows.length, 5);
+        assert.equal(rows[0][header.indexOf('Scientific_name')], 'Haliaeetus vociferoides');
+        assert.ok(rows[3][header.indexOf('candidates')].includes('; '));
+    });
+
+    it('bounds the work per request', async () => {
+        await assert.rejects(engine.matchNames(['Golden Eagle', 'x'.repeat(101)]), /Invalid name at index 1: at most 100 characters/);
+        await assert.rejects(engine.matchNames(['Golden Egle', 'Not a bird'], { maxFuzzy: 1 }), /Too many names need fuzzy matching: 2, at most 1/);
+        const [exact, fuzzy] = await engine.matchNames(['Madagascar Fish-Eagle', 'Golden Egle'], { maxFuzzy: 1 });
+        assert.deepEqual([exact.matchType, fuzzy.matchType], ['exact', 'fuzzy']);
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigError, loadConfig } from '../config.js';
+
+const APP_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+describe('loadConfig', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a config file and return its path
+     */
+    function writeConfig(name, contents) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return file;
+    }
+
+    /**
+     * Problems reported for a configuration
+     */
+    function problemsOf(options) {
+        try {
+            loadConfig(options);
+        } catch (error) {
+            assert.ok(error instanceof ConfigError);
+            return error.problems;
+        }
+        assert.fail('expected a ConfigError');
+    }
+
+    it('uses defaults with paths relative to the repository', () => {
+        const config = loadConfig({ env: {}, argv: [] });
+        assert.equal(config.port, 3022);
+        assert.equal(config.prefix, '/avibase-mcp');
+        assert.equal(config.bodyLimit, '10mb');
+        assert.deepEqual(config.rateLimit, { windowMinutes: 15, max: 100 });
+        assert.equal(config.sandbox.timeoutMs, 2000);
+        assert.deepEqual(config.sandbox.blockedFunctions, ['eval']);
+        assert.deepEqual(config.datasets, [{ name: 'default', dataFile: path.join(APP_DIR, 'birdIndex.json'), prefix: '/avibase-mcp' }]);
+    });
+
+    it('reads environment variables', () => {
+        const config = loadConfig({
+            env: { PORT: '8080', API_PREFIX: '/birds', DATA_FILE: 'data/birds.json', REQUIRE_API_KEY: 'true', QUERY_ALLOWED_FUNCTIONS: '$count, sum' },
+            argv: []
+        });
+        assert.equal(config.port, 8080);
+        assert.equal(config.prefix, '/birds');
+        assert.equal(config.requireApiKey, true);
+        assert.equal(config.dataFile, path.resolve('data/birds.json'));
+        assert.deepEqual(config.sandbox.allowedFunctions, ['count', 'sum']);
+    });
+
+    it('reads the config file, resolving paths from its directory, with the environment taking precedence', () => {
+        const file = writeConfig('config.json', { port: 4000, prefix: '', dataFile: 'birds.json', rateLimit: { max: 50 }, cache: { maxEntries: 0 } });
+        const config = loadConfig({ env: { CONFIG_FILE: file, PORT: '5000' }, argv: [] });
+        assert.equal(config.port, 5000);
+        assert.equal(config.prefix, '');
+        assert.equal(config.dataFile, path.join(dir, 'birds.json'));
+        assert.deepEqual(config.rateLimit, { windowMinutes: 15, max: 50 });
+        assert.equal(config.cache.maxEntries, 0);
+        assert.equal(config.configFile, file);
+    });
+
+    it('takes the config file and flags from the command line', () => {
+        const file = writeConfig('cli.json', { prefix: '/birds' });
+        const config = loadConfig({ env: {}, argv: ['--config', file, '--dev', '--watch-data'] });
+        assert.equal(config.prefix, '/birds');
+        assert.equal(config.rateLimit.max, 1000);
+        assert.equal(config.watchData, true);
+        assert.equal(config.isDev, true);
+        assert.deepEqual(problemsOf({ env: {}, argv: ['--config'] }), ['--config requires a file path']);
+    });
+
+    it('reports every invalid value at once', () => {
+        const file = writeConfig('bad.json', { port: '3022', bodyLimit: 10, prefix: '/birds/', colour: 'red', rateLimit: { max: 0, burst: 5 } });
+        const problems = problemsOf({ env: { CONFIG_FILE: file, CACHE_SIZE: '-1', REQUIRE_API_KEY: 'yes' }, argv: [] });
+        assert.equal(problems.length, 8);
+        assert.ok(problems.includes('colour: unknown setting'));
+        assert.ok(problems.includes('rateLimit.burst: unknown setting'));
+        assert.ok(problems.some(problem => problem.startsWith(`port in ${file}: expected an integer`)));
+        assert.ok(problems.some(problem => problem.startsWith('CACHE_SIZE: expected an integer')));
+        assert.ok(problems.some(problem => problem.startsWith('REQUIRE_API_KEY: expected true or false')));
+        assert.match(new ConfigError(problems).message, /^Invalid configuration:\n {2}- /);
+    });
+
+    it('rejects unreadable and malformed config files', () => {
+        assert.match(problemsOf({ env: { CONFIG_FILE: path.join(dir, 'missing.json') }, argv: [] })[0], /Cannot read config file/);
+        assert.match(problemsOf({ env: { CONFIG_FILE: writeConfig('broken.json', '{ port: 1 }') }, argv: [] })[0], /is not valid JSON/);
+        assert.match(problemsOf({ env: { CONFIG_FILE: writeConfig('list.json', '[]') }, argv: [] })[0], /must contain a JSON object/);
+    });
+
+    describe('datasets', () => {
+        it('serves several named datasets, under the main prefix by default', () => {
+            const file = writeConfig('datasets.json', {
+                prefix: '/birds',
+                datasets: [
+                    { name: 'aves', dataFile: 'aves.json', prefix: '/aves' },
+                    { name: 'clements-2023', dataFile: '/data/clements.json' }
+                ]
+            });
+            assert.deepEqual(loadConfig({ env: { CONFIG_FILE: file }, argv: [] }).datasets, [
+                { name: 'aves', dataFile: path.join(dir, 'aves.json'), prefix: '/aves' },
+                { name: 'clements-2023', dataFile: '/data/clements.json', prefix: '/birds/clements-2023' }
+            ]);
+        });
+
+        it('rejects invalid, duplicate and overlapping datasets', () => {
+            const file = writeConfig('bad-datasets.json', {
+                datasets: [
+                    { name: 'aves', dataFile: 'a.json', prefix: '/aves' },
+                    { name: 'aves', dataFile: 'b.json', prefix: '/other' },
+                    { name: 'nested', dataFile: 'c.json', prefix: '/aves/nested' },
+                    { name: 'bad name', dataFile: 'd.json' },
+                    { name: 'nofile', prefix: '/nofile', colour: 'red' }
+                ]
+            });
+            assert.deepEqual(problemsOf({ env: { CONFIG_FILE: file }, argv: [] }), [
+                'datasets[3].name: expected letters, digits, - or _, got "bad name"',
+                'datasets[4].colour: unknown setting',
+                'datasets[4] (nofile): expected a file path, got undefined',
+                'datasets: name aves is used twice',
+                'datasets: prefix /aves/nested of nested overlaps /aves of aves'
+            ]);
+            assert.deepEqual(problemsOf({ env: { CONFIG_FILE: writeConfig('empty.json', { datasets: [] }) }, argv: [] }), [
+                'datasets: expected a non-empty list of { name, dataFile, prefix }'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError } from '../birdQueryEngine.js';
+import { buildConservationAnalytics, rankThreatenedFamilies, summarizeConservation } from '../conservationAnalytics.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+const species = (Family, IUCN_Red_List_Category, extra = {}) => ({ Order: 'O1', Family, Taxon_rank: 'species', IUCN_Red_List_Category, ...extra });
+
+const RECORDS = [
+    { Order: 'O1', Family: 'F1', Taxon_rank: 'family' },
+    species('F1', 'CR'),
+    species('F1', 'EN'),
+    species('F1', 'LC'),
+    species('F1', ''),
+    { ...species('F1', 'VU'), Taxon_rank: 'subspecies' },
+    species('F2', 'EX', { Extinct_or_possibly_extinct: 'EX' }),
+    species('F2', 'VU')
+];
+
+describe('summarizeConservation', () => {
+    it('counts species per category with shares and a threat index', () => {
+        const summary = summarizeConservation('F1', RECORDS.filter(r => r.Family === 'F1'));
+        assert.equal(summary.species, 4);
+        assert.equal(summary.threatened, 2);
+        assert.equal(summary.threatIndex, 0.5);
+        assert.deepEqual(summary.categories.CR, { count: 1, share: 0.25 });
+        assert.deepEqual(summary.categories['Not assessed'], { count: 1, share: 0.25 });
+        assert.equal(summary.categories.VU, undefined);
+    });
+
+    it('handles a group without species', () => {
+        assert.deepEqual(summarizeConservation('empty', []), { name: 'empty', species: 0, extinct: 0, threatened: 0, threatIndex: 0, categories: {} });
+    });
+});
+
+describe('buildConservationAnalytics', () => {
+    const analytics = buildConservationAnalytics(RECORDS);
+
+    it('summarizes the dataset, orders and families', () => {
+        assert.equal(analytics.totals.species, 6);
+        assert.equal(analytics.totals.extinct, 1);
+        assert.deepEqual(analytics.orders.map(o => o.name), ['O1']);
+        assert.deepEqual(analytics.families.map(f => [f.name, f.order]), [['F1', 'O1'], ['F2', 'O1']]);
+    });
+
+    it('ranks families by threat index, skipping small ones', () => {
+        assert.deepEqual(rankThreatenedFamilies(analytics.families, { minSpecies: 1 }).map(f => f.name), ['F1', 'F2']);
+        assert.deepEqual(rankThreatenedFamilies(analytics.families, { minSpecies: 3 }).map(f => f.name), ['F1']);
+        assert.deepEqual(rankThreatenedFamilies(analytics.families, { minSpecies: 1, top: 1 }).map(f => f.name), ['F1']);
+    });
+});
+
+describe('BirdQueryEngine.getConservationAnalytics', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    it('reports per family and caches the summaries', async () => {
+        const { families, mostThreatenedFamilies } = await engine.getConservationAnalytics({ minSpecies: 1 });
+        const accipitridae = families.find(f => f.name === 'Accipitridae');
+        assert.equal(accipitridae.threatened, 2);
+        assert.equal(mostThreatenedFamilies[0].threatIndex, 1);
+        assert.equal(engine.getConservationSummaries(), engine.getConservationSummaries());
+    });
+
+    it('limits the report to one order', async () => {
+        const { totals, orders, families } = await engine.getConservationAnalytics({ order: 'Accipitriformes' });
+        assert.equal(totals.name, 'Accipitriformes');
+        assert.equal(orders.length, 1);
+        assert.ok(families.every(f => f.order === 'Accipitriformes'));
+        await assert.rejects(engine.getConservationAnalytics({ order: 'Nope' }), /Order not found/);
+    });
+
+    it('rejects invalid options', async () => {
+        await assert.rejects(engine.getConservationAnalytics({ top: 0 }), QueryValidationError);
+        await assert.rejects(engine.getConservationAnalytics({ minSpecies: Number('x') }), QueryValidationError);
+    });
+});
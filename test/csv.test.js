@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCsv, parseCsv } from '../csv.js';
+
+describe('parseCsv', () => {
+    it('handles quotes, embedded delimiters, newlines and CRLF', () => {
+        const text = '\uFEFFa,b\r\n"x, y","say ""hi"""\r\n"multi\nline",\r\n';
+        assert.deepEqual(parseCsv(text), [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '']]);
+    });
+
+    it('rejects unterminated quotes', () => {
+        assert.throws(() => parseCsv('"open'), /unterminated/);
+    });
+});
+
+describe('formatCsv', () => {
+    it('round-trips through parseCsv', () => {
+        const records = [{ a: 'x, y', b: 'say "hi"' }, { a: 'multi\nline', b: 3 }];
+        assert.deepEqual(parseCsv(formatCsv(records)), [['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '3']]);
+    });
+});
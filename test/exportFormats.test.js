@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../csv.js';
+import { DWC_TERMS, exportLines, negotiateFormat, toDarwinCore } from '../exportFormats.js';
+
+const RECORDS = [
+    { Sequence: 3, Taxon_rank: 'species', Order: 'Struthioniformes', Family: 'Struthionidae', Scientific_name: 'Struthio camelus', Authority: 'Linnaeus, 1758', English_name_AviList: 'Common Ostrich', Range: 'Africa,\n"sub-Saharan"' },
+    { Sequence: 4, Taxon_rank: 'subspecies', Order: 'Struthioniformes', Family: 'Struthionidae', Scientific_name: 'Struthio camelus camelus', Authority: 'Linnaeus, 1758', Extinct_or_possibly_extinct: 'extinct' }
+];
+
+/**
+ * Minimal stand-in for an Express request
+ */
+function fakeRequest(query, accept) {
+    return {
+        query,
+        accepts(types) {
+            return accept === undefined ? types[0] : types.find(type => type === accept) ?? false;
+        }
+    };
+}
+
+describe('negotiateFormat', () => {
+    it('prefers the format parameter', () => {
+        assert.equal(negotiateFormat(fakeRequest({ format: 'dwc' }, 'text/csv')), 'dwc');
+        assert.equal(negotiateFormat(fakeRequest({ format: 'json' }, 'text/csv')), 'json');
+        assert.equal(negotiateFormat(fakeRequest({ format: 'xml' })), null);
+    });
+
+    it('falls back to the Accept header, defaulting to JSON', () => {
+        assert.equal(negotiateFormat(fakeRequest({}, 'application/x-ndjson')), 'ndjson');
+        assert.equal(negotiateFormat(fakeRequest({}, 'text/tab-separated-values')), 'dwc');
+        assert.equal(negotiateFormat(fakeRequest({})), 'json');
+        assert.equal(negotiateFormat(fakeRequest({}, 'image/png')), 'json');
+    });
+});
+
+describe('exportLines', () => {
+    it('writes CSV with every key as a column and quotes where needed', () => {
+        const [header, first, second] = parseCsv([...exportLines(RECORDS, 'csv')].join(''));
+        assert.deepEqual(header.slice(0, 3), ['Sequence', 'Taxon_rank', 'Order']);
+        assert.ok(header.includes('Extinct_or_possibly_extinct'));
+        assert.equal(first[header.indexOf('Range')], 'Africa,\n"sub-Saharan"');
+        assert.equal(second[header.indexOf('Extinct_or_possibly_extinct')], 'extinct');
+    });
+
+    it('writes one JSON document per line for NDJSON', () => {
+        const lines = [...exportLines(RECORDS, 'ndjson')];
+        assert.equal(lines.length, 2);
+        assert.deepEqual(lines.map(line => JSON.parse(line)), RECORDS);
+    });
+
+    it('writes Darwin Core TSV without embedded tabs or line breaks', () => {
+        const lines = [...exportLines(RECORDS, 'dwc')].join('').split('\n').filter(Boolean);
+        assert.deepEqual(lines[0].split('\t'), DWC_TERMS);
+        assert.ok(lines.slice(1).every(line => line.split('\t').length === DWC_TERMS.length));
+    });
+
+    it('exports non-object results as a value column', () => {
+        assert.deepEqual(parseCsv([...exportLines([1, 'two'], 'csv')].join('')), [['value'], ['1'], ['two']]);
+    });
+});
+
+describe('toDarwinCore', () => {
+    it('maps species and subspecies to Taxon terms', () => {
+        const [species, subspecies] = RECORDS.map(toDarwinCore);
+        assert.equal(species.taxonID, 'avilist:3');
+        assert.equal(species.genus, 'Struthio');
+        assert.equal(species.specificEpithet, 'camelus');
+        assert.equal(species.parentNameUsage, 'Struthio');
+        assert.equal(species.scientificNameAuthorship, 'Linnaeus, 1758');
+        assert.equal(species.vernacularName, 'Common Ostrich');
+        assert.equal(subspecies.infraspecificEpithet, 'camelus');
+        assert.equal(subspecies.parentNameUsage, 'Struthio camelus');
+        assert.match(subspecies.taxonRemarks, /extinct/);
+    });
+
+    it('leaves name parts empty for higher ranks', () => {
+        const family = toDarwinCore({ Taxon_rank: 'family', Scientific_name: 'Struthionidae', AvibaseID: 'AVB1' });
+        assert.equal(family.taxonID, 'AVB1');
+        assert.equal(family.genus, '');
+        assert.equal(family.parentNameUsage, '');
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError } from '../birdQueryEngine.js';
+import { applyFacets } from '../facetedSearch.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+const RECORDS = [
+    { Scientific_name: 'A', Order: 'O1', Family: 'F1', IUCN_Red_List_Category: 'LC', Taxon_rank: 'species' },
+    { Scientific_name: 'B', Order: 'O1', Family: 'F1', IUCN_Red_List_Category: 'CR', Taxon_rank: 'species' },
+    { Scientific_name: 'C', Order: 'O1', Family: 'F2', IUCN_Red_List_Category: 'CR', Taxon_rank: 'species', Extinct_or_possibly_extinct: 'possibly' },
+    { Scientific_name: 'D', Order: 'O2', Family: 'F3', IUCN_Red_List_Category: 'EN', Taxon_rank: 'species' }
+];
+
+const counts = facet => Object.fromEntries(facet.map(({ value, count }) => [value, count]));
+
+describe('applyFacets', () => {
+    it('counts every facet value when nothing is selected', () => {
+        const { results, facets } = applyFacets(RECORDS, {});
+        assert.equal(results.length, 4);
+        assert.deepEqual(counts(facets.order), { O1: 3, O2: 1 });
+        assert.deepEqual(facets.iucn[0], { value: 'CR', count: 2 });
+        assert.deepEqual(counts(facets.extinct), { false: 3, true: 1 });
+    });
+
+    it('ORs values within a facet and ANDs facets', () => {
+        const { results } = applyFacets(RECORDS, { iucn: ['CR', 'EN'], order: ['O1'] });
+        assert.deepEqual(results.map(r => r.Scientific_name), ['B', 'C']);
+    });
+
+    it('counts a facet without its own selection so alternatives stay visible', () => {
+        const { facets } = applyFacets(RECORDS, { iucn: ['CR'], order: ['O1'] });
+        assert.deepEqual(counts(facets.iucn), { CR: 2, LC: 1 });
+        assert.deepEqual(counts(facets.order), { O1: 2 });
+        assert.deepEqual(counts(facets.family), { F1: 1, F2: 1 });
+    });
+});
+
+describe('BirdQueryEngine.facetedSearch', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    it('combines text, range and facet filters', async () => {
+        const { results, facets } = await engine.facetedSearch({ q: 'eagle', range: 'madagascar', iucn: 'CR', extinct: false });
+        assert.deepEqual(results.map(r => r.Scientific_name), ['Haliaeetus vociferoides']);
+        assert.deepEqual(facets.rank, [{ value: 'species', count: 1 }]);
+    });
+
+    it('ANDs several range keywords', async () => {
+        const { results } = await engine.facetedSearch({ range: ['Europe', 'Asia'] });
+        assert.ok(results.length > 0);
+        assert.ok(results.every(r => /europe/i.test(r.Range) && /asia/i.test(r.Range)));
+    });
+
+    it('filters extinct taxa', async () => {
+        const { results } = await engine.facetedSearch({ extinct: true });
+        assert.deepEqual(results.map(r => r.Scientific_name), ['Raphus cucullatus']);
+    });
+
+    it('rejects unknown filters and mistyped values', async () => {
+        await assert.rejects(engine.facetedSearch({ Order: 'Strigiformes' }), QueryValidationError);
+        await assert.rejects(engine.facetedSearch({ iucn: [{}] }), QueryValidationError);
+        await assert.rejects(engine.facetedSearch({ extinct: 'true' }), QueryValidationError);
+        await assert.rejects(engine.facetedSearch({ q: 42 }), QueryValidationError);
+    });
+});
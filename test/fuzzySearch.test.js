@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FuzzyNameIndex, levenshtein, normalizeName } from '../fuzzySearch.js';
+import { NAME_FIELDS } from '../searchIndex.js';
+
+const RECORDS = [
+    { Scientific_name: 'Aquila chrysaetos', English_name_AviList: 'Golden Eagle', English_name_Clements_v2024: 'Golden Eagle' },
+    { Scientific_name: 'Haliaeetus vociferoides', English_name_AviList: 'Madagascar Fish Eagle', English_name_Clements_v2024: 'Madagascar Fish-Eagle' },
+    { Scientific_name: 'Turdus merula', English_name_AviList: 'Common Blackbird', English_name_Clements_v2024: 'Eurasian Blackbird' }
+];
+
+describe('levenshtein', () => {
+    it('counts single-character edits', () => {
+        assert.equal(levenshtein('eagle', 'eagle'), 0);
+        assert.equal(levenshtein('egle', 'eagle'), 1);
+        assert.equal(levenshtein('kitten', 'sitting'), 3);
+        assert.equal(levenshtein('', 'abc'), 3);
+    });
+
+    it('stops once the distance passes maxDistance', () => {
+        assert.equal(levenshtein('kitten', 'sitting', 3), 3);
+        assert.equal(levenshtein('kitten', 'sitting', 2), 3);
+        assert.equal(levenshtein('kitten', 'sitting', 0), 1);
+        assert.equal(levenshtein('x'.repeat(5000), 'golden eagle', 4), 5);
+        assert.equal(levenshtein('golden eagle'.repeat(300), 'golden eagle'.repeat(300), 2), 0);
+    });
+});
+
+describe('normalizeName', () => {
+    it('lowercases and collapses punctuation', () => {
+        assert.equal(normalizeName('  Madagascar Fish-Eagle '), 'madagascar fish eagle');
+    });
+});
+
+describe('FuzzyNameIndex', () => {
+    const index = new FuzzyNameIndex(RECORDS, NAME_FIELDS);
+
+    it('tolerates typos in English names', () => {
+        const [hit] = index.search('Golden Egle');
+        assert.equal(hit.bird.Scientific_name, 'Aquila chrysaetos');
+        assert.equal(hit.matchedField, 'English_name_AviList');
+        assert.ok(hit.score > 0.9 && hit.score < 1);
+    });
+
+    it('tolerates typos in scientific names', () => {
+        const [hit] = index.search('Aquila crysaetos');
+        assert.equal(hit.bird.Scientific_name, 'Aquila chrysaetos');
+        assert.equal(hit.matchedField, 'Scientific_name');
+    });
+
+    it('returns one hit per record, best first', () => {
+        const hits = index.search('eagle');
+        assert.deepEqual(hits.map(h => h.bird.Scientific_name), ['Aquila chrysaetos', 'Haliaeetus vociferoides']);
+    });
+
+    it('reports the authority whose name matched best', () => {
+        const [hit] = index.search('Eurasian Blackbird');
+        assert.equal(hit.matchedField, 'English_name_Clements_v2024');
+        assert.equal(hit.score, 1);
+    });
+
+    it('drops hits below minScore', () => {
+        assert.deepEqual(index.search('xyzzy'), []);
+        assert.equal(index.search('Golden Egle', { minScore: 0.95 }).length, 0);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError } from '../birdQueryEngine.js';
+import { Gazetteer, RegionIndex, getDefaultGazetteer } from '../gazetteer.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+const region = (id, name, type, parents = [], aliases = []) => ({ id, name, type, parents, aliases });
+
+const SMALL = {
+    version: 'test',
+    regions: [
+        region('africa', 'Africa', 'continent'),
+        region('western_indian_ocean', 'Western Indian Ocean', 'region', ['africa']),
+        region('madagascar', 'Madagascar', 'island', ['western_indian_ocean']),
+        region('guinea', 'Guinea', 'country', ['africa']),
+        region('guinea_bissau', 'Guinea-Bissau', 'country', ['africa']),
+        region('ivory_coast', "Côte d'Ivoire", 'country', ['africa'], ['Ivory Coast'])
+    ]
+};
+
+describe('Gazetteer', () => {
+    const gazetteer = new Gazetteer(SMALL);
+
+    it('prefers the longest name at each position', () => {
+        assert.deepEqual(gazetteer.parse('Guinea-Bissau to Guinea'), ['guinea_bissau', 'guinea']);
+    });
+
+    it('ignores case, diacritics and punctuation', () => {
+        assert.deepEqual(gazetteer.parse('COTE D IVOIRE; n Madagascar'), ['ivory_coast', 'madagascar']);
+        assert.deepEqual(gazetteer.parse(''), []);
+        assert.deepEqual(gazetteer.parse(undefined), []);
+    });
+
+    it('resolves ids, names and aliases', () => {
+        assert.equal(gazetteer.resolve('madagascar'), 'madagascar');
+        assert.equal(gazetteer.resolve('Ivory Coast'), 'ivory_coast');
+        assert.equal(gazetteer.resolve('Atlantis'), null);
+    });
+
+    it('walks every enclosing region', () => {
+        assert.deepEqual(gazetteer.withAncestors('madagascar'), ['madagascar', 'western_indian_ocean', 'africa']);
+    });
+
+    it('rejects unknown parents and names shared by two regions', () => {
+        assert.throws(() => new Gazetteer({ regions: [region('a', 'A', 'country', ['missing'])] }), /Unknown parent/);
+        assert.throws(() => new Gazetteer({ regions: [region('a', 'A', 'country'), region('b', 'B', 'country', [], ['a'])] }), /used by both/);
+    });
+});
+
+describe('RegionIndex', () => {
+    const records = [
+        { Scientific_name: 'A', Taxon_rank: 'species', Range: 'Guinea' },
+        { Scientific_name: 'B', Taxon_rank: 'species', Range: 'Madagascar' },
+        { Scientific_name: 'C', Taxon_rank: 'subspecies', Range: 'Africa' },
+        { Scientific_name: 'D', Taxon_rank: 'species', Range: 'somewhere else' }
+    ];
+    const index = new RegionIndex(records, new Gazetteer(SMALL));
+
+    it('includes records of subregions unless asked for direct mentions', () => {
+        assert.deepEqual(index.recordsIn('africa').map(r => r.Scientific_name), ['A', 'B', 'C']);
+        assert.deepEqual(index.recordsIn('africa', false).map(r => r.Scientific_name), ['C']);
+    });
+
+    it('counts species and records per region', () => {
+        const africa = index.summary().find(r => r.id === 'africa');
+        assert.equal(africa.records, 3);
+        assert.equal(africa.species, 2);
+        assert.deepEqual(index.regionsOf(records[3]), []);
+    });
+});
+
+describe('bundled gazetteer', () => {
+    it('keeps the Guinea countries apart', () => {
+        const gazetteer = getDefaultGazetteer();
+        assert.deepEqual(gazetteer.parse('Southern Papua New Guinea'), ['papua_new_guinea']);
+        assert.deepEqual(gazetteer.parse('Cameroon and Equatorial Guinea'), ['cameroon', 'equatorial_guinea']);
+    });
+});
+
+describe('BirdQueryEngine regions', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    it('includes Madagascar in Africa', async () => {
+        const names = (await engine.getByRegion('Africa')).map(r => r.Scientific_name);
+        assert.ok(names.includes('Haliaeetus vociferoides'));
+        assert.ok(names.includes('Struthio camelus'));
+        assert.ok(!names.includes('Lonchura nevermanni'));
+    });
+
+    it('limits to direct mentions without subregions', async () => {
+        const results = await engine.getByRegion('africa', { includeSubregions: false });
+        assert.deepEqual(results.map(r => r.Scientific_name), ['Struthio camelus']);
+    });
+
+    it('lists regions inside a parent with counts', async () => {
+        const regions = await engine.getRegions({ type: 'country', parent: 'Africa' });
+        const madagascar = regions.find(r => r.id === 'madagascar');
+        assert.equal(madagascar.species, 1);
+        assert.ok(regions.every(r => r.type === 'country'));
+    });
+
+    it('adds parsed regions to the bird report', async () => {
+        const report = await engine.getBirdReport('Haliaeetus vociferoides');
+        assert.deepEqual(report.regions, [{ id: 'madagascar', name: 'Madagascar', type: 'country' }]);
+    });
+
+    it('rejects unknown regions', async () => {
+        await assert.rejects(engine.getByRegion('Atlantis'), /Region not found/);
+        await assert.rejects(engine.getRegions({ parent: 'Atlantis' }), /Region not found/);
+        await assert.rejects(engine.getByRegion(''), QueryValidationError);
+    });
+});
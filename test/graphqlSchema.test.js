@@ -0,0 +1,159 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { getNamedType, getNullableType, isListType, isObjectType, parse, validate } from 'graphql';
+import { BirdQueryEngine } from '../birdQueryEngine.js';
+import { UNPAGED_LIST_SIZES, complexityLimitRule, createGraphqlSchema, executeGraphqlQuery } from '../graphqlSchema.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('GraphQL schema', () => {
+    let engine;
+
+    before(() => {
+        engine = new BirdQueryEngine(FIXTURE);
+    });
+
+    /**
+     * Run a query and return its data as a client receives it, failing on any error
+     */
+    async function run(query, variables) {
+        const { status, body } = await executeGraphqlQuery(engine, { query, variables });
+        assert.equal(body.errors, undefined, JSON.stringify(body.errors));
+        assert.equal(status, 200);
+        return JSON.parse(JSON.stringify(body.data));
+    }
+
+    it('resolves a bird with its family, siblings and order stats in one query', async () => {
+        const { bird } = await run(`{
+            bird(scientificName: "Aquila chrysaetos") {
+                englishName
+                authors
+                year
+                conservation { code }
+                regions { name }
+                siblings(limit: 1) { scientificName }
+                family { name speciesCount order { name familyCount speciesCount conservation { threatened threatIndex } } }
+            }
+        }`);
+        assert.equal(bird.englishName, 'Golden Eagle');
+        assert.deepEqual(bird.authors, ['Linnaeus']);
+        assert.equal(bird.year, 1758);
+        assert.equal(bird.conservation.code, 'LC');
+        assert.ok(bird.regions.some(region => region.name === 'Europe'));
+        assert.deepEqual(bird.siblings, [{ scientificName: 'Haliaeetus vociferoides' }]);
+        assert.deepEqual(bird.family, {
+            name: 'Accipitridae',
+            speciesCount: 3,
+            order: { name: 'Accipitriformes', familyCount: 1, speciesCount: 3, conservation: { threatened: 2, threatIndex: 0.6667 } }
+        });
+    });
+
+    it('resolves authors, year and regions without building a bird report', async () => {
+        const engineWithoutReports = Object.create(engine, {
+            getBirdReport: { value: () => assert.fail('getBirdReport should not be called') }
+        });
+        const { status, body } = await executeGraphqlQuery(engineWithoutReports, {
+            query: '{ birds(search: "eagle", limit: 2) { scientificName authors year regions { name } } }'
+        });
+        assert.equal(body.errors, undefined, JSON.stringify(body.errors));
+        assert.equal(status, 200);
+        const [golden] = JSON.parse(JSON.stringify(body.data.birds));
+        assert.deepEqual(golden.authors, ['Linnaeus']);
+        assert.equal(golden.year, 1758);
+        assert.ok(golden.regions.some(region => region.name === 'Europe'));
+    });
+
+    it('returns null for unknown birds, families and categories', async () => {
+        assert.deepEqual(await run('{ bird(scientificName: "Dodo") { rank } family(name: "Nope") { name } conservationCategory(code: "XX") { code } }'), {
+            bird: null,
+            family: null,
+            conservationCategory: null
+        });
+    });
+
+    it('filters birds with the faceted search and region filters', async () => {
+        const names = data => data.birds.map(bird => bird.scientificName);
+        assert.deepEqual(names(await run('{ birds(iucn: ["CR", "VU"], rank: "species") { scientificName } }')), [
+            'Haliaeetus vociferoides',
+            'Harpyopsis novaeguineae',
+            'Malaconotus gladiator'
+        ]);
+        assert.deepEqual(names(await run('query($region: String) { birds(region: $region) { scientificName } }', { region: 'madagascar' })), [
+            'Haliaeetus vociferoides'
+        ]);
+        assert.deepEqual(names(await run('{ birds(search: "eagle", limit: 1, offset: 1) { scientificName } }')), ['Haliaeetus vociferoides']);
+    });
+
+    it('links orders to families and categories to birds', async () => {
+        const { orders, conservationCategory } = await run(`{
+            orders(limit: 5) { name families { name } }
+            conservationCategory(code: "VU") { speciesCount birds { scientificName family { name } } }
+        }`);
+        assert.deepEqual(orders.at(-1), { name: 'Passeriformes', families: [{ name: 'Turdidae' }, { name: 'Estrildidae' }, { name: 'Malaconotidae' }] });
+        assert.equal(conservationCategory.speciesCount, 2);
+        assert.deepEqual(conservationCategory.birds[1], { scientificName: 'Malaconotus gladiator', family: { name: 'Malaconotidae' } });
+    });
+
+    it('reports invalid list limits as resolver errors', async () => {
+        const { status, body } = await executeGraphqlQuery(engine, { query: '{ stats { totalRecords } birds(limit: 500) { rank } }' });
+        assert.equal(status, 200);
+        assert.equal(body.data, null);
+        assert.equal(body.errors[0].message, 'Invalid limit: expected 1 to 100');
+    });
+
+    it('rejects queries that do not parse or validate', async () => {
+        assert.equal((await executeGraphqlQuery(engine, { query: '' })).status, 400);
+        assert.match((await executeGraphqlQuery(engine, { query: '{ bird(' })).body.errors[0].message, /^Syntax Error/);
+        assert.match((await executeGraphqlQuery(engine, { query: '{ bird(scientificName: "x") { wingspan } }' })).body.errors[0].message, /Cannot query field "wingspan"/);
+    });
+
+    describe('complexity limits', () => {
+        const schema = createGraphqlSchema();
+        const errorsFor = (query, limits, variables) => validate(schema, parse(query), [complexityLimitRule(limits, variables)]).map(error => error.message);
+
+        it('costs each object field by the list limits above it', () => {
+            const query = '{ orders(limit: 10) { families(limit: $n) { birds { family { name } } } } }';
+            assert.deepEqual(errorsFor(query, { maxDepth: 10, maxCost: 10 * (1 + 5 * (1 + 50 * 2)) }, { n: 5 }), []);
+            assert.deepEqual(errorsFor(query, { maxDepth: 10, maxCost: 5000 }, { n: 5 }), ['Query cost 5060 exceeds the limit of 5000; request fewer or smaller lists']);
+        });
+
+        it('costs lists without a limit argument by their expected size', () => {
+            const limits = { maxDepth: 10, maxCost: 1000 };
+            assert.deepEqual(errorsFor('{ conservationCategories { birds(limit: 100) { scientificName } } }', limits), [
+                'Query cost 1010 exceeds the limit of 1000; request fewer or smaller lists'
+            ]);
+            assert.deepEqual(errorsFor('{ order(name: "x") { conservation { categories { category { code } } } } }', { maxDepth: 10, maxCost: 21 }), [
+                'Query cost 22 exceeds the limit of 21; request fewer or smaller lists'
+            ]);
+            assert.deepEqual(errorsFor('{ bird(scientificName: "x") { regions { name } } }', { maxDepth: 10, maxCost: 20 }), [
+                'Query cost 21 exceeds the limit of 20; request fewer or smaller lists'
+            ]);
+
+            // Every object list without a limit needs a size, or it would be costed as a single object
+            for (const type of Object.values(schema.getTypeMap()).filter(type => isObjectType(type) && !type.name.startsWith('__'))) {
+                for (const field of Object.values(type.getFields())) {
+                    if (isListType(getNullableType(field.type)) && isObjectType(getNamedType(field.type)) && !field.args.some(arg => arg.name === 'limit')) {
+                        assert.ok(UNPAGED_LIST_SIZES[`${type.name}.${field.name}`] > 1, `${type.name}.${field.name}`);
+                    }
+                }
+            }
+        });
+
+        it('limits depth, counting fragments and ignoring introspection', () => {
+            const query = `
+                { bird(scientificName: "x") { ...Links } __schema { types { fields { type { name } } } } }
+                fragment Links on Bird { family { order { families(limit: 1) { name } } } }
+            `;
+            assert.deepEqual(errorsFor(query, { maxDepth: 4, maxCost: 100 }), []);
+            assert.deepEqual(errorsFor(query, { maxDepth: 3, maxCost: 100 }), ['Query depth 4 exceeds the limit of 3']);
+        });
+
+        it('rejects costly queries before running them', async () => {
+            const { status, body } = await executeGraphqlQuery(engine, { query: '{ orders(limit: 100) { families(limit: 100) { name } } }' }, { maxDepth: 8, maxCost: 5000 });
+            assert.equal(status, 400);
+            assert.equal(body.data, undefined);
+            assert.match(body.errors[0].message, /^Query cost 10100 exceeds/);
+        });
+    });
+});
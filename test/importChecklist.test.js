@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine } from '../birdQueryEngine.js';
+import { formatCsv, parseCsvObjects } from '../csv.js';
+import { RECORD_FIELDS, importChecklist, mapColumns, normalizeRecords } from '../importChecklist.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe('importChecklist', () => {
+    it('imports an AviList CSV release', async () => {
+        const { records, report } = await importChecklist(fixture('avilist-sample.csv'));
+        assert.equal(records.length, 6);
+        assert.deepEqual(report.errors, []);
+        assert.deepEqual(records.map(r => r.Sequence), [1, 2, 3, 4, 5, 6]);
+
+        const dodo = records.find(r => r.Scientific_name === 'Raphus cucullatus');
+        assert.equal(dodo.Range, 'Mauritius, "extinct c. 1662"');
+        assert.equal(dodo.IUCN_Red_List_Category, 'EX');
+    });
+
+    it('imports the same records from CSV and XLSX', async () => {
+        const fromCsv = await importChecklist(fixture('avilist-sample.csv'));
+        const fromXlsx = await importChecklist(fixture('avilist-sample.xlsx'));
+        assert.deepEqual(fromXlsx.records, fromCsv.records);
+    });
+
+    it('round-trips records through CSV', async () => {
+        const { records } = await importChecklist(fixture('avilist-sample.csv'));
+        const csv = formatCsv(records, RECORD_FIELDS.filter(field => field in records[0]));
+        const reimported = normalizeRecords(parseCsvObjects(csv));
+        assert.deepEqual(reimported.records, records);
+    });
+
+    it('produces a file the query engine can load', async () => {
+        const { records } = await importChecklist(fixture('avilist-sample.csv'));
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-import-'));
+        try {
+            const dataFile = path.join(dir, 'birdIndex.json');
+            fs.writeFileSync(dataFile, JSON.stringify(records));
+            const engine = new BirdQueryEngine(dataFile);
+            const [eagle] = await engine.searchByName('Golden Eagle', true);
+            assert.equal(eagle.Scientific_name, 'Aquila chrysaetos');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('normalizes Clements columns and reports bad rows', async () => {
+        const { records, report } = await importChecklist(fixture('clements-sample.csv'), { source: 'clements' });
+
+        assert.deepEqual(records.map(r => r.Scientific_name), ['Struthio camelus', 'Struthio camelus camelus', 'Raphus cucullatus', 'Raphus cucullatus']);
+        assert.equal(records[0].English_name_Clements_v2024, 'Common Ostrich');
+        assert.equal(records[0].Family, 'Struthionidae');
+        assert.equal(records[0].Family_English_name, 'Ostriches');
+        assert.equal(records[2].Extinct_or_possibly_extinct, 'extinct');
+        assert.deepEqual(records.map(r => r.Sequence), [1, 2, 3, 4]);
+
+        assert.deepEqual(report.ignoredColumns, ['extinct year']);
+        assert.equal(report.rowsRejected, 2);
+        assert.deepEqual(report.errors.map(e => [e.line, e.field]), [[4, 'Scientific_name'], [5, 'Scientific_name']]);
+        assert.match(report.errors[0].message, /Malformed species name/);
+        assert.deepEqual(report.warnings.map(w => w.line), [8]);
+    });
+
+    it('rejects files without the required columns', () => {
+        assert.throws(() => normalizeRecords({ headers: ['Name'], rows: [] }), /Missing required column/);
+    });
+
+    it('rejects unsupported file types', async () => {
+        await assert.rejects(importChecklist('checklist.ods'), /Unsupported file type/);
+    });
+});
+
+describe('mapColumns', () => {
+    it('maps header variants and the generic English name by source', () => {
+        const { mapping } = mapColumns(['Scientific name', 'TAXON_RANK', 'English name', 'IUCN'], 'birdlife');
+        assert.deepEqual(mapping, {
+            'Scientific name': 'Scientific_name',
+            TAXON_RANK: 'Taxon_rank',
+            'English name': 'English_name_BirdLife_v9',
+            IUCN: 'IUCN_Red_List_Category'
+        });
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { BirdQueryEngine } from '../birdQueryEngine.js';
+import { TOOLS, createMcpServer } from '../mcpServer.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('MCP server', () => {
+    let engine;
+    let client;
+
+    /**
+     * Connect a client to a server for the fixture over an in-memory transport
+     */
+    async function connect(options) {
+        const server = createMcpServer(engine, options);
+        const connected = new Client({ name: 'test', version: '1.0.0' });
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await Promise.all([server.connect(serverTransport), connected.connect(clientTransport)]);
+        return connected;
+    }
+
+    before(async () => {
+        engine = new BirdQueryEngine(FIXTURE);
+        client = await connect();
+    });
+
+    after(async () => {
+        await client.close();
+    });
+
+    it('lists every tool with its input and output schema', async () => {
+        const { tools } = await client.listTools();
+        assert.deepEqual(tools.map(tool => tool.name), TOOLS.map(tool => tool.name));
+        assert.ok(tools.every(tool => tool.inputSchema.type === 'object' && tool.outputSchema.type === 'object'));
+
+        const unprivileged = await connect({ privileged: false });
+        assert.ok(!(await unprivileged.listTools()).tools.some(tool => tool.name === 'executeQuery'));
+        await unprivileged.close();
+    });
+
+    it('calls a tool and returns structured content', async () => {
+        const { structuredContent } = await client.callTool({ name: 'searchByName', arguments: { searchTerm: 'eagle', limit: 1, offset: 1 } });
+        assert.equal(structuredContent.total, 4);
+        assert.deepEqual(structuredContent.results.map(record => record.Scientific_name), ['Haliaeetus vociferoides']);
+    });
+
+    it('accepts the same filter values as POST /api/custom', async () => {
+        const call = filters => client.callTool({ name: 'customQuery', arguments: { filters } });
+        assert.equal((await call({ Order: 'Accipitriformes', IUCN_Red_List_Category: ['CR', 'EN'] })).structuredContent.total, 1);
+        assert.equal((await call({ Extinct_or_possibly_extinct: true })).isError, undefined);
+        assert.equal((await call({ Extinct_or_possibly_extinct: [true, 'extinct'] })).isError, undefined);
+    });
+
+    it('rejects arguments that do not match the input schema', async () => {
+        const rejects = async (name, args, pattern) => {
+            const result = await client.callTool({ name, arguments: args });
+            assert.equal(result.isError, true);
+            assert.match(result.content[0].text, pattern);
+        };
+
+        await rejects('searchByName', { searchTerm: 'eagle', limit: -1 }, /arguments\.limit must be at least 1/);
+        await rejects('searchByName', { searchTerm: 'eagle', offset: -3 }, /arguments\.offset must be at least 0/);
+        await rejects('searchByName', { searchTerm: 'eagle', limit: 'abc' }, /arguments\.limit must be/);
+        await rejects('searchByName', { searchTerm: 'eagle', limit: 501 }, /arguments\.limit must be at most 500/);
+        await rejects('searchByName', {}, /arguments\.searchTerm is required/);
+        await rejects('customQuery', { filters: { Order: { $ne: null } } }, /arguments\.filters\.Order must be/);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FuzzyNameIndex } from '../fuzzySearch.js';
+import { NameReconciler } from '../nameReconciler.js';
+import { NAME_FIELDS } from '../searchIndex.js';
+
+const RECORDS = [
+    { Scientific_name: 'Turdus merula', Taxon_rank: 'species', English_name_AviList: 'Common Blackbird', English_name_Clements_v2024: 'Eurasian Blackbird', English_name_BirdLife_v9: 'Eurasian Blackbird' },
+    { Scientific_name: 'Haliaeetus vociferoides', Taxon_rank: 'species', English_name_AviList: 'Madagascar Fish Eagle', English_name_Clements_v2024: 'Madagascar Fish-Eagle', English_name_BirdLife_v9: 'Madagascar Fish-eagle' },
+    // Split by AviList and Clements, lumped by BirdLife
+    { Scientific_name: 'Corvus corone', Taxon_rank: 'species', English_name_AviList: 'Carrion Crow', English_name_Clements_v2024: 'Carrion Crow', English_name_BirdLife_v9: 'Carrion Crow' },
+    { Scientific_name: 'Corvus cornix', Taxon_rank: 'species', English_name_AviList: 'Hooded Crow', English_name_Clements_v2024: 'Hooded Crow', English_name_BirdLife_v9: 'Carrion Crow' },
+    { Scientific_name: 'Aquila chrysaetos', Taxon_rank: 'species', English_name_AviList: 'Golden Eagle', English_name_Clements_v2024: 'Golden Eagle', English_name_BirdLife_v9: '' }
+];
+
+const reconciler = new NameReconciler(RECORDS, new FuzzyNameIndex(RECORDS, NAME_FIELDS));
+
+describe('NameReconciler', () => {
+    it('maps an exact name to the target authority', () => {
+        const result = reconciler.reconcile('Eurasian Blackbird', 'clements', 'avilist');
+        assert.equal(result.matchType, 'exact');
+        assert.equal(result.confidence, 'high');
+        assert.equal(result.record.Scientific_name, 'Turdus merula');
+        assert.equal(result.targetName, 'Common Blackbird');
+        assert.deepEqual(result.flags, ['name_differs']);
+    });
+
+    it('ignores case and punctuation differences', () => {
+        const result = reconciler.reconcile('madagascar fish eagle', 'clements', 'birdlife');
+        assert.equal(result.matchType, 'normalized');
+        assert.equal(result.confidence, 'high');
+        assert.equal(result.targetName, 'Madagascar Fish-eagle');
+        assert.deepEqual(result.flags, []);
+    });
+
+    it('flags names that are split across taxa', () => {
+        const result = reconciler.reconcile('Carrion Crow', 'birdlife', 'avilist');
+        assert.deepEqual(result.flags, ['split']);
+        assert.equal(result.confidence, 'low');
+        assert.equal(result.record, null);
+        assert.equal(result.targetName, null);
+        assert.deepEqual(result.candidates.map(c => c.targetName), ['Carrion Crow', 'Hooded Crow']);
+    });
+
+    it('flags target names that lump several taxa', () => {
+        const result = reconciler.reconcile('Hooded Crow', 'avilist', 'birdlife');
+        assert.equal(result.targetName, 'Carrion Crow');
+        assert.deepEqual(result.flags, ['lumped', 'name_differs']);
+    });
+
+    it('flags taxa without a name in the target authority', () => {
+        const result = reconciler.reconcile('Golden Eagle', 'avilist', 'birdlife');
+        assert.equal(result.targetName, null);
+        assert.deepEqual(result.flags, ['no_equivalent']);
+    });
+
+    it('falls back to other authorities with medium confidence', () => {
+        const result = reconciler.reconcile('Common Blackbird', 'clements', 'birdlife');
+        assert.equal(result.matchType, 'other_authority');
+        assert.equal(result.matchedAuthority, 'avilist');
+        assert.equal(result.confidence, 'medium');
+        assert.equal(result.targetName, 'Eurasian Blackbird');
+    });
+
+    it('falls back to fuzzy matching for misspelt names', () => {
+        const result = reconciler.reconcile('Eurasian Blakbird', 'clements', 'avilist');
+        assert.equal(result.matchType, 'fuzzy');
+        assert.ok(['medium', 'low'].includes(result.confidence));
+        assert.equal(result.targetName, 'Common Blackbird');
+    });
+
+    it('reports unmatched names', () => {
+        const result = reconciler.reconcile('Zzzz Qqqq', 'clements', 'avilist');
+        assert.equal(result.confidence, 'none');
+        assert.deepEqual(result.flags, ['unmatched']);
+        assert.deepEqual(result.candidates, []);
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIST_QUERY, RouteRegistry, coerceParameter, jsonResponse, ref, validateSchema } from '../openapi.js';
+
+/**
+ * Router that records registrations instead of serving them
+ */
+function fakeRouter() {
+    const registered = [];
+    const record = method => (path, ...handlers) => registered.push({ method, path, handlers });
+    return { registered, get: record('get'), post: record('post') };
+}
+
+/**
+ * Minimal stand-in for an Express request
+ */
+function fakeRequest({ params = {}, query = {}, body, contentType = 'application/json' } = {}) {
+    return {
+        params,
+        query,
+        body,
+        get(header) {
+            return header === 'Content-Length' && body !== undefined ? '1' : undefined;
+        },
+        is(types) {
+            return types.find(type => type === contentType) ?? false;
+        }
+    };
+}
+
+const BIRD_ROUTE = {
+    method: 'get',
+    path: '/api/bird/{scientificName}',
+    operationId: 'bird',
+    summary: 'One bird',
+    tags: ['Taxonomy'],
+    params: { scientificName: { type: 'string', description: 'Binomial name' } },
+    query: { properties: { limit: LIST_QUERY.limit, detail: { type: 'boolean' } } },
+    responses: { 200: jsonResponse('Bird', ref('BirdRecord')) }
+};
+
+const RECONCILE_ROUTE = {
+    method: 'post',
+    path: '/api/reconcile',
+    operationId: 'reconcileBulk',
+    summary: 'Reconcile names',
+    query: { properties: { q: { type: 'string', minLength: 1 } }, required: ['q'] },
+    body: {
+        required: true,
+        content: {
+            'application/json': {
+                schema: { type: 'object', required: ['names'], properties: { names: { type: 'array', items: { type: 'string' }, maxItems: 2 } } }
+            }
+        }
+    },
+    privileged: true,
+    responses: { 200: jsonResponse('Results', { type: 'array' }) }
+};
+
+describe('validateSchema', () => {
+    it('checks types, enums and ranges', () => {
+        assert.deepEqual(validateSchema({ type: 'integer', minimum: 1, maximum: 10 }, 5, 'n'), []);
+        assert.deepEqual(validateSchema({ type: 'integer', minimum: 1, maximum: 10 }, 11, 'n'), ['n must be at most 10']);
+        assert.deepEqual(validateSchema({ type: 'integer' }, 1.5, 'n'), ['n must be an integer']);
+        assert.deepEqual(validateSchema({ type: 'number' }, 2, 'n'), []);
+        assert.deepEqual(validateSchema({ type: 'string', enum: ['a', 'b'] }, 'c', 'mode'), ['mode must be one of: a, b']);
+        assert.deepEqual(validateSchema({ type: 'string', minLength: 1 }, '', 'q'), ['q must not be empty']);
+        assert.deepEqual(validateSchema({ type: 'string', nullable: true }, null, 'q'), []);
+    });
+
+    it('checks objects, arrays and references', () => {
+        const schema = {
+            type: 'object',
+            required: ['names'],
+            properties: { names: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+            additionalProperties: false
+        };
+        assert.deepEqual(validateSchema(schema, { names: ['a'] }, 'body'), []);
+        assert.deepEqual(validateSchema(schema, { extra: 1 }, 'body'), ['body.names is required', 'body.extra is not allowed']);
+        assert.deepEqual(validateSchema(schema, { names: ['a', 2, 3] }, 'body'), ['body.names[1] must be a string']);
+        assert.deepEqual(validateSchema(ref('BirdRecord'), { Scientific_name: 'Bubo bubo' }, 'bird'), ['bird.Taxon_rank is required']);
+        assert.equal(validateSchema({ anyOf: [{ type: 'string' }, { type: 'array' }] }, 1, 'x').length, 1);
+    });
+});
+
+describe('coerceParameter', () => {
+    it('converts numbers and booleans for their schemas only', () => {
+        assert.equal(coerceParameter({ type: 'integer' }, '10'), 10);
+        assert.equal(coerceParameter({ type: 'integer' }, 'ten'), 'ten');
+        assert.equal(coerceParameter({ type: 'boolean' }, 'false'), false);
+        assert.equal(coerceParameter({ type: 'string' }, '10'), '10');
+    });
+});
+
+describe('RouteRegistry', () => {
+    const privileged = () => {};
+
+    it('registers Express paths with the privileged guard and validator before the handler', () => {
+        const router = fakeRouter();
+        const routes = new RouteRegistry(router, { onInvalid: () => {}, privileged });
+        const handler = () => {};
+        routes.add(BIRD_ROUTE, handler);
+        routes.add(RECONCILE_ROUTE, handler);
+
+        assert.equal(router.registered[0].path, '/api/bird/:scientificName');
+        assert.equal(router.registered[0].handlers.length, 2);
+        assert.equal(router.registered[1].handlers[0], privileged);
+        assert.equal(router.registered[1].handlers.at(-1), handler);
+        assert.throws(() => routes.add({ ...BIRD_ROUTE, operationId: 'other' }, handler), /defined twice/);
+    });
+
+    it('answers invalid requests through onInvalid', () => {
+        const router = fakeRouter();
+        let rejected = null;
+        const routes = new RouteRegistry(router, { onInvalid: (req, res, errors) => { rejected = errors; }, privileged });
+        routes.add(BIRD_ROUTE, () => {});
+        const validator = router.registered[0].handlers[0];
+
+        let passed = false;
+        validator(fakeRequest({ params: { scientificName: 'Bubo bubo' }, query: { limit: '20' } }), {}, () => { passed = true; });
+        assert.equal(passed, true);
+        validator(fakeRequest({ params: { scientificName: 'Bubo bubo' }, query: { limit: '0', detail: 'yes' } }), {}, () => {});
+        assert.deepEqual(rejected, ['query parameter limit must be at least 1', 'query parameter detail must be a boolean']);
+    });
+
+    it('validates required parameters and the body for its content type', () => {
+        const routes = new RouteRegistry(fakeRouter(), { onInvalid: () => {}, privileged });
+        assert.deepEqual(routes.validate(RECONCILE_ROUTE, fakeRequest({ query: { q: 'x' }, body: { names: ['a'] } })), []);
+        assert.deepEqual(routes.validate(RECONCILE_ROUTE, fakeRequest()), [
+            'query parameter q is required',
+            'request body is required (application/json)'
+        ]);
+        assert.deepEqual(routes.validate(RECONCILE_ROUTE, fakeRequest({ query: { q: 'x' }, body: 'a', contentType: 'text/plain' })), [
+            'request body must be application/json'
+        ]);
+        assert.deepEqual(routes.validate(RECONCILE_ROUTE, fakeRequest({ query: { q: 'x' }, body: { names: ['a', 'b', 'c'] } })), [
+            'body.names must have at most 2 items'
+        ]);
+    });
+
+    it('generates an OpenAPI document', () => {
+        const routes = new RouteRegistry(fakeRouter(), { onInvalid: () => {}, privileged });
+        routes.add(BIRD_ROUTE, () => {});
+        routes.add(RECONCILE_ROUTE, () => {});
+        const document = routes.document({ title: 'Birds', version: '1.0.0', description: 'Test', servers: [{ url: '/birds' }] });
+
+        assert.equal(document.openapi, '3.0.3');
+        assert.deepEqual(document.tags.map(tag => tag.name), ['Taxonomy']);
+        assert.ok(document.components.schemas.BirdRecord);
+
+        const bird = document.paths['/api/bird/{scientificName}'].get;
+        assert.deepEqual(bird.parameters[0], { name: 'scientificName', in: 'path', required: true, description: 'Binomial name', schema: { type: 'string' } });
+        assert.deepEqual(Object.keys(bird.responses), ['200', '400', '429']);
+        assert.deepEqual(bird.security, [{}, { apiKey: [] }, { bearer: [] }]);
+
+        const reconcile = document.paths['/api/reconcile'].post;
+        assert.equal(reconcile.requestBody.required, true);
+        assert.deepEqual(Object.keys(reconcile.responses), ['200', '400', '401', '403', '429']);
+        assert.deepEqual(reconcile.security, [{ apiKey: [] }, { bearer: [] }]);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryValidationError } from '../birdQueryEngine.js';
+import { compareValues, encodeCursor, paginateList, parseListOptions } from '../pagination.js';
+
+const FIELDS = new Set(['Sequence', 'Scientific_name', 'IUCN_Red_List_Category']);
+
+const RECORDS = [
+    { Sequence: 3, Scientific_name: 'Bubo bubo', IUCN_Red_List_Category: 'LC' },
+    { Sequence: 1, Scientific_name: 'Aquila chrysaetos', IUCN_Red_List_Category: 'LC' },
+    { Sequence: 2, Scientific_name: 'Raphus cucullatus', IUCN_Red_List_Category: 'EX' },
+    { Sequence: 4, Scientific_name: 'Turdus merula', IUCN_Red_List_Category: '' },
+    { Sequence: 5, Scientific_name: 'Struthio camelus', IUCN_Red_List_Category: 'LC' }
+];
+
+const names = page => page.results.map(record => record.Scientific_name);
+const options = params => parseListOptions(params, { knownFields: FIELDS, defaultSort: 'Sequence:asc' });
+
+describe('parseListOptions', () => {
+    it('applies defaults', () => {
+        assert.deepEqual(options({}), {
+            page: 1,
+            limit: 50,
+            cursor: null,
+            sort: [{ field: 'Sequence', direction: 'asc' }],
+            fields: null
+        });
+    });
+
+    for (const [params, message] of [
+        [{ limit: 'abc' }, /Invalid limit/],
+        [{ limit: '0' }, /Invalid limit/],
+        [{ limit: '1001' }, /Invalid limit/],
+        [{ page: '1.5' }, /Invalid page/],
+        [{ page: '-1' }, /Invalid page/],
+        [{ sort: 'Scientific_name:up' }, /Invalid sort/],
+        [{ sort: 'Nope:asc' }, /Invalid sort field/],
+        [{ fields: 'Scientific_name,Nope' }, /Invalid fields field/],
+        [{ cursor: 'not-a-cursor' }, /Invalid cursor/],
+        [{ cursor: encodeCursor({ o: 2 }), page: '2' }, /either cursor or page/]
+    ]) {
+        it(`rejects ${JSON.stringify(params)}`, () => {
+            assert.throws(() => options(params), error => error instanceof QueryValidationError && message.test(error.message));
+        });
+    }
+});
+
+describe('paginateList', () => {
+    it('sorts by Sequence by default and paginates by page', () => {
+        const page = paginateList(RECORDS, options({ limit: '2', page: '2' }));
+        assert.deepEqual(names(page), ['Bubo bubo', 'Turdus merula']);
+        assert.equal(page.pagination.currentPage, 2);
+        assert.equal(page.pagination.totalPages, 3);
+        assert.equal(page.pagination.hasPrev, true);
+    });
+
+    it('sorts by several fields with a direction each', () => {
+        const page = paginateList(RECORDS, options({ sort: 'IUCN_Red_List_Category:desc,Scientific_name:asc' }));
+        assert.deepEqual(names(page), ['Aquila chrysaetos', 'Bubo bubo', 'Struthio camelus', 'Raphus cucullatus', 'Turdus merula']);
+    });
+
+    it('projects the requested fields', () => {
+        const page = paginateList(RECORDS, options({ fields: 'Scientific_name', limit: '1' }));
+        assert.deepEqual(page.results, [{ Scientific_name: 'Aquila chrysaetos' }]);
+    });
+
+    it('walks every record once with cursors', () => {
+        const seen = [];
+        let params = { sort: 'Scientific_name:desc', limit: '2' };
+        for (;;) {
+            const page = paginateList(RECORDS, options(params), { datasetVersion: 1 });
+            seen.push(...names(page));
+            if (!page.pagination.nextCursor) {
+                break;
+            }
+            params = { sort: 'Scientific_name:desc', limit: '2', cursor: page.pagination.nextCursor };
+        }
+        assert.deepEqual(seen, ['Turdus merula', 'Struthio camelus', 'Raphus cucullatus', 'Bubo bubo', 'Aquila chrysaetos']);
+    });
+
+    it('resumes after the last record even when the dataset changed', () => {
+        const first = paginateList(RECORDS, options({ limit: '2' }), { datasetVersion: 1 });
+        assert.deepEqual(names(first), ['Aquila chrysaetos', 'Raphus cucullatus']);
+
+        // A record inserted before the cursor doesn't shift the next page
+        const reloaded = [{ Sequence: 0, Scientific_name: 'Casuarius casuarius' }, ...RECORDS];
+        const next = paginateList(reloaded, options({ limit: '2', cursor: first.pagination.nextCursor }), { datasetVersion: 2 });
+        assert.deepEqual(names(next), ['Bubo bubo', 'Turdus merula']);
+        assert.equal(next.pagination.datasetChanged, true);
+    });
+
+    it('rejects a cursor used with a different sort', () => {
+        const first = paginateList(RECORDS, options({ limit: '2' }));
+        assert.throws(() => paginateList(RECORDS, options({ sort: 'Scientific_name:asc', cursor: first.pagination.nextCursor })), /different sort/);
+    });
+
+    it('keeps the given order for unsorted lists and sorts wrapped records', () => {
+        const hits = RECORDS.map((bird, i) => ({ bird, score: 1 - i / 10 }));
+        const unsorted = paginateList(hits, parseListOptions({ limit: '2' }), { recordKey: 'bird' });
+        assert.deepEqual(unsorted.results.map(hit => hit.score), [1, 0.9]);
+
+        const next = paginateList(hits, parseListOptions({ limit: '2', cursor: unsorted.pagination.nextCursor }), { recordKey: 'bird' });
+        assert.deepEqual(next.results.map(hit => hit.score), [0.8, 0.7]);
+
+        const byScore = paginateList(hits, parseListOptions({ sort: 'score:asc', fields: 'Sequence', limit: '1' }), { recordKey: 'bird' });
+        assert.deepEqual(byScore.results, [{ bird: { Sequence: 5 }, score: 0.6 }]);
+    });
+});
+
+describe('compareValues', () => {
+    it('orders missing values, then numbers, then strings', () => {
+        assert.deepEqual(['b', 2, '', 'a', 10, null].sort(compareValues), ['', null, 2, 10, 'a', 'b']);
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryLimitError, evaluateSandboxed, sandboxOptionsFromEnv } from '../querySandbox.js';
+
+const DATA = [
+    { Scientific_name: 'Aquila chrysaetos', Order: 'Accipitriformes' },
+    { Scientific_name: 'Bubo bubo', Order: 'Strigiformes' }
+];
+
+/**
+ * Assert that a query is rejected for the given limit
+ */
+async function assertLimit(query, options, limit) {
+    await assert.rejects(evaluateSandboxed(query, DATA, options), (error) => {
+        assert.ok(error instanceof QueryLimitError);
+        assert.equal(error.limit, limit);
+        return true;
+    });
+}
+
+describe('evaluateSandboxed', () => {
+    it('evaluates ordinary queries', async () => {
+        assert.equal(await evaluateSandboxed('$count($[Order = "Strigiformes"])', DATA), 1);
+    });
+
+    it('stops queries that run past the timeout', async () => {
+        await assertLimit('$map([1..100000], function($x) { $map($, function($y) { $y }) })', { timeoutMs: 50, maxSteps: 1e9 }, 'timeout');
+    });
+
+    it('stops queries that exceed the step budget', async () => {
+        await assertLimit('$map([1..100000], function($x) { $x })', { maxSteps: 1000 }, 'steps');
+    });
+
+    it('stops unbounded tail recursion', async () => {
+        await assertLimit('($f := function($n) { $f($n + 1) }; $f(0))', { maxSteps: 10000 }, 'steps');
+    });
+
+    it('stops deep recursion', async () => {
+        await assertLimit('($f := function($n) { $n > 100000 ? 0 : 1 + $f($n + 1) }; $f(0))', {}, 'depth');
+    });
+
+    it('caps the result size', async () => {
+        await assertLimit('[1..100000]', { maxResultBytes: 1000 }, 'resultSize');
+    });
+
+    it('blocks $eval by default, including indirect references', async () => {
+        await assertLimit('$eval("1 + 1")', {}, 'function');
+        await assertLimit('$map(["1"], $eval)', {}, 'function');
+    });
+
+    it('blocks configured functions', async () => {
+        await assertLimit('$count($)', { blockedFunctions: ['count'] }, 'function');
+    });
+
+    it('only allows listed functions when an allow-list is set', async () => {
+        const options = { allowedFunctions: ['count'] };
+        assert.equal(await evaluateSandboxed('$count($)', DATA, options), 2);
+        await assertLimit('$sum([1, 2])', options, 'function');
+    });
+
+    it('binds variables without letting them replace blocked functions', async () => {
+        const order = '" or true or "';
+        assert.equal(await evaluateSandboxed('$count($[Order = $order])', DATA, {}, { order }), 0);
+        assert.equal(await evaluateSandboxed('$count($[Order = $order])', DATA, {}, { order: 'Strigiformes' }), 1);
+        await assert.rejects(evaluateSandboxed('$eval("1 + 1")', DATA, {}, { eval: () => 2 }), QueryLimitError);
+    });
+});
+
+describe('sandboxOptionsFromEnv', () => {
+    it('reads limits and function lists', () => {
+        const options = sandboxOptionsFromEnv({
+            QUERY_TIMEOUT_MS: '100',
+            QUERY_ALLOWED_FUNCTIONS: '$count, sum',
+            QUERY_BLOCKED_FUNCTIONS: 'eval,map'
+        });
+        assert.equal(options.timeoutMs, 100);
+        assert.deepEqual(options.allowedFunctions, ['count', 'sum']);
+        assert.deepEqual(options.blockedFunctions, ['eval', 'map']);
+    });
+
+    it('rejects invalid numbers', () => {
+        assert.throws(() => sandboxOptionsFromEnv({ QUERY_MAX_DEPTH: 'abc' }), /QUERY_MAX_DEPTH/);
+        assert.throws(() => sandboxOptionsFromEnv({ QUERY_TIMEOUT_MS: '-5' }), /QUERY_TIMEOUT_MS/);
+    });
+});
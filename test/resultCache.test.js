@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine } from '../birdQueryEngine.js';
+import { LruCache, cacheKey, cacheOptionsFromEnv, createEtag } from '../resultCache.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('LruCache', () => {
+    it('evicts the least recently used entry', () => {
+        const cache = new LruCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.deepEqual(cache.get('a'), { value: 1 });
+        cache.set('c', 3);
+        assert.equal(cache.get('b'), null);
+        assert.deepEqual(cache.get('c'), { value: 3 });
+        assert.deepEqual(cache.stats(), { size: 2, maxEntries: 2, hits: 2, misses: 1 });
+    });
+
+    it('caches falsy values and nothing at size 0', () => {
+        const cache = new LruCache(1);
+        cache.set('empty', undefined);
+        assert.deepEqual(cache.get('empty'), { value: undefined });
+
+        const disabled = new LruCache(0);
+        disabled.set('a', 1);
+        assert.equal(disabled.get('a'), null);
+    });
+});
+
+describe('cache keys and ETags', () => {
+    it('normalizes argument key order and undefined values', () => {
+        assert.equal(cacheKey('m', [{ b: 1, a: undefined, c: [2] }]), cacheKey('m', [{ c: [2], b: 1 }]));
+        assert.notEqual(cacheKey('m', ['CR']), cacheKey('m', ['EN']));
+        assert.notEqual(cacheKey('m', ['x']), cacheKey('n', ['x']));
+    });
+
+    it('builds weak ETags that change with any part', () => {
+        const etag = createEtag('checksum', '/api/stats');
+        assert.match(etag, /^W\/"[\w-]+"$/);
+        assert.equal(etag, createEtag('checksum', '/api/stats'));
+        assert.notEqual(etag, createEtag('other', '/api/stats'));
+    });
+
+    it('reads settings from the environment', () => {
+        assert.deepEqual(cacheOptionsFromEnv({ CACHE_SIZE: '0', CACHE_MAX_AGE: '300' }), { maxEntries: 0, maxAgeSeconds: 300 });
+        assert.throws(() => cacheOptionsFromEnv({ CACHE_SIZE: '-1' }), /CACHE_SIZE/);
+    });
+});
+
+describe('BirdQueryEngine result cache', () => {
+    let dir;
+    let dataFile;
+    let engine;
+    const records = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-cache-'));
+        dataFile = path.join(dir, 'birdIndex.json');
+        fs.writeFileSync(dataFile, JSON.stringify(records));
+        engine = new BirdQueryEngine(dataFile, { cacheSize: 10 });
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reuses results for the same arguments', async () => {
+        const first = await engine.getUniqueValues('Order');
+        assert.equal(await engine.getUniqueValues('Order'), first);
+        assert.notEqual(await engine.getByIUCNCategory('CR'), await engine.getByIUCNCategory('LC'));
+        assert.equal(engine.resultCache.stats().hits, 1);
+    });
+
+    it('clears the cache when the data is reloaded', async () => {
+        assert.equal((await engine.getDatasetStats()).totalRecords, records.length);
+        fs.writeFileSync(dataFile, JSON.stringify(records.slice(0, 5)));
+        await engine.reload();
+        assert.equal(engine.resultCache.stats().size, 0);
+        assert.equal((await engine.getDatasetStats()).totalRecords, 5);
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BirdQueryEngine, QueryValidationError } from '../birdQueryEngine.js';
+import { SavedQueryNotFoundError, SavedQueryStore, bindParameters } from '../savedQueries.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+const THREATENED = {
+    name: 'threatened-in-order',
+    description: 'Threatened species of one order',
+    query: '$[Order = $order and IUCN_Red_List_Category in $categories].Scientific_name',
+    parameters: {
+        order: { type: 'string', required: true },
+        categories: { type: 'list', default: ['CR', 'EN', 'VU'] }
+    }
+};
+
+describe('SavedQueryStore', () => {
+    let dir;
+    let file;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-views-'));
+        file = path.join(dir, 'savedQueries.json');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('creates, lists, updates and deletes queries, keeping their history on disk', () => {
+        const store = new SavedQueryStore(file);
+        const created = store.create(THREATENED, { savedBy: 'analyst' });
+        assert.equal(created.version, 1);
+        assert.equal(created.savedBy, 'analyst');
+        assert.deepEqual(created.parameters.order, { type: 'string', required: true });
+        assert.throws(() => store.create(THREATENED), /already exists/);
+
+        const updated = store.update(THREATENED.name, { description: 'Threatened and extinct species' });
+        assert.equal(updated.version, 2);
+        assert.equal(updated.query, THREATENED.query);
+
+        const reopened = new SavedQueryStore(file);
+        assert.deepEqual(reopened.list().map(view => [view.name, view.version]), [[THREATENED.name, 2]]);
+        assert.deepEqual(reopened.history(THREATENED.name).map(version => version.description), [
+            'Threatened species of one order',
+            'Threatened and extinct species'
+        ]);
+
+        reopened.delete(THREATENED.name);
+        assert.throws(() => reopened.get(THREATENED.name), /Saved query not found/);
+        assert.deepEqual(new SavedQueryStore(file).list(), []);
+    });
+
+    it('rejects invalid definitions', () => {
+        const store = new SavedQueryStore(file);
+        const rejects = (definition, pattern) => assert.throws(() => store.create({ name: 'q', query: '$', ...definition }), (error) => {
+            assert.ok(error instanceof QueryValidationError);
+            assert.match(error.message, pattern);
+            return true;
+        });
+
+        rejects({ name: 'no spaces' }, /Invalid name/);
+        rejects({ query: '$[Order = ' }, /Invalid query/);
+        rejects({ query: '$[Order = $order]', parameters: { order: { type: 'date' } } }, /type must be one of/);
+        rejects({ query: '$[Order = $count]', parameters: { count: {} } }, /reserved for the JSONata function/);
+        rejects({ query: '$[Order = $limit]', parameters: { limit: {} } }, /reserved for list results/);
+        rejects({ query: '$', parameters: { order: {} } }, /not used in the query/);
+        rejects({ query: '$[Sequence > $since]', parameters: { since: { type: 'integer', default: '5' } } }, /default must be of type integer/);
+        assert.throws(() => store.update('missing', { query: '$' }), SavedQueryNotFoundError);
+    });
+
+    it('returns copies of stored versions', () => {
+        const store = new SavedQueryStore(file);
+        store.create({ ...THREATENED, name: 'copied' });
+        store.history('copied')[0].parameters.order.required = false;
+        store.history('copied').push({ version: 2 });
+        store.get('copied').parameters.order.type = 'number';
+
+        assert.equal(store.history('copied').length, 1);
+        assert.deepEqual(store.get('copied').parameters.order, { type: 'string', required: true });
+        store.delete('copied');
+    });
+
+    it('treats a file without queries as empty and rejects a malformed one', () => {
+        const empty = path.join(dir, 'empty.json');
+        fs.writeFileSync(empty, '{}');
+        assert.deepEqual(new SavedQueryStore(empty).list(), []);
+
+        fs.writeFileSync(empty, '{"queries": {}}');
+        assert.throws(() => new SavedQueryStore(empty), /queries must be an array/);
+    });
+});
+
+describe('bindParameters', () => {
+    const { parameters } = THREATENED;
+
+    it('converts values to their declared types and applies defaults', () => {
+        assert.deepEqual(bindParameters(parameters, { order: 'Accipitriformes' }), { order: 'Accipitriformes', categories: ['CR', 'EN', 'VU'] });
+        assert.deepEqual(bindParameters(parameters, { order: 'Accipitriformes', categories: 'CR, LC' }).categories, ['CR', 'LC']);
+        assert.deepEqual(bindParameters(parameters, { order: 'Accipitriformes', categories: ['CR', 'EN'] }).categories, ['CR', 'EN']);
+        assert.deepEqual(bindParameters({ since: { type: 'integer' }, extinct: { type: 'boolean' } }, { since: '1758', extinct: 'false' }), { since: 1758, extinct: false });
+    });
+
+    it('rejects missing and malformed values', () => {
+        assert.throws(() => bindParameters(parameters, {}), /Missing parameter: order/);
+        assert.throws(() => bindParameters(parameters, { order: ['a', 'b'] }), /expected one value/);
+        assert.throws(() => bindParameters({ since: { type: 'integer' } }, { since: '17.5' }), /expected type integer, got "17.5"/);
+    });
+
+    it('binds values instead of splicing them into the expression', async () => {
+        const engine = new BirdQueryEngine(FIXTURE);
+        const run = values => engine.executeSandboxedQuery(THREATENED.query, bindParameters(parameters, values));
+        assert.deepEqual([...await run({ order: 'Accipitriformes' })], ['Haliaeetus vociferoides', 'Harpyopsis novaeguineae']);
+        assert.equal(await run({ order: '" or true or "' }), undefined);
+    });
+});
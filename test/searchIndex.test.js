@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenIndex, buildIndexes, tokenize } from '../searchIndex.js';
+
+const RECORDS = [
+    { Scientific_name: 'Aquila chrysaetos', English_name_AviList: 'Golden Eagle', Family: 'Accipitridae', Range: 'Holarctic' },
+    { Scientific_name: 'Bubo bubo', English_name_AviList: 'Eurasian Eagle-Owl', Family: 'Strigidae', Range: 'Europe and Asia' },
+    { Scientific_name: 'Turdus merula', English_name_AviList: 'Common Blackbird', Family: 'Turdidae', Range: 'Europe, Asia' }
+];
+
+describe('tokenize', () => {
+    it('lowercases and splits on punctuation and whitespace', () => {
+        assert.deepEqual(tokenize('Eurasian Eagle-Owl'), ['eurasian', 'eagle', 'owl']);
+    });
+});
+
+describe('TokenIndex', () => {
+    const index = new TokenIndex(RECORDS, ['Scientific_name', 'English_name_AviList']);
+
+    it('finds substrings inside tokens', () => {
+        assert.deepEqual(index.searchSubstring('agl').map(r => r.Scientific_name), ['Aquila chrysaetos', 'Bubo bubo']);
+    });
+
+    it('finds substrings spanning token boundaries', () => {
+        assert.deepEqual(index.searchSubstring('n eag').map(r => r.Scientific_name), ['Aquila chrysaetos', 'Bubo bubo']);
+        assert.deepEqual(index.searchSubstring('eagle-o').map(r => r.Scientific_name), ['Bubo bubo']);
+    });
+
+    it('falls back to a full scan for terms without tokens', () => {
+        assert.deepEqual(index.searchSubstring('-').map(r => r.Scientific_name), ['Bubo bubo']);
+    });
+
+    it('matches exact values case-sensitively', () => {
+        assert.equal(index.searchExact('Golden Eagle').length, 1);
+        assert.equal(index.searchExact('golden eagle').length, 0);
+        assert.equal(index.searchExact('Golden').length, 0);
+    });
+});
+
+describe('buildIndexes', () => {
+    it('builds hash indexes in dataset order', () => {
+        const { byField } = buildIndexes(RECORDS);
+        assert.deepEqual(byField.Family.get('Strigidae'), [RECORDS[1]]);
+        assert.equal(byField.Order.size, 0);
+    });
+
+    it('builds a range token index', () => {
+        const { range } = buildIndexes(RECORDS);
+        assert.deepEqual(range.searchSubstring('europe'), [RECORDS[1], RECORDS[2]]);
+    });
+});
@@ -0,0 +1,580 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import { ApiKeyStore, PRIVILEGED_SCOPE } from '../apiKeys.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/birdIndex.json', import.meta.url));
+
+describe('HTTP routes', () => {
+    let dir;
+    let server;
+    let base;
+    const keys = {};
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-server-'));
+        const keysFile = path.join(dir, 'apiKeys.json');
+        const store = new ApiKeyStore(keysFile);
+        keys.privileged = store.createKey({ name: 'admin', tier: 'batch', scopes: [PRIVILEGED_SCOPE] }).key;
+        keys.reader = store.createKey({ name: 'reader', tier: 'batch' }).key;
+        keys.revoked = store.createKey({ name: 'revoked' }).key;
+        store.revokeKey(store.authenticate(keys.revoked).id);
+
+        // An older dataset version without the last record, for /api/diff
+        const records = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+        fs.mkdirSync(path.join(dir, 'datasets'));
+        fs.writeFileSync(path.join(dir, 'datasets', 'previous.json'), JSON.stringify(records.slice(0, -1)));
+
+        // The server reads its config file when it is imported. The previous version is also served on its own.
+        fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+            apiKeysFile: 'apiKeys.json',
+            savedQueriesFile: 'savedQueries.json',
+            datasetsDir: 'datasets',
+            datasets: [
+                { name: 'aves', dataFile: FIXTURE, prefix: '/avibase-mcp' },
+                { name: 'previous', dataFile: 'datasets/previous.json', prefix: '/previous' }
+            ]
+        }));
+        process.env.CONFIG_FILE = path.join(dir, 'config.json');
+        const { app, initializeEngines } = await import('../server.js');
+        await initializeEngines();
+
+        server = app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        base = `http://127.0.0.1:${server.address().port}/avibase-mcp`;
+    });
+
+    after(() => {
+        delete process.env.CONFIG_FILE;
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Send a request with the reader key unless another key (or null for none) is given
+     */
+    async function request(pathname, { method = 'GET', body, headers = {}, key = keys.reader } = {}) {
+        const init = { method, headers: { ...(key && { 'X-API-Key': key }), ...headers } };
+        if (typeof body === 'string' || body instanceof FormData) {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+        const response = await fetch(`${base}${pathname}`, init);
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not JSON: CSV, NDJSON, event stream or empty
+        }
+        return { status: response.status, headers: response.headers, text, json };
+    }
+
+    const names = json => json.data.map(record => record.Scientific_name);
+
+    describe('service', () => {
+        it('lists the endpoints at the root', async () => {
+            const { status, json } = await request('/');
+            assert.equal(status, 200);
+            assert.ok(json.endpoints.search);
+        });
+
+        it('reports health and the loaded dataset', async () => {
+            const { json } = await request('/api/health');
+            assert.equal(json.data.status, 'healthy');
+            assert.equal(json.data.datasetName, 'aves');
+            assert.equal(json.data.dataset.dataFile, FIXTURE);
+            assert.equal(json.data.dataset.version, json.data.dataset.checksum.slice(0, 12));
+            assert.equal(json.data.dataset.reloadCount, 0);
+        });
+
+        it('serves each configured dataset under its own prefix', async () => {
+            const response = await fetch(`${base.replace('/avibase-mcp', '/previous')}/api/stats`);
+            const { data } = await response.json();
+            assert.equal(data.totalRecords, 12);
+            assert.equal((await request('/api/stats')).json.data.totalRecords, 13);
+        });
+
+        it('generates the OpenAPI document from the route definitions', async () => {
+            const { json } = await request('/api/openapi.json');
+            assert.equal(json.openapi, '3.0.3');
+            assert.deepEqual(json.servers.map(server => server.url), ['/avibase-mcp', '/previous']);
+            assert.equal(json.paths['/api/bird/{scientificName}'].get.operationId, 'bird');
+            assert.deepEqual(json.paths['/api/query'].post.security, [{ apiKey: [] }, { bearer: [] }]);
+        });
+
+        it('serves browsable docs to browsers and the OpenAPI document otherwise', async () => {
+            const page = await request('/api/docs', { headers: { Accept: 'text/html' } });
+            assert.match(page.headers.get('content-type'), /^text\/html/);
+            assert.match(page.text, /id="op-search"/);
+            assert.equal((await request('/api/docs')).json.info.title, 'Bird Data Query API');
+        });
+
+        it('validates requests against the route schemas', async () => {
+            const suggest = await request('/api/suggest?prefix=gold&limit=500');
+            assert.equal(suggest.status, 400);
+            assert.equal(suggest.json.details, 'query parameter limit must be at most 50');
+            const reconcile = await request('/api/reconcile', { method: 'POST', body: { names: 'Golden Eagle', to: 'ioc' } });
+            assert.equal(reconcile.json.details, 'body.names must be an array; body.to must be one of: avilist, clements, birdlife, scientific');
+        });
+
+        it('returns 404 for unknown endpoints', async () => {
+            const { status, json } = await request('/api/nope');
+            assert.equal(status, 404);
+            assert.equal(json.success, false);
+        });
+    });
+
+    describe('search', () => {
+        it('returns dataset statistics', async () => {
+            const { json } = await request('/api/stats');
+            assert.equal(json.data.totalRecords, 13);
+            assert.equal(json.data.extinctSpecies, 1);
+        });
+
+        it('searches names in partial, exact and fuzzy mode', async () => {
+            assert.deepEqual(names((await request('/api/search?q=eagle-owl')).json), ['Bubo bubo']);
+            assert.deepEqual(names((await request('/api/search?q=Golden%20Eagle&mode=exact')).json), ['Aquila chrysaetos']);
+            const fuzzy = await request('/api/search?q=Goldn%20Egle&mode=fuzzy&limit=1');
+            assert.equal(fuzzy.json.data[0].bird.Scientific_name, 'Aquila chrysaetos');
+            assert.equal((await request(`/api/search?q=${'x'.repeat(1000)}&mode=fuzzy`)).status, 400);
+        });
+
+        it('requires q and a known mode', async () => {
+            assert.equal((await request('/api/search')).status, 400);
+            assert.equal((await request('/api/search?q=owl&mode=regex')).status, 400);
+        });
+
+        it('suggests names', async () => {
+            const { json } = await request('/api/suggest?prefix=gold');
+            assert.equal(json.data[0].name, 'Golden Eagle');
+            assert.equal((await request('/api/suggest')).status, 400);
+        });
+
+        it('paginates, sorts and projects', async () => {
+            const { json } = await request('/api/taxonomy/Taxon_rank/species?sort=Scientific_name:desc&fields=Scientific_name&limit=2');
+            assert.deepEqual(json.data, [{ Scientific_name: 'Turdus merula' }, { Scientific_name: 'Struthio camelus' }]);
+            assert.equal(json.pagination.totalItems, 9);
+            const next = await request(`/api/taxonomy/Taxon_rank/species?sort=Scientific_name:desc&fields=Scientific_name&limit=2&cursor=${json.pagination.nextCursor}`);
+            assert.deepEqual(next.json.data, [{ Scientific_name: 'Raphus cucullatus' }, { Scientific_name: 'Malaconotus gladiator' }]);
+        });
+
+        it('rejects invalid list options on the extinct list with 400', async () => {
+            for (const query of ['limit=abc', 'limit=0', 'sort=Nope:asc', 'cursor=not-a-cursor', 'fields=Nope']) {
+                const { status, json } = await request(`/api/extinct?${query}`);
+                assert.equal(status, 400, query);
+                assert.equal(json.success, false);
+            }
+        });
+
+        it('exports CSV and NDJSON', async () => {
+            const csv = await request('/api/conservation/LC?format=csv&fields=Scientific_name');
+            assert.match(csv.headers.get('content-type'), /text\/csv/);
+            assert.equal(csv.text.split('\r\n')[0], 'Scientific_name');
+            const ndjson = await request('/api/extinct', { headers: { Accept: 'application/x-ndjson' } });
+            assert.equal(JSON.parse(ndjson.text.trim()).Scientific_name, 'Raphus cucullatus');
+            assert.equal((await request('/api/extinct?format=xml')).status, 400);
+        });
+    });
+
+    describe('names', () => {
+        it('reconciles one name and a batch', async () => {
+            const one = await request('/api/reconcile?name=Madagascar%20Fish%20Eagle&from=avilist&to=clements');
+            assert.equal(one.json.data.targetName, 'Madagascar Fish-Eagle');
+            const bulk = await request('/api/reconcile', { method: 'POST', body: { names: ['Golden Eagle', 'Nope'], from: 'avilist', to: 'birdlife' } });
+            assert.deepEqual(bulk.json.data.map(result => result.confidence), ['high', 'none']);
+            assert.equal((await request('/api/reconcile?name=x&from=ebird&to=avilist')).status, 400);
+        });
+
+        it('matches a plain text checklist', async () => {
+            const { json } = await request('/api/match', { method: 'POST', body: 'Golden Eagle\n# comment\nNot a bird', headers: { 'Content-Type': 'text/plain' } });
+            assert.equal(json.data.stats.matched, 1);
+            assert.equal(json.data.stats.unmatched, 1);
+            assert.equal((await request('/api/match', { method: 'POST', body: { names: 'x' } })).status, 400);
+        });
+
+        it('rejects over-long checklist lines without matching them', async () => {
+            const text = await request('/api/match', { method: 'POST', body: `Golden Eagle\n${'x'.repeat(101)}`, headers: { 'Content-Type': 'text/plain' } });
+            assert.equal(text.status, 400);
+            assert.equal(text.json.error, 'Line 2 is longer than 100 characters');
+            assert.equal((await request('/api/match', { method: 'POST', body: ['x'.repeat(101)] })).status, 400);
+        });
+
+        it('matches a checklist uploaded as a multipart form', async () => {
+            const form = new FormData();
+            form.append('column', 'species');
+            form.append('file', new Blob(['count,species\n2,Golden Eagle\n1,Not a bird\n'], { type: 'text/csv' }), 'observations.csv');
+            const { status, json } = await request('/api/match', { method: 'POST', body: form });
+            assert.equal(status, 200);
+            assert.deepEqual(json.data.results.map(result => [result.line, result.status]), [[2, 'matched'], [3, 'unmatched']]);
+
+            const withoutFile = new FormData();
+            withoutFile.append('column', 'species');
+            const missing = await request('/api/match', { method: 'POST', body: withoutFile });
+            assert.equal(missing.status, 400);
+            assert.match(JSON.stringify(missing.json), /body.file is required/);
+        });
+    });
+
+    describe('taxonomy', () => {
+        it('filters by taxonomic level', async () => {
+            const { json } = await request('/api/taxonomy/Family/Accipitridae');
+            assert.deepEqual(names(json), ['Aquila chrysaetos', 'Haliaeetus vociferoides', 'Harpyopsis novaeguineae']);
+        });
+
+        it('rejects an invalid taxonomic level', async () => {
+            const { status, json } = await request('/api/taxonomy/Genus/Aquila');
+            assert.equal(status, 400);
+            assert.match(json.details, /level/i);
+        });
+
+        it('browses the tree and 404s for unknown orders', async () => {
+            const { json } = await request('/api/tree/Passeriformes/Turdidae');
+            assert.equal(json.data.children[0].children[0].name, 'Turdus merula azorensis');
+            assert.equal((await request('/api/tree/Nope')).status, 404);
+        });
+
+        it('reports birds and 404s for unknown birds', async () => {
+            const { json } = await request('/api/bird/Haliaeetus%20vociferoides');
+            assert.equal(json.data.bird.IUCN_Red_List_Category, 'CR');
+            assert.deepEqual(json.data.regions.map(region => region.id), ['madagascar']);
+            const missing = await request('/api/bird/Aquila%20nope');
+            assert.equal(missing.status, 404);
+        });
+
+        it('handles records with missing fields', async () => {
+            const { json } = await request('/api/bird/Turdus%20merula%20azorensis');
+            assert.equal(json.data.authority, null);
+            assert.deepEqual(json.data.regions, []);
+        });
+
+        it('returns unique values', async () => {
+            const { json } = await request('/api/unique/Order');
+            assert.equal(json.data.length, 5);
+            assert.equal((await request('/api/unique/Nope')).status, 400);
+        });
+
+        it('returns a random sample', async () => {
+            const { json } = await request('/api/random?count=3');
+            assert.equal(json.data.length, 3);
+        });
+    });
+
+    describe('conservation and geography', () => {
+        it('filters by IUCN category and extinction', async () => {
+            assert.deepEqual(names((await request('/api/conservation/CR')).json), ['Haliaeetus vociferoides']);
+            assert.deepEqual(names((await request('/api/extinct')).json), ['Raphus cucullatus']);
+        });
+
+        it('reports conservation analytics', async () => {
+            const { json } = await request('/api/analytics/conservation?minSpecies=1&top=1');
+            assert.equal(json.data.totals.species, 9);
+            assert.equal(json.data.mostThreatenedFamilies.length, 1);
+            assert.equal((await request('/api/analytics/conservation?order=Nope')).status, 404);
+            assert.equal((await request('/api/analytics/conservation?top=x')).status, 400);
+        });
+
+        it('filters by range text and requires a region', async () => {
+            assert.deepEqual(names((await request('/api/range?region=Mauritius')).json), ['Raphus cucullatus']);
+            assert.equal((await request('/api/range')).status, 400);
+        });
+
+        it('lists regions and their birds', async () => {
+            const regions = await request('/api/regions?type=continent&fields=id,species');
+            assert.deepEqual(regions.json.data[0], { id: 'africa', species: 5 });
+            const africa = await request('/api/regions/africa');
+            assert.ok(names(africa.json).includes('Haliaeetus vociferoides'));
+            assert.equal((await request('/api/regions/atlantis')).status, 404);
+        });
+    });
+
+    describe('authorities', () => {
+        it('filters by authority text', async () => {
+            const { json } = await request('/api/authority?name=Salvadori');
+            assert.deepEqual(names(json), ['Harpyopsis novaeguineae']);
+            assert.equal((await request('/api/authority')).status, 400);
+        });
+
+        it('filters by year of description', async () => {
+            const { json } = await request('/api/described?from=1900');
+            assert.deepEqual(names(json), ['Lonchura nevermanni']);
+            assert.equal((await request('/api/described')).status, 400);
+            assert.equal((await request('/api/described?from=1900&to=1800')).status, 400);
+        });
+
+        it('reports decades and top authors', async () => {
+            assert.equal((await request('/api/analytics/decades')).json.data[0].decade, 1750);
+            assert.equal((await request('/api/analytics/authors?limit=1')).json.data[0].author, 'Linnaeus');
+        });
+    });
+
+    describe('queries', () => {
+        it('runs custom filter queries', async () => {
+            const { json } = await request('/api/custom', { method: 'POST', body: { filters: { Order: 'Strigiformes' } } });
+            assert.deepEqual(names(json), ['Bubo bubo']);
+            assert.equal((await request('/api/custom', { method: 'POST', body: {} })).status, 400);
+        });
+
+        it('returns facet counts', async () => {
+            const { json } = await request('/api/facets', { method: 'POST', body: { filters: { order: ['Accipitriformes'] } } });
+            assert.equal(json.data.results.length, 3);
+            assert.deepEqual(json.data.facets.order.find(facet => facet.value === 'Passeriformes'), { value: 'Passeriformes', count: 4 });
+            assert.equal((await request('/api/facets', { method: 'POST', body: { filters: { colour: 'red' } } })).status, 400);
+        });
+
+        it('runs raw JSONata with a privileged key', async () => {
+            const { status, json } = await request('/api/query', { method: 'POST', body: { query: '$count($[Taxon_rank = "subspecies"])' }, key: keys.privileged });
+            assert.equal(status, 200);
+            assert.equal(json.data, 2);
+        });
+
+        it('rejects malformed JSONata', async () => {
+            const { status, json } = await request('/api/query', { method: 'POST', body: { query: '$[Order = ' }, key: keys.privileged });
+            assert.equal(status, 400);
+            assert.equal(json.error, 'JSONata query failed');
+            assert.equal((await request('/api/query', { method: 'POST', body: {}, key: keys.privileged })).status, 400);
+        });
+
+        it('diffs dataset versions', async () => {
+            const { json } = await request('/api/diff?from=previous&to=current');
+            assert.equal(json.data.summary.added, 1);
+            assert.equal((await request('/api/diff?from=missing&to=current')).status, 404);
+            assert.equal((await request('/api/diff?from=previous')).status, 400);
+        });
+    });
+
+    describe('saved queries', () => {
+        const view = {
+            name: 'threatened-in-order',
+            query: '$[Order = $order and IUCN_Red_List_Category in $categories][]',
+            parameters: { order: { required: true }, categories: { type: 'list', default: ['CR', 'EN', 'VU'] } }
+        };
+
+        it('saves, runs, versions and deletes a query', async () => {
+            const created = await request('/api/views', { method: 'POST', body: view, key: keys.privileged });
+            assert.equal(created.status, 201);
+            assert.equal(created.json.data.savedBy, 'admin');
+
+            const run = await request('/api/views/threatened-in-order?order=Accipitriformes&fields=Scientific_name');
+            assert.deepEqual(names(run.json), ['Haliaeetus vociferoides', 'Harpyopsis novaeguineae']);
+            assert.equal(run.headers.get('cache-control'), null);
+            assert.equal((await request('/api/views/threatened-in-order?order=Accipitriformes&categories=LC')).json.data.length, 1);
+
+            const updated = await request('/api/views/threatened-in-order', { method: 'PUT', body: { description: 'Threatened species' }, key: keys.privileged });
+            assert.equal(updated.json.data.version, 2);
+            const { json } = await request('/api/views/threatened-in-order/versions');
+            assert.deepEqual(json.data.map(version => version.description), ['', 'Threatened species']);
+            assert.deepEqual((await request('/api/views')).json.data.map(saved => saved.name), ['threatened-in-order']);
+
+            assert.equal((await request('/api/views/threatened-in-order', { method: 'DELETE', key: keys.privileged })).status, 200);
+            assert.equal((await request('/api/views/threatened-in-order')).status, 404);
+        });
+
+        it('rejects missing parameters, duplicates and unprivileged changes', async () => {
+            assert.equal((await request('/api/views', { method: 'POST', body: view })).status, 403);
+            await request('/api/views', { method: 'POST', body: { ...view, name: 'duplicate' }, key: keys.privileged });
+            assert.equal((await request('/api/views', { method: 'POST', body: { ...view, name: 'duplicate' }, key: keys.privileged })).status, 409);
+            const missing = await request('/api/views/duplicate');
+            assert.equal(missing.status, 400);
+            assert.equal(missing.json.details, 'Missing parameter: order');
+            const invalid = await request('/api/views', { method: 'POST', body: { name: 'bad', query: '$[Order = $order' }, key: keys.privileged });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('reports a failing query as 400 even when its message says not found', async () => {
+            await request('/api/views', { method: 'POST', body: { name: 'failing', query: '$error("Order not found")' }, key: keys.privileged });
+            const failed = await request('/api/views/failing');
+            assert.equal(failed.status, 400);
+            assert.equal(failed.json.details, 'Order not found');
+        });
+    });
+
+    describe('API keys', () => {
+        it('allows anonymous reads but not raw queries', async () => {
+            assert.equal((await request('/api/stats', { key: null })).status, 200);
+            assert.equal((await request('/api/query', { method: 'POST', body: { query: '1' }, key: null })).status, 401);
+            assert.equal((await request('/api/query', { method: 'POST', body: { query: '1' } })).status, 403);
+        });
+
+        it('rejects unknown and revoked keys', async () => {
+            assert.equal((await request('/api/stats', { key: 'avk_unknown' })).status, 401);
+            assert.equal((await request('/api/stats', { key: keys.revoked })).status, 401);
+        });
+
+        it('reports quota headers and usage', async () => {
+            const { headers, json } = await request('/api/usage');
+            assert.equal(headers.get('x-quota-limit'), '1000000');
+            assert.equal(json.data.name, 'reader');
+            assert.ok(json.data.usage.today > 0);
+            assert.equal((await request('/api/usage', { key: null })).status, 401);
+        });
+
+        it('restricts admin routes to privileged keys', async () => {
+            assert.equal((await request('/api/admin/keys')).status, 403);
+            const { json } = await request('/api/admin/keys', { key: keys.privileged });
+            assert.deepEqual(json.data.map(key => key.name), ['admin', 'reader', 'revoked']);
+            const reload = await request('/api/admin/reload', { method: 'POST', key: keys.privileged });
+            assert.equal(reload.status, 200);
+            assert.equal(reload.json.message, 'Dataset unchanged');
+        });
+    });
+
+    describe('caching', () => {
+        /**
+         * GET with node:http, since fetch adds Cache-Control: no-cache to conditional requests
+         */
+        async function conditionalGet(pathname, headers) {
+            const response = await new Promise((resolve, reject) => {
+                http.get(`${base}${pathname}`, { headers: { 'X-API-Key': keys.reader, Accept: '*/*', ...headers } }, resolve).on('error', reject);
+            });
+            response.resume();
+            await once(response, 'end');
+            return response;
+        }
+
+        it('answers a matching If-None-Match with 304', async () => {
+            const first = await request('/api/conservation/VU');
+            const etag = first.headers.get('etag');
+            assert.match(first.headers.get('cache-control'), /max-age=/);
+            assert.equal((await conditionalGet('/api/conservation/VU', { 'If-None-Match': etag })).statusCode, 304);
+            assert.equal((await conditionalGet('/api/conservation/VU', { 'If-None-Match': etag, Accept: 'text/csv' })).statusCode, 200);
+        });
+
+        it('keeps keyed responses out of shared caches', async () => {
+            assert.match((await request('/api/conservation/VU')).headers.get('cache-control'), /^private, max-age=/);
+            assert.match((await request('/api/conservation/VU', { key: null })).headers.get('cache-control'), /^public, max-age=/);
+        });
+
+        it('does not tag error responses', async () => {
+            for (const pathname of ['/api/bird/Nope%20nope', '/api/search?name=eagle&limit=abc', '/api/extinct?sort=Nope:asc']) {
+                const { status, headers } = await request(pathname);
+                assert.ok(status >= 400, pathname);
+                assert.equal(headers.get('cache-control'), null, pathname);
+                assert.equal(headers.get('etag'), null, pathname);
+            }
+        });
+
+        it('does not cache uncacheable routes', async () => {
+            const { headers } = await request('/api/random');
+            assert.equal(headers.get('cache-control'), null);
+        });
+    });
+
+    describe('GraphQL', () => {
+        it('answers POST and GET queries', async () => {
+            const query = 'query($name: String!) { bird(scientificName: $name) { englishName family { order { speciesCount } } } }';
+            const post = await request('/graphql', { method: 'POST', body: { query, variables: { name: 'Aquila chrysaetos' } } });
+            assert.equal(post.status, 200);
+            assert.deepEqual(post.json.data.bird, { englishName: 'Golden Eagle', family: { order: { speciesCount: 3 } } });
+            const get = await request(`/graphql?query=${encodeURIComponent(query)}&variables=${encodeURIComponent('{"name":"Bubo bubo"}')}`);
+            assert.equal(get.json.data.bird.englishName, 'Eurasian Eagle-Owl');
+        });
+
+        it('rejects invalid and costly queries', async () => {
+            assert.equal((await request('/graphql', { method: 'POST', body: {} })).status, 400);
+            assert.equal((await request('/graphql?query={stats{totalRecords}}&variables=[]')).status, 400);
+            const costly = await request('/graphql', { method: 'POST', body: { query: '{ orders(limit: 100) { families(limit: 100) { name } } }' } });
+            assert.equal(costly.status, 400);
+            assert.match(costly.json.errors[0].message, /exceeds the limit of 5000/);
+        });
+    });
+
+    describe('MCP', () => {
+        it('lists tools over streamable HTTP', async () => {
+            const { status, text } = await request('/mcp', {
+                method: 'POST',
+                body: { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+                headers: { Accept: 'application/json, text/event-stream' }
+            });
+            assert.equal(status, 200);
+            assert.match(text, /searchByName/);
+        });
+
+        /**
+         * Send one JSON-RPC request to the MCP endpoint and return its result
+         */
+        async function mcp(method, params, key) {
+            const { status, text } = await request('/mcp', {
+                method: 'POST',
+                body: { jsonrpc: '2.0', id: 1, method, params },
+                headers: { Accept: 'application/json, text/event-stream' },
+                key
+            });
+            assert.equal(status, 200);
+            return JSON.parse(text.match(/^data: (.*)$/m)[1]).result;
+        }
+
+        it('offers executeQuery only to privileged keys', async () => {
+            const toolNames = async key => (await mcp('tools/list', {}, key)).tools.map(tool => tool.name);
+            assert.ok((await toolNames(keys.privileged)).includes('executeQuery'));
+            assert.ok(!(await toolNames(keys.reader)).includes('executeQuery'));
+            assert.ok(!(await toolNames(null)).includes('executeQuery'));
+
+            const call = { name: 'executeQuery', arguments: { query: '$count($)' } };
+            assert.deepEqual((await mcp('tools/call', call, keys.privileged)).structuredContent, { result: 13 });
+            for (const key of [keys.reader, null]) {
+                const refused = await mcp('tools/call', call, key);
+                assert.equal(refused.isError, true);
+                assert.match(refused.content[0].text, /requires an API key with the privileged scope/);
+            }
+        });
+
+        it('refuses GET', async () => {
+            assert.equal((await request('/mcp')).status, 405);
+        });
+    });
+});
+
+describe('HTTP routes with REQUIRE_API_KEY', () => {
+    let dir;
+    let server;
+    let base;
+    let key;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-server-keys-'));
+        key = new ApiKeyStore(path.join(dir, 'apiKeys.json')).createKey({ name: 'reader' }).key;
+        fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+            requireApiKey: true,
+            apiKeysFile: 'apiKeys.json',
+            savedQueriesFile: 'savedQueries.json',
+            datasets: [{ name: 'aves', dataFile: FIXTURE, prefix: '/avibase-mcp' }]
+        }));
+
+        // A second copy of the module, so it reads this config file
+        process.env.CONFIG_FILE = path.join(dir, 'config.json');
+        const { app, initializeEngines } = await import('../server.js?require-api-key');
+        await initializeEngines();
+
+        server = app.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        base = `http://127.0.0.1:${server.address().port}/avibase-mcp`;
+    });
+
+    after(() => {
+        delete process.env.CONFIG_FILE;
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('rejects keyless requests to the REST, GraphQL and MCP endpoints', async () => {
+        const query = JSON.stringify({ query: '{ stats { totalRecords } }' });
+        const post = (pathname, headers = {}) => fetch(`${base}${pathname}`, { method: 'POST', body: query, headers: { 'Content-Type': 'application/json', ...headers } });
+
+        assert.equal((await fetch(`${base}/api/stats`)).status, 401);
+        assert.equal((await post('/graphql')).status, 401);
+        assert.equal((await fetch(`${base}/graphql?query=${encodeURIComponent('{ stats { totalRecords } }')}`)).status, 401);
+        assert.equal((await post('/mcp')).status, 401);
+
+        const keyed = await post('/graphql', { 'X-API-Key': key });
+        assert.equal(keyed.status, 200);
+        assert.equal((await keyed.json()).data.stats.totalRecords, 13);
+    });
+});
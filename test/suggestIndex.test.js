@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrefixIndex } from '../suggestIndex.js';
+import { NAME_FIELDS } from '../searchIndex.js';
+
+const RECORDS = [
+    { Scientific_name: 'Aquila chrysaetos', Taxon_rank: 'species', English_name_AviList: 'Golden Eagle', English_name_Clements_v2024: 'Golden Eagle' },
+    { Scientific_name: 'Haliaeetus vociferoides', Taxon_rank: 'species', English_name_AviList: 'Madagascar Fish Eagle', English_name_Clements_v2024: 'Madagascar Fish-Eagle' },
+    { Scientific_name: 'Aquila chrysaetos chrysaetos', Taxon_rank: 'subspecies' }
+];
+
+describe('PrefixIndex', () => {
+    const index = new PrefixIndex(RECORDS, NAME_FIELDS);
+
+    it('suggests names starting with the prefix, case-insensitively', () => {
+        assert.deepEqual(index.suggest('aqu'), [
+            { name: 'Aquila chrysaetos', nameSource: 'Scientific_name', scientificName: 'Aquila chrysaetos', taxonRank: 'species' },
+            { name: 'Aquila chrysaetos chrysaetos', nameSource: 'Scientific_name', scientificName: 'Aquila chrysaetos chrysaetos', taxonRank: 'subspecies' }
+        ]);
+    });
+
+    it('collapses identical names from several authorities', () => {
+        assert.deepEqual(index.suggest('golden').map(s => s.nameSource), ['English_name_AviList']);
+    });
+
+    it('offers whole-name matches before later-word matches', () => {
+        assert.deepEqual(index.suggest('eagle').map(s => s.name), ['Golden Eagle', 'Madagascar Fish Eagle', 'Madagascar Fish-Eagle']);
+    });
+
+    it('treats punctuation like spaces', () => {
+        assert.deepEqual(index.suggest('fish-e').map(s => s.name), ['Madagascar Fish Eagle', 'Madagascar Fish-Eagle']);
+    });
+
+    it('respects the limit and ignores empty prefixes', () => {
+        assert.equal(index.suggest('a', 1).length, 1);
+        assert.deepEqual(index.suggest('  '), []);
+    });
+});
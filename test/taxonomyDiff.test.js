@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv } from '../csv.js';
+import { DatasetLibrary, diffDatasets, diffToCsv } from '../taxonomyDiff.js';
+
+const FROM = [
+    { Scientific_name: 'Aquila chrysaetos', Taxon_rank: 'species', Order: 'Accipitriformes', Family: 'Accipitridae', English_name_AviList: 'Golden Eagle', English_name_Clements_v2024: 'Golden-Eagle', IUCN_Red_List_Category: 'NT' },
+    { Scientific_name: 'Lonchura nevermanni', Taxon_rank: 'species', Order: 'Passeriformes', Family: 'Ploceidae', English_name_AviList: 'Grey-crowned Mannikin' },
+    { Scientific_name: 'Turdus oldus', Taxon_rank: 'species', Order: 'Passeriformes', Family: 'Turdidae', English_name_AviList: 'Old Thrush' }
+];
+
+const TO = [
+    { Scientific_name: 'Aquila chrysaetos', Taxon_rank: 'species', Order: 'Accipitriformes', Family: 'Accipitridae', English_name_AviList: 'Golden Eagle', English_name_Clements_v2024: 'Golden Eagle', IUCN_Red_List_Category: 'LC' },
+    { Scientific_name: 'Lonchura nevermanni', Taxon_rank: 'species', Order: 'Passeriformes', Family: 'Estrildidae', English_name_AviList: 'Grey-crowned Mannikin' },
+    { Scientific_name: 'Bubo bubo', Taxon_rank: 'species', Order: 'Strigiformes', Family: 'Strigidae', English_name_AviList: 'Eurasian Eagle-Owl' }
+];
+
+describe('diffDatasets', () => {
+    const diff = diffDatasets(FROM, TO);
+
+    it('reports added and removed taxa', () => {
+        assert.deepEqual(diff.added.map(t => t.Scientific_name), ['Bubo bubo']);
+        assert.deepEqual(diff.removed.map(t => t.Scientific_name), ['Turdus oldus']);
+    });
+
+    it('reports English name changes per authority', () => {
+        assert.deepEqual(diff.renamed, [{
+            Scientific_name: 'Aquila chrysaetos',
+            Taxon_rank: 'species',
+            field: 'English_name_Clements_v2024',
+            authority: 'Clements',
+            from: 'Golden-Eagle',
+            to: 'Golden Eagle'
+        }]);
+    });
+
+    it('reports family reassignments and IUCN changes', () => {
+        assert.deepEqual(diff.reassigned.map(c => [c.Scientific_name, c.field, c.from, c.to]), [['Lonchura nevermanni', 'Family', 'Ploceidae', 'Estrildidae']]);
+        assert.deepEqual(diff.iucnChanges.map(c => [c.from, c.to]), [['NT', 'LC']]);
+    });
+
+    it('summarizes the counts', () => {
+        assert.deepEqual(diff.summary, { fromRecords: 3, toRecords: 3, added: 1, removed: 1, renamed: 1, reassigned: 1, iucnChanges: 1 });
+    });
+
+    it('formats one CSV row per change', () => {
+        const [header, ...rows] = parseCsv(diffToCsv(diff));
+        assert.deepEqual(header, ['change', 'Scientific_name', 'Taxon_rank', 'field', 'authority', 'from', 'to']);
+        assert.deepEqual(rows.map(row => row[0]), ['added', 'removed', 'renamed', 'reassigned', 'iucn']);
+    });
+});
+
+describe('DatasetLibrary', () => {
+    let dir;
+    let library;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bird-datasets-'));
+        fs.writeFileSync(path.join(dir, 'v1.json'), JSON.stringify(FROM));
+        library = new DatasetLibrary(dir);
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists and loads datasets by name', async () => {
+        assert.deepEqual(await library.list(), ['v1']);
+        assert.equal((await library.load('v1')).length, 3);
+    });
+
+    it('rejects names that could escape the directory', async () => {
+        await assert.rejects(library.load('../v1'), /Invalid dataset name/);
+        await assert.rejects(library.load('..'), /Invalid dataset name/);
+    });
+
+    it('reports missing datasets', async () => {
+        await assert.rejects(library.load('v2'), /Dataset not found/);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTaxonomyTree, projectNode } from '../taxonomyTree.js';
+
+const RECORDS = [
+    { Sequence: 1, Taxon_rank: 'family', Order: 'Strigiformes', Family: 'Strigidae', Family_English_name: 'Owls' },
+    { Sequence: 4, Taxon_rank: 'subspecies', Order: 'Strigiformes', Family: 'Strigidae', Scientific_name: 'Bubo bubo hispanus' },
+    { Sequence: 2, Taxon_rank: 'species', Order: 'Strigiformes', Family: 'Strigidae', Scientific_name: 'Bubo bubo', IUCN_Red_List_Category: 'LC' },
+    { Sequence: 3, Taxon_rank: 'subspecies', Order: 'Strigiformes', Family: 'Strigidae', Scientific_name: 'Bubo bubo bubo' },
+    { Sequence: 5, Taxon_rank: 'species', Order: 'Strigiformes', Family: 'Strigidae', Scientific_name: 'Athene blewitti', IUCN_Red_List_Category: 'EN' },
+    { Sequence: 6, Taxon_rank: 'species', Order: 'Columbiformes', Family: 'Columbidae', Scientific_name: 'Raphus cucullatus', IUCN_Red_List_Category: 'EX', Extinct_or_possibly_extinct: 'extinct' }
+];
+
+describe('buildTaxonomyTree', () => {
+    const root = buildTaxonomyTree(RECORDS);
+
+    it('nests orders, families, species and subspecies in sequence order', () => {
+        const tree = projectNode(root);
+        assert.deepEqual(tree.children.map(o => o.name), ['Strigiformes', 'Columbiformes']);
+        const owls = tree.children[0].children[0];
+        assert.equal(owls.englishName, 'Owls');
+        assert.deepEqual(owls.children.map(s => s.name), ['Bubo bubo', 'Athene blewitti']);
+        assert.deepEqual(owls.children[0].children.map(s => s.name), ['Bubo bubo bubo', 'Bubo bubo hispanus']);
+    });
+
+    it('counts species, subspecies and extinct taxa at each level', () => {
+        const tree = projectNode(root);
+        assert.deepEqual(tree.counts, { families: 2, species: 3, subspecies: 2, extinct: 1 });
+        assert.deepEqual(tree.children[0].children[0].counts, { species: 2, subspecies: 2, extinct: 0 });
+        assert.deepEqual(tree.children[0].children[0].children[0].counts, { subspecies: 2 });
+    });
+
+    it('rolls up IUCN categories only when asked', () => {
+        assert.equal(projectNode(root).iucn, undefined);
+        assert.deepEqual(projectNode(root, { includeIucn: true }).iucn, { LC: 1, EN: 1, EX: 1 });
+    });
+
+    it('limits the depth of the projection', () => {
+        const tree = projectNode(root, { depth: 1 });
+        assert.equal(tree.children[0].children, undefined);
+    });
+});